@@ -0,0 +1,209 @@
+// ===== Computer Opponent =====
+// Alpha-beta search over the complete moves of the engine's move generator
+// (movegen.js), so forced captures and multi-jumps follow exactly the same
+// rules as a human move. The search makes and unmakes moves on a single
+// compact board; only the root turns come from CheckersEngine.generateTurns,
+// to hand back whole turns.
+// Search goes one ply deeper at a time until it reaches depth or runs out
+// of timeLimit milliseconds, whichever comes first.
+const AI_LEVELS = {
+  easy: { depth: 1, timeLimit: 500, randomness: 150 },
+  medium: { depth: 3, timeLimit: 1000, randomness: 20 },
+  hard: { depth: 6, timeLimit: 2000, randomness: 0 },
+};
+
+const WIN_SCORE = 100000;
+const MAX_CAPTURE_EXTENSION = 8;
+
+// Translations (see i18n.js): globals in the page, required under Node
+const { t: aiText, formatNumber: aiFormatNumber } =
+  typeof module !== "undefined" && module.exports ? require("./i18n.js") : { t, formatNumber };
+// Piece codes of the move generator's board, the same way
+const { RED_MAN: AI_RED_MAN, RED_KING: AI_RED_KING, BLACK_MAN: AI_BLACK_MAN, BLACK_KING: AI_BLACK_KING } =
+  typeof module !== "undefined" && module.exports
+    ? require("./movegen.js")
+    : { RED_MAN, RED_KING, BLACK_MAN, BLACK_KING };
+
+class CheckersAI {
+  constructor(engine, level = "medium") {
+    this.engine = engine;
+    this.generator = engine.generator;
+    this.setLevel(level);
+
+    // What every piece is worth on every square, by piece code
+    this.pieceValues = {};
+    for (const piece of [AI_RED_MAN, AI_RED_KING, AI_BLACK_MAN, AI_BLACK_KING]) {
+      this.pieceValues[piece] = this.generator.rows.map((row, square) =>
+        this.pieceValue(piece, row, this.generator.cols[square])
+      );
+    }
+  }
+
+  setLevel(level) {
+    this.level = AI_LEVELS[level] ? level : "medium";
+    this.settings = AI_LEVELS[this.level];
+  }
+
+  // ===== Evaluation =====
+  pieceValue(piece, row, col) {
+    const size = this.engine.size;
+    let value;
+    if (piece === AI_RED_KING || piece === AI_BLACK_KING) {
+      value = 300;
+    } else {
+      // Men gain value as they approach promotion
+      const advance = piece === AI_RED_MAN ? size - 1 - row : row;
+      const homeRow = piece === AI_RED_MAN ? size - 1 : 0;
+      value = 100 + advance * 5 + (row === homeRow ? 8 : 0);
+    }
+
+    // Central squares are worth a little more
+    if (row >= 2 && row <= size - 3 && col >= 2 && col <= size - 3) {
+      value += 6;
+    }
+    return value;
+  }
+
+  // Score of a generator board from the point of view of player
+  evaluate(squares, player) {
+    const sign = player === "red" ? 1 : -1;
+    let score = 0;
+    for (let square = 0; square < squares.length; square++) {
+      const piece = squares[square];
+      if (piece === 0) continue;
+      const value = this.pieceValues[piece][square];
+      score += piece * sign > 0 ? value : -value;
+    }
+    return score;
+  }
+
+  // ===== Search =====
+  // Searches squares with player to move; the board is left as it was
+  search(squares, player, depth, alpha, beta, ply) {
+    // Check the clock every few hundred nodes; an aborted search is discarded
+    if (++this.nodes % 256 === 0 && Date.now() > this.deadline) {
+      this.aborted = true;
+    }
+    if (this.aborted) return 0;
+
+    const moves = this.generator.generate(squares, player);
+    if (moves.length === 0) {
+      return -WIN_SCORE + ply; // No moves left: the side to move has lost
+    }
+
+    // Keep searching while captures are pending so exchanges are not cut in half
+    const capturing = moves[0].captured.length > 0;
+    if (depth <= 0 && (!capturing || ply >= this.maxDepth + MAX_CAPTURE_EXTENSION)) {
+      return this.evaluate(squares, player);
+    }
+
+    const next = player === "red" ? "black" : "red";
+    this.orderMoves(moves);
+    for (const move of moves) {
+      this.generator.makeMove(squares, move);
+      const score = -this.search(squares, next, depth - 1, -beta, -alpha, ply + 1);
+      this.generator.unmakeMove(squares, move);
+      if (score > alpha) {
+        alpha = score;
+        if (alpha >= beta) break;
+      }
+    }
+    return alpha;
+  }
+
+  // Captures first, the longest first
+  orderMoves(moves) {
+    moves.sort((a, b) => b.captured.length - a.captured.length);
+  }
+
+  // Searches every root turn to the given depth. Returns the turns best
+  // first, or null if time ran out before the iteration finished. Only the
+  // scores of the best `exact` turns are exact; the rest are upper bounds.
+  // Scores go on copies, so an unfinished iteration leaves the last
+  // finished one's order and scores together.
+  searchRoot(squares, player, candidates, depth, exact, randomness) {
+    this.maxDepth = depth;
+    const next = player === "red" ? "black" : "red";
+    const bestScores = []; // Highest first, at most `exact` of them
+    const scored = candidates.map((candidate) => ({ ...candidate }));
+
+    for (const candidate of scored) {
+      // A turn scoring below this bound cannot make the top even with the random bonus
+      const bound = bestScores.length === exact ? bestScores[exact - 1] : -Infinity;
+      const alpha = Math.max(bound - randomness, -WIN_SCORE - 1);
+      this.generator.makeMove(squares, candidate.move);
+      const score = -this.search(squares, next, depth - 1, -WIN_SCORE - 1, -alpha, 1);
+      this.generator.unmakeMove(squares, candidate.move);
+      candidate.score = score + candidate.noise;
+      if (this.aborted) return null;
+
+      bestScores.push(candidate.score);
+      bestScores.sort((a, b) => b - a);
+      bestScores.length = Math.min(bestScores.length, exact);
+    }
+
+    return scored.sort((a, b) => b.score - a.score);
+  }
+
+  // Iterative deepening over the root turns of state, which are turns
+  // (generateTurns) and moves (the generator's) in the same order; returns
+  // [{ turn, move, score }] best first
+  rankTurns(state, turns, exact, randomness) {
+    const squares = this.generator.fromBoard(state.board);
+    const moves = this.generator.generate(squares, state.currentPlayer);
+    this.nodes = 0;
+    this.aborted = false;
+    this.deadline = Date.now() + this.settings.timeLimit;
+
+    // The random bonus is drawn once so every iteration judges the same turns
+    let candidates = turns.map((turn, index) => ({
+      turn,
+      move: moves[index],
+      score: 0,
+      noise: Math.random() * randomness,
+    }));
+    candidates.sort((a, b) => b.move.captured.length - a.move.captured.length);
+
+    for (let depth = 1; depth <= this.settings.depth; depth++) {
+      const ranked = this.searchRoot(squares, state.currentPlayer, candidates, depth, exact, randomness);
+      if (!ranked) break;
+      // The previous best is searched first next time, which prunes more
+      candidates = ranked;
+    }
+    return candidates;
+  }
+
+  // Best complete turn for the side to move, or null if it has none
+  chooseTurn(state) {
+    const turns = this.engine.generateTurns(state);
+    if (turns.length === 0) return null;
+    if (turns.length === 1) return turns[0];
+
+    return this.rankTurns(state, turns, 1, this.settings.randomness)[0].turn;
+  }
+
+  // The `count` best turns with their scores (from the point of view of the
+  // side to move, a man being worth about 100), without any randomness
+  analyze(state, count = 3) {
+    const turns = this.engine.generateTurns(state);
+    if (turns.length === 0) return [];
+
+    return this.rankTurns(state, turns, count, 0)
+      .slice(0, count)
+      .map(({ turn, score }) => ({ turn, score }));
+  }
+}
+
+// Score as shown to players: material in men, or a forced win or loss
+function describeScore(score) {
+  if (Math.abs(score) > WIN_SCORE / 2) {
+    const moves = Math.ceil((WIN_SCORE - Math.abs(score)) / 2);
+    return aiText(score > 0 ? "score.wins" : "score.loses", { count: moves });
+  }
+  const men = Math.round(score / 10) / 10 || 0; // No "-0"
+  return `${men > 0 ? "+" : ""}${aiFormatNumber(men)}`;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { CheckersAI, AI_LEVELS, WIN_SCORE, describeScore };
+}
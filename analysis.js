@@ -0,0 +1,143 @@
+// ===== Post-game Analysis =====
+// Runs the engine over every position of a finished game, one position at
+// a time so the page can show progress. Each turn is judged by how much it
+// gave away against the best turn available: the evaluation of the
+// position before it, minus that of the position it led to.
+//
+// Scores are from the point of view of the side to move, a man being worth
+// about 100 (see CheckersAI.evaluate).
+
+// Search used for every position: deep, but short enough per position
+// that a long game is analysed in a few seconds
+const ANALYSIS_SETTINGS = { depth: 6, timeLimit: 300, randomness: 0 };
+
+// Worst first; a turn gets the first category whose minLoss it reaches.
+// Names are under analysis.categories in messages.js.
+const MOVE_CATEGORIES = {
+  blunder: { symbol: "??", minLoss: 250 },
+  mistake: { symbol: "?", minLoss: 100 },
+  inaccuracy: { symbol: "?!", minLoss: 50 },
+};
+
+// The search: globals in the page, required from ai.js under Node
+const { CheckersAI: AnalysisAI, WIN_SCORE: ANALYSIS_WIN_SCORE } =
+  typeof module !== "undefined" && module.exports ? require("./ai.js") : { CheckersAI, WIN_SCORE };
+
+class GameAnalysis {
+  // positions: every position of the game, the final one included, so one
+  // more than turns. drawn: the game ended in a draw by rule, which the
+  // search can't see in the final position.
+  constructor(engine, positions, turns, drawn = false) {
+    this.engine = engine;
+    this.positions = positions;
+    this.turns = turns;
+    this.drawn = drawn;
+    this.ai = new AnalysisAI(engine);
+    this.ai.settings = ANALYSIS_SETTINGS;
+
+    this.evaluations = []; // Per position: { score, best } with best the top turn
+    this.moves = []; // Per turn, once both positions around it are evaluated
+  }
+
+  get done() {
+    return this.evaluations.length === this.positions.length;
+  }
+
+  // Fraction of the positions evaluated so far, 0 to 1
+  get progress() {
+    return this.evaluations.length / this.positions.length;
+  }
+
+  // Evaluates the next position and judges the turn that led to it
+  analyzeNext() {
+    if (this.done) return;
+    this.addEvaluation(this.evaluate(this.evaluations.length));
+  }
+
+  // Takes the next position's evaluation, worked out here or by the
+  // engine worker (see engine-worker.js), and judges the turn before it
+  addEvaluation(evaluation) {
+    const index = this.evaluations.length;
+    this.evaluations.push(evaluation);
+    if (index > 0) {
+      this.moves.push(this.judgeMove(index - 1));
+    }
+  }
+
+  evaluate(index) {
+    const isLast = index === this.positions.length - 1;
+    if (isLast && this.drawn) {
+      return { score: 0, best: null };
+    }
+
+    const [top] = this.ai.analyze(this.positions[index], 1);
+    // No turns left: the side to move has lost
+    return top ? { score: top.score, best: top.turn } : { score: -ANALYSIS_WIN_SCORE, best: null };
+  }
+
+  // index is the turn played from positions[index]
+  judgeMove(index) {
+    const turn = this.turns[index];
+    const { score: bestScore, best } = this.evaluations[index];
+    const playedScore = -this.evaluations[index + 1].score;
+    const playedBest = !!best && sameTurn(turn, best);
+    // The same turn can score a little differently searched from the next
+    // position; the best turn gives nothing away by definition
+    const loss = playedBest ? 0 : Math.max(0, bestScore - playedScore);
+
+    const winning = (score) => score > ANALYSIS_WIN_SCORE / 2;
+    const missedWin = !playedBest && winning(bestScore) && !winning(playedScore);
+
+    let category = null;
+    for (const [id, { minLoss }] of Object.entries(MOVE_CATEGORIES)) {
+      if (missedWin || loss >= minLoss) {
+        category = id;
+        break;
+      }
+    }
+
+    // A capture of more pieces that was on offer and would have been better
+    const bestCaptures = best ? capturedCount(best) : 0;
+    const missedCaptures = category && bestCaptures > capturedCount(turn) ? bestCaptures : 0;
+
+    return {
+      index,
+      player: this.positions[index].currentPlayer,
+      turn,
+      best: playedBest ? null : best,
+      bestScore,
+      playedScore,
+      loss,
+      category,
+      missedWin,
+      missedCaptures,
+    };
+  }
+
+  // Evaluation of a position from red's point of view, for the graph
+  redScore(index) {
+    const { score } = this.evaluations[index];
+    return this.positions[index].currentPlayer === "red" ? score : -score;
+  }
+
+  flaggedMoves() {
+    return this.moves.filter((move) => move.category);
+  }
+}
+
+function sameTurn(a, b) {
+  return (
+    a.steps.length === b.steps.length &&
+    a.steps[0].fromRow === b.steps[0].fromRow &&
+    a.steps[0].fromCol === b.steps[0].fromCol &&
+    a.steps.every((step, i) => step.move.row === b.steps[i].move.row && step.move.col === b.steps[i].move.col)
+  );
+}
+
+function capturedCount(turn) {
+  return turn.steps.filter((step) => step.move.capture).length;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { GameAnalysis, MOVE_CATEGORIES, ANALYSIS_SETTINGS };
+}
@@ -0,0 +1,192 @@
+// ===== Stats Backup =====
+// Moves the player profiles (results, ratings and latest games), the setup
+// screen's names and preferences and the language from one device to
+// another as a file. An import replaces what the device had, and goes
+// through the same checks as the stored data (see readProfileData and
+// readPreferences), so a bad file is refused or loses only its bad entries.
+//
+// JSON keeps everything. CSV is for spreadsheets: a header row, then one
+// row per setting and one per profile, leaving out the lists of games:
+//   section,key,value,rating,wins,losses,draws
+//   backup,version,1,,,,
+//   setting,language,es,,,,
+//   setting,timeMinutes,5,,,,
+//   profile,p3,Ana,1216,3,1,0
+const BACKUP_FORMAT = "dama-juego-backup";
+const BACKUP_VERSION = 1;
+const BACKUP_CSV_COLUMNS = ["section", "key", "value", "rating", "wins", "losses", "draws"];
+
+// Stored data checks and translations: globals in the page, required under Node
+const { readProfileData: backupProfileData, PROFILES_VERSION: BACKUP_PROFILES_VERSION } =
+  typeof module !== "undefined" && module.exports ? require("./profiles.js") : { readProfileData, PROFILES_VERSION };
+const { readPreferences: backupPreferences, DEFAULT_PREFERENCES: BACKUP_DEFAULT_PREFERENCES } =
+  typeof module !== "undefined" && module.exports ? require("./preferences.js") : { readPreferences, DEFAULT_PREFERENCES };
+const { t: backupText, LANGUAGES: BACKUP_LANGUAGES } =
+  typeof module !== "undefined" && module.exports ? require("./i18n.js") : { t, LANGUAGES };
+
+class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BackupError";
+  }
+}
+
+function createBackup(profiles, preferences, language) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    language,
+    preferences: backupPreferences(preferences),
+    profiles: profiles.toJSON(),
+  };
+}
+
+// ===== Writing =====
+function backupToJSON(backup) {
+  return JSON.stringify(backup, null, 2);
+}
+
+function backupToCSV(backup) {
+  const rows = [BACKUP_CSV_COLUMNS, ["backup", "version", backup.version], ["setting", "language", backup.language]];
+  for (const [key, value] of Object.entries(backup.preferences)) {
+    rows.push(["setting", key, value]);
+  }
+  for (const profile of Object.values(backup.profiles.profiles)) {
+    rows.push(["profile", profile.id, profile.name, profile.rating, profile.wins, profile.losses, profile.draws]);
+  }
+  return rows.map((row) => BACKUP_CSV_COLUMNS.map((column, i) => csvField(row[i])).join(",")).join("\r\n") + "\r\n";
+}
+
+// Quoted only when it has to be, with inner quotes doubled
+function csvField(value) {
+  const text = value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ===== Reading =====
+// A backup from a file's text, JSON or CSV, checked and ready to apply:
+// { language, preferences, profiles, withGames } with profiles as
+// readProfileData returns them; withGames is false for a CSV file, whose
+// profiles have only their totals. Throws BackupError if the file can't be
+// used.
+function parseBackup(text) {
+  const trimmed = text.replace(/^\uFEFF/, "").trim();
+  const json = trimmed.startsWith("{");
+  let data;
+  if (json) {
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      throw new BackupError(backupText("backup.invalidJson"));
+    }
+  } else {
+    data = csvToBackup(trimmed);
+  }
+
+  if (!data || data.format !== BACKUP_FORMAT || !Number.isInteger(data.version)) {
+    throw new BackupError(backupText("backup.notBackup"));
+  }
+  if (data.version > BACKUP_VERSION) {
+    throw new BackupError(backupText("backup.newerVersion"));
+  }
+
+  const profiles = backupProfileData(data.profiles);
+  if (!profiles) {
+    throw new BackupError(backupText("backup.badProfiles"));
+  }
+  return {
+    language: typeof data.language === "string" && Object.hasOwn(BACKUP_LANGUAGES, data.language) ? data.language : null,
+    preferences: backupPreferences(data.preferences),
+    profiles,
+    withGames: json,
+  };
+}
+
+// The rows of a CSV backup in the shape of a JSON one
+function csvToBackup(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header || header.join(",") !== BACKUP_CSV_COLUMNS.join(",")) {
+    throw new BackupError(backupText("backup.notBackup"));
+  }
+
+  const data = { format: BACKUP_FORMAT, version: null, language: null, preferences: {}, profiles: { profiles: {} } };
+  rows.forEach((row, index) => {
+    const [section, key, value, rating, wins, losses, draws] = row;
+    if (section === "backup" && key === "version") {
+      data.version = Number(value);
+    } else if (section === "setting" && key === "language") {
+      data.language = value;
+    } else if (section === "setting" && Object.keys(BACKUP_DEFAULT_PREFERENCES).includes(key)) {
+      data.preferences[key] = csvSetting(BACKUP_DEFAULT_PREFERENCES[key], value);
+    } else if (section === "profile") {
+      data.profiles.profiles[key] = {
+        name: value,
+        rating: csvNumber(rating),
+        wins: csvNumber(wins),
+        losses: csvNumber(losses),
+        draws: csvNumber(draws),
+      };
+    } else if (row.some((field) => field !== "")) {
+      // Line numbers as a spreadsheet shows them, the header being 1
+      throw new BackupError(backupText("backup.badCsvRow", { line: index + 2 }));
+    }
+  });
+  // The profiles are in the stored shape, less their games
+  data.profiles.version = BACKUP_PROFILES_VERSION;
+  return data;
+}
+
+// An empty field is no number rather than 0
+function csvNumber(text) {
+  return text === undefined || text.trim() === "" ? NaN : Number(text);
+}
+
+// A CSV text back into the type the default value has
+function csvSetting(fallback, value) {
+  if (typeof fallback === "number") return csvNumber(value);
+  if (typeof fallback === "boolean") return value === "true" ? true : value === "false" ? false : null;
+  return value;
+}
+
+// Rows of fields; quoted fields may hold commas, quotes and line breaks
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { BackupError, BACKUP_VERSION, createBackup, backupToJSON, backupToCSV, parseBackup, parseCSV };
+}
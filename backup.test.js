@@ -0,0 +1,107 @@
+// ===== Backup Tests =====
+// What an import makes of damaged, old and hand-edited files, and the CSV
+// round trip.
+//
+//   node --test
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { BackupError, createBackup, backupToJSON, backupToCSV, parseBackup, parseCSV } = require("./backup.js");
+const { PROFILES_VERSION } = require("./profiles.js");
+const { DEFAULT_PREFERENCES } = require("./preferences.js");
+
+const PROFILES = {
+  version: PROFILES_VERSION,
+  nextId: 3,
+  profiles: {
+    p1: { id: "p1", name: "Ana", rating: 1216, wins: 3, losses: 1, draws: 0, games: [] },
+    p2: { id: "p2", name: 'Luis "el Rápido", Jr.', rating: 1184, wins: 1, losses: 3, draws: 2, games: [] },
+  },
+};
+
+function backup(overrides = {}) {
+  const profiles = { toJSON: () => PROFILES };
+  return { ...createBackup(profiles, { ...DEFAULT_PREFERENCES, timeMinutes: 10 }, "en"), ...overrides };
+}
+
+// ===== Damaged Files =====
+test("a file that is not JSON, CSV or a backup is refused", () => {
+  assert.throws(() => parseBackup('{"format": "dama-juego-backup",'), BackupError);
+  assert.throws(() => parseBackup("name,score\nAna,3\n"), BackupError);
+  assert.throws(() => parseBackup(JSON.stringify({ format: "something-else", version: 1 })), BackupError);
+  assert.throws(() => parseBackup(backupToJSON(backup({ profiles: null }))), BackupError);
+});
+
+test("a CSV row the import doesn't know names its line", () => {
+  const csv = backupToCSV(backup()).replace("setting,language", "settting,language");
+  assert.throws(() => parseBackup(csv), (error) => error instanceof BackupError && /3/.test(error.message));
+});
+
+test("bad values fall back one by one and prototype keys are no language", () => {
+  const data = backup({
+    language: "constructor",
+    preferences: { variant: "__proto__", aiLevel: "toString", timeMinutes: -5, redName: "Ana" },
+  });
+  data.profiles = {
+    ...PROFILES,
+    profiles: { ...PROFILES.profiles, p3: { name: "" }, x9: { name: "Bad id" } },
+  };
+
+  const { language, preferences, profiles } = parseBackup(backupToJSON(data));
+  assert.strictEqual(language, null);
+  assert.strictEqual(preferences.variant, DEFAULT_PREFERENCES.variant);
+  assert.strictEqual(preferences.aiLevel, DEFAULT_PREFERENCES.aiLevel);
+  assert.strictEqual(preferences.timeMinutes, DEFAULT_PREFERENCES.timeMinutes);
+  assert.strictEqual(preferences.redName, "Ana");
+  assert.deepStrictEqual(Object.keys(profiles.profiles), ["p1", "p2"]);
+});
+
+// ===== Versions =====
+test("a backup from a newer page is refused", () => {
+  assert.throws(() => parseBackup(backupToJSON(backup({ version: 99 }))), BackupError);
+});
+
+test("profiles stored before versions existed are brought up to date", () => {
+  const oldProfiles = {
+    profiles: {
+      p1: {
+        name: "Ana",
+        rating: 1216,
+        wins: 1,
+        losses: 0,
+        draws: 0,
+        games: [{ id: "g1", date: 1, color: "red", opponent: "Luis", result: "win", ratingChange: 16 }],
+      },
+    },
+  };
+
+  const { profiles } = parseBackup(backupToJSON(backup({ profiles: oldProfiles })));
+  assert.strictEqual(profiles.profiles.p1.games[0].hints, 0);
+  assert.strictEqual(profiles.nextId, 2);
+});
+
+// ===== CSV =====
+test("quoted CSV fields keep their commas, quotes and line breaks", () => {
+  assert.deepStrictEqual(parseCSV('a,"b, ""c""",d\r\n"line\none",,x'), [
+    ["a", 'b, "c"', "d"],
+    ["line\none", "", "x"],
+  ]);
+});
+
+test("a CSV backup reads back with its totals but no games", () => {
+  const csv = backupToCSV(backup());
+  assert.match(csv, /^profile,p2,"Luis ""el Rápido"", Jr.",1184,1,3,2\r$/m);
+
+  const { language, preferences, profiles, withGames } = parseBackup(`\uFEFF${csv}`);
+  assert.strictEqual(withGames, false);
+  assert.strictEqual(language, "en");
+  assert.strictEqual(preferences.timeMinutes, 10);
+  assert.strictEqual(preferences.seriousGame, false);
+  assert.deepStrictEqual(profiles.profiles.p2, { ...PROFILES.profiles.p2, games: [] });
+});
+
+test("a JSON backup reads back with its games", () => {
+  const { profiles, withGames } = parseBackup(backupToJSON(backup()));
+  assert.strictEqual(withGames, true);
+  assert.deepStrictEqual(profiles.profiles, PROFILES.profiles);
+});
@@ -0,0 +1,113 @@
+// ===== Game Clock =====
+// Chess-clock timing for both sides. Times are in milliseconds and the
+// current time comes from now(), so the clock doesn't depend on the page.
+//
+// A time control is { mode, baseTime, bonus }:
+//   "none"         no clock
+//   "suddenDeath"  baseTime for the whole game
+//   "fischer"      bonus is added after every completed turn
+//   "bronstein"    the time a turn took is given back, up to bonus
+const NO_TIME_CONTROL = { mode: "none", baseTime: 0, bonus: 0 };
+
+class GameClock {
+  constructor(timeControl = NO_TIME_CONTROL, now = () => Date.now()) {
+    this.timeControl = { ...NO_TIME_CONTROL, ...timeControl };
+    this.now = now;
+    this.reset();
+  }
+
+  get enabled() {
+    return this.timeControl.mode !== "none";
+  }
+
+  reset() {
+    const { baseTime } = this.timeControl;
+    this.remaining = { red: baseTime, black: baseTime };
+    this.active = null; // Side whose turn is being timed
+    this.running = false;
+    this.runningSince = 0;
+    this.turnUsed = 0; // Time the active side has spent on this turn
+  }
+
+  // Starts timing a new turn for color
+  start(color) {
+    this.pause();
+    this.active = color;
+    this.turnUsed = 0;
+    this.resume();
+  }
+
+  pause() {
+    if (!this.running) return;
+    const elapsed = this.now() - this.runningSince;
+    this.remaining[this.active] -= elapsed;
+    this.turnUsed += elapsed;
+    this.running = false;
+  }
+
+  resume() {
+    if (this.running || !this.active || !this.enabled) return;
+    this.running = true;
+    this.runningSince = this.now();
+  }
+
+  // Ends the active side's turn, adds its bonus and starts the other side
+  completeTurn() {
+    this.pause();
+    const color = this.active;
+    if (!color) return;
+
+    // A side that has already run out of time gets nothing back
+    if (this.remaining[color] > 0) {
+      const { mode, bonus } = this.timeControl;
+      if (mode === "fischer") {
+        this.remaining[color] += bonus;
+      } else if (mode === "bronstein") {
+        this.remaining[color] += Math.min(this.turnUsed, bonus);
+      }
+    }
+
+    this.start(color === "red" ? "black" : "red");
+  }
+
+  getRemaining(color) {
+    let time = this.remaining[color];
+    if (this.running && color === this.active) {
+      time -= this.now() - this.runningSince;
+    }
+    return Math.max(0, time);
+  }
+
+  // The side that has run out of time, or null
+  flagged() {
+    if (!this.enabled) return null;
+    return ["red", "black"].find((color) => this.getRemaining(color) <= 0) || null;
+  }
+
+  // Remaining time of both sides, e.g. to take a move back later
+  snapshot() {
+    return { red: this.getRemaining("red"), black: this.getRemaining("black") };
+  }
+
+  // Puts back a snapshot and starts the turn of color
+  restore(times, color) {
+    this.pause();
+    this.remaining = { red: times.red, black: times.black };
+    this.start(color);
+  }
+}
+
+// "4:05", or "0:09.4" in the last ten seconds
+function formatClockTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  if (ms < 10000) {
+    return `${minutes}:${seconds}.${Math.floor((ms % 1000) / 100)}`;
+  }
+  return `${minutes}:${seconds}`;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { GameClock, NO_TIME_CONTROL, formatClockTime };
+}
@@ -0,0 +1,242 @@
+// ===== Engine Worker =====
+// Hint searches, the computer's turns, the check for the end of the game
+// after every turn and post-game analysis run in a dedicated Web Worker so
+// the page keeps responding while the engine thinks. This file is loaded
+// twice: by the page, where EngineWorker sends it jobs, and as the worker
+// itself, where EngineJobQueue runs them.
+//
+// Messages to the worker:
+//   analyze   { id, variant, job }, job being one of
+//       { kind: "hint", state, count }   the count best turns, with scores
+//       { kind: "move", state, level }   the computer's turn at that level
+//       { kind: "result", positions }
+//           whether the game is over: positions are the one to judge,
+//           last, and every one a turn of the game started from
+//       { kind: "game", positions, turns }
+//           every position of a finished game (see GameAnalysis)
+//   stop      { id }
+//       drops the job, whether it has started or not
+// Messages from the worker:
+//   progress  { id, index, evaluation, progress }
+//       a game job evaluated positions[index]; progress goes from 0 to 1
+//   result    { id, result }
+//       suggestions for a hint, the turn (or null) for a move, the
+//       engine's { winner, reason } (or null) for a result, null for a game
+//   error     { id, message }
+//
+// Jobs run one at a time, in the order they were sent. The worker reads
+// its messages between the positions of a game, but a search is a single
+// step: stopping the search being run restarts the worker instead.
+
+// Inside the worker the engine comes first
+if (typeof importScripts === "function") {
+  importScripts("messages.js", "i18n.js", "movegen.js", "engine.js", "ai.js", "analysis.js");
+}
+
+// The engine: globals in the page and the worker, required under Node
+const { CheckersEngine: JobEngine } =
+  typeof module !== "undefined" && module.exports ? require("./engine.js") : { CheckersEngine };
+const { CheckersAI: JobAI } =
+  typeof module !== "undefined" && module.exports ? require("./ai.js") : { CheckersAI };
+const { GameAnalysis: JobAnalysis } =
+  typeof module !== "undefined" && module.exports ? require("./analysis.js") : { GameAnalysis };
+
+const ENGINE_WORKER_URL = "engine-worker.js";
+
+// One analyze message being worked through
+class EngineJob {
+  constructor(variant, job) {
+    this.engine = new JobEngine(variant);
+    this.job = job;
+
+    if (job.kind === "game") {
+      // A draw by rule is a draw whatever the pieces say
+      const ruleResult = this.getResult(job.positions);
+      this.analysis = new JobAnalysis(this.engine, job.positions, job.turns, !!ruleResult && !ruleResult.winner);
+    }
+  }
+
+  // The engine's result for the last of positions, the earlier ones
+  // counting for repetitions
+  getResult(positions) {
+    const previousKeys = positions.slice(0, -1).map((state) => this.engine.positionKey(state));
+    return this.engine.getResult(positions[positions.length - 1], previousKeys);
+  }
+
+  // Does the next piece of work; returns the message to send back for it
+  step() {
+    const { job } = this;
+    switch (job.kind) {
+      case "hint":
+        return { type: "result", result: new JobAI(this.engine, "hard").analyze(job.state, job.count) };
+      case "move":
+        return { type: "result", result: new JobAI(this.engine, job.level).chooseTurn(job.state) };
+      case "result":
+        return { type: "result", result: this.getResult(job.positions) };
+      case "game": {
+        const analysis = this.analysis;
+        if (analysis.done) return { type: "result", result: null };
+        const index = analysis.evaluations.length;
+        analysis.analyzeNext();
+        return { type: "progress", index, evaluation: analysis.evaluations[index], progress: analysis.progress };
+      }
+      default:
+        throw new Error(`Unknown engine job "${job.kind}"`);
+    }
+  }
+}
+
+// Runs jobs a step per timer tick, so a stop sent during a long job is
+// read before its next step; post receives every message for the page
+class EngineJobQueue {
+  constructor(post) {
+    this.post = post;
+    this.jobs = []; // { id, job: EngineJob }, the one being run first
+    this.timer = null;
+  }
+
+  receive(message) {
+    if (message.type === "analyze") {
+      try {
+        this.jobs.push({ id: message.id, job: new EngineJob(message.variant, message.job) });
+      } catch (error) {
+        this.post({ type: "error", id: message.id, message: error.message });
+      }
+      this.schedule();
+    } else if (message.type === "stop") {
+      this.jobs = this.jobs.filter((queued) => queued.id !== message.id);
+    }
+  }
+
+  schedule() {
+    if (this.timer !== null || this.jobs.length === 0) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.runStep();
+    }, 0);
+  }
+
+  runStep() {
+    const [current] = this.jobs;
+    if (!current) return;
+
+    let message;
+    try {
+      message = current.job.step();
+    } catch (error) {
+      message = { type: "error", message: error.message };
+    }
+    if (message.type !== "progress") {
+      this.jobs.shift();
+    }
+    this.post({ ...message, id: current.id });
+    this.schedule();
+  }
+}
+
+// ===== Page Side =====
+// Sends jobs to the worker and hands its answers to the callbacks given
+// with each job. Where no worker can be started (browsers block them on
+// pages opened from file://, and there are none under Node) the jobs run
+// on the page through the same queue, a step per timer tick.
+class EngineWorker {
+  constructor(url = ENGINE_WORKER_URL) {
+    this.url = url;
+    this.worker = null;
+    this.queue = null; // EngineJobQueue when jobs run on the page
+    this.jobs = new Map(); // id -> { message, onProgress, onResult }, oldest first
+    this.nextId = 1;
+  }
+
+  // Starts a job for the given variant; returns its id for stop
+  analyze(variant, job, { onProgress = () => {}, onResult = () => {} } = {}) {
+    const id = this.nextId++;
+    const message = { type: "analyze", id, variant, job };
+    this.jobs.set(id, { message, onProgress, onResult });
+    this.post(message);
+    return id;
+  }
+
+  // Nothing more is heard from the job; unknown or finished ids are ignored
+  stop(id) {
+    const entry = this.jobs.get(id);
+    if (!entry) return;
+    const running = this.jobs.keys().next().value === id;
+    this.jobs.delete(id);
+
+    if (running && this.worker && entry.message.job.kind !== "game") {
+      // Busy searching: it would only read the stop once the search is over
+      this.worker.terminate();
+      this.worker = null;
+      this.jobs.forEach(({ message }) => this.post(message));
+    } else {
+      this.post({ type: "stop", id });
+    }
+  }
+
+  post(message) {
+    if (!this.worker && !this.queue) {
+      this.start();
+    }
+    if (this.worker) {
+      this.worker.postMessage(message);
+    } else {
+      // A copy, as a worker would get, so later changes to the game don't leak in
+      this.queue.receive(JSON.parse(JSON.stringify(message)));
+    }
+  }
+
+  start() {
+    if (typeof Worker !== "undefined") {
+      try {
+        this.worker = new Worker(this.url);
+        this.worker.onmessage = ({ data }) => this.receive(data);
+        this.worker.onerror = (event) => {
+          event.preventDefault();
+          this.runOnPage();
+        };
+        return;
+      } catch (error) {
+        // Not allowed here: run on the page instead
+      }
+    }
+    this.queue = new EngineJobQueue((message) => this.receive(message));
+  }
+
+  // The worker failed to load; the jobs it had are sent again to the page
+  runOnPage() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.queue = new EngineJobQueue((message) => this.receive(message));
+    this.jobs.forEach(({ message }) => this.queue.receive(JSON.parse(JSON.stringify(message))));
+  }
+
+  receive(message) {
+    const entry = this.jobs.get(message.id);
+    // Stopped since
+    if (!entry) return;
+
+    if (message.type === "progress") {
+      entry.onProgress(message);
+      return;
+    }
+    this.jobs.delete(message.id);
+    if (message.type === "error") {
+      console.error(`Engine job failed: ${message.message}`);
+    } else {
+      entry.onResult(message.result);
+    }
+  }
+}
+
+// Inside the worker: run every job the page sends
+if (typeof importScripts === "function") {
+  const workerQueue = new EngineJobQueue((message) => self.postMessage(message));
+  self.onmessage = ({ data }) => workerQueue.receive(data);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { EngineWorker, EngineJob, EngineJobQueue };
+}
@@ -0,0 +1,360 @@
+// ===== Rules Engine =====
+// Headless draughts rules. Every method takes a state (or board) and returns
+// new data without touching the DOM or mutating its arguments, so the same
+// engine can run in the page, in a Web Worker or under Node.
+//
+// State shape:
+//   board           size x size array of { color: "red" | "black", king: boolean } or null
+//   currentPlayer   "red" | "black"
+//   quietMoves      turns in a row with only kings moving and nothing captured
+
+// ===== Rule Variants =====
+// What happens when a man reaches the last row in the middle of a capture
+// (promotionInCapture):
+//   "stop"      it is crowned and the turn ends
+//   "continue"  it is crowned and keeps capturing as a king
+//   "pass"      it keeps capturing as a man, crowned only if it stops there
+// drawMoveLimit is the number of moves per side without captures or man
+// moves after which the game is drawn.
+// maximumCapture restricts which capture the player may choose:
+//   "none"      any capture sequence
+//   "quantity"  only sequences taking the most pieces
+//   "quality"   the most pieces and, on a tie, the most kings (ley de
+//               cantidad y calidad)
+// firstPlayer is the side that moves first in the standard opening.
+// darkParity picks the playable squares, (row + col) % 2 === darkParity:
+// 0 leaves a dark square in each player's right-hand corner (Spanish
+// board), 1 in the left-hand corner as on English and international boards.
+const VARIANTS = {
+  spanish: {
+    id: "spanish",
+    name: "Española",
+    size: 8,
+    rows: 3,
+    darkParity: 0,
+    firstPlayer: "red",
+    menCaptureBackward: false,
+    flyingKings: true,
+    mandatoryCapture: true,
+    maximumCapture: "quality",
+    promotionInCapture: "stop",
+    drawMoveLimit: 25,
+    pdnGameType: "24",
+  },
+  english: {
+    id: "english",
+    name: "Inglesa (Checkers)",
+    size: 8,
+    rows: 3,
+    darkParity: 1,
+    firstPlayer: "black",
+    menCaptureBackward: false,
+    flyingKings: false,
+    mandatoryCapture: true,
+    maximumCapture: "none",
+    promotionInCapture: "stop",
+    drawMoveLimit: 40,
+    pdnGameType: "21",
+  },
+  international: {
+    id: "international",
+    name: "Internacional 10x10",
+    size: 10,
+    rows: 4,
+    darkParity: 1,
+    firstPlayer: "red",
+    menCaptureBackward: true,
+    flyingKings: true,
+    mandatoryCapture: true,
+    maximumCapture: "quantity",
+    promotionInCapture: "pass",
+    drawMoveLimit: 25,
+    pdnGameType: "20",
+  },
+  brazilian: {
+    id: "brazilian",
+    name: "Brasileña",
+    size: 8,
+    rows: 3,
+    darkParity: 1,
+    firstPlayer: "red",
+    menCaptureBackward: true,
+    flyingKings: true,
+    mandatoryCapture: true,
+    maximumCapture: "quantity",
+    promotionInCapture: "pass",
+    drawMoveLimit: 25,
+    pdnGameType: "26",
+  },
+  russian: {
+    id: "russian",
+    name: "Rusa",
+    size: 8,
+    rows: 3,
+    darkParity: 1,
+    firstPlayer: "red",
+    menCaptureBackward: true,
+    flyingKings: true,
+    mandatoryCapture: true,
+    maximumCapture: "none",
+    promotionInCapture: "continue",
+    drawMoveLimit: 15,
+    pdnGameType: "25",
+  },
+};
+
+const DEFAULT_VARIANT = "spanish";
+
+// Move generation (see movegen.js): a global in the page, required under Node
+const { MoveGenerator: EngineMoveGenerator } =
+  typeof module !== "undefined" && module.exports ? require("./movegen.js") : { MoveGenerator };
+
+class CheckersEngine {
+  // variant: a VARIANTS id, or a rules object overriding the default variant
+  constructor(variant = DEFAULT_VARIANT) {
+    this.rules =
+      typeof variant === "string"
+        ? VARIANTS[Object.hasOwn(VARIANTS, variant) ? variant : DEFAULT_VARIANT]
+        : { ...VARIANTS[DEFAULT_VARIANT], ...variant };
+    this.size = this.rules.size;
+    this.generator = new EngineMoveGenerator(this.rules);
+  }
+
+  // ===== State Creation =====
+  createInitialBoard() {
+    const board = [];
+    for (let row = 0; row < this.size; row++) {
+      board[row] = [];
+      for (let col = 0; col < this.size; col++) {
+        board[row][col] = null;
+      }
+    }
+
+    // Black on the top rows, red on the bottom rows (dark squares only)
+    const { rows } = this.rules;
+    for (let row = 0; row < this.size; row++) {
+      if (row >= rows && row < this.size - rows) continue;
+      const color = row < rows ? "black" : "red";
+      for (let col = 0; col < this.size; col++) {
+        if (this.isDarkSquare(row, col)) {
+          board[row][col] = { color, king: false };
+        }
+      }
+    }
+
+    return board;
+  }
+
+  createInitialState(startingPlayer = this.rules.firstPlayer) {
+    return {
+      board: this.createInitialBoard(),
+      currentPlayer: startingPlayer,
+      quietMoves: 0,
+    };
+  }
+
+  isDarkSquare(row, col) {
+    return (row + col) % 2 === this.rules.darkParity;
+  }
+
+  cloneBoard(board) {
+    return board.map((row) => row.map((piece) => (piece ? { ...piece } : null)));
+  }
+
+  cloneState(state) {
+    return {
+      ...state,
+      board: this.cloneBoard(state.board),
+    };
+  }
+
+  isValidPosition(row, col) {
+    return row >= 0 && row < this.size && col >= 0 && col < this.size;
+  }
+
+  opponent(color) {
+    return color === "red" ? "black" : "red";
+  }
+
+  // ===== Legal Turns =====
+  // Every legal path for the side to move: complete capture sequences
+  // (only the best ones under a majority rule) and plain slides
+  getLegalPaths(state) {
+    const squares = this.generator.fromBoard(state.board);
+    return this.generator.generate(squares, state.currentPlayer).map((move) => this.generator.toSteps(move));
+  }
+
+  // Whether the side to move is obliged to capture right now
+  mustCapture(state) {
+    const squares = this.generator.fromBoard(state.board);
+    return this.rules.mandatoryCapture && this.generator.hasCapture(squares, state.currentPlayer);
+  }
+
+  // Whether the piece on (row, col) has something to take, majority rules aside
+  canCapture(board, row, col) {
+    return this.generator.canCapture(this.generator.fromBoard(board), this.generator.squareAt[row][col]);
+  }
+
+  // Legal paths that start on (row, col)
+  getPiecePaths(state, row, col) {
+    return this.getLegalPaths(state).filter((path) => path[0].fromRow === row && path[0].fromCol === col);
+  }
+
+  // First steps of the legal paths for the piece on (row, col)
+  getValidMoves(state, row, col) {
+    const moves = [];
+    for (const path of this.getPiecePaths(state, row, col)) {
+      const { move } = path[0];
+      if (!moves.some((m) => m.row === move.row && m.col === move.col)) {
+        moves.push(move);
+      }
+    }
+    return moves;
+  }
+
+  // Every piece of the side to move that has at least one legal move
+  getAllMoves(state) {
+    const piecesWithMoves = [];
+    for (const path of this.getLegalPaths(state)) {
+      const { fromRow: row, fromCol: col, move } = path[0];
+      let entry = piecesWithMoves.find((p) => p.row === row && p.col === col);
+      if (!entry) {
+        entry = { row, col, moves: [] };
+        piecesWithMoves.push(entry);
+      }
+      if (!entry.moves.some((m) => m.row === move.row && m.col === move.col)) {
+        entry.moves.push(move);
+      }
+    }
+    return piecesWithMoves;
+  }
+
+  playerHasValidMoves(state, color) {
+    return this.generator.hasMoves(this.generator.fromBoard(state.board), color);
+  }
+
+  // ===== Turn Application =====
+  // Plays a whole path at once: the piece moves to its last square, every
+  // captured piece is removed together and the turn passes. Returns the new
+  // state, the captured pieces ({ row, col, piece }) and whether the piece
+  // was crowned.
+  applyTurn(state, path) {
+    const board = this.cloneBoard(state.board);
+    const first = path[0];
+    const last = path[path.length - 1].move;
+    const piece = board[first.fromRow][first.fromCol];
+    const kingMove = piece.king;
+
+    const captured = path
+      .filter((step) => step.move.capture)
+      .map(({ move: { capture } }) => ({
+        row: capture.row,
+        col: capture.col,
+        piece: board[capture.row][capture.col],
+      }));
+    for (const { row, col } of captured) {
+      board[row][col] = null;
+    }
+
+    board[first.fromRow][first.fromCol] = null;
+    board[last.row][last.col] = piece;
+
+    // Crowned on ending the turn on the last row, or on touching it during
+    // a capture where the variant crowns the man straight away
+    const lastRow = piece.color === "red" ? 0 : this.size - 1;
+    const promoted =
+      !piece.king &&
+      (last.row === lastRow ||
+        (this.rules.promotionInCapture === "continue" && path.some((step) => step.move.row === lastRow)));
+    if (promoted) {
+      piece.king = true;
+    }
+
+    const nextState = {
+      ...state,
+      board,
+      currentPlayer: this.opponent(state.currentPlayer),
+      quietMoves: kingMove && captured.length === 0 ? (state.quietMoves || 0) + 1 : 0,
+    };
+
+    return { state: nextState, captured, promoted };
+  }
+
+  // Every legal turn for the side to move. Each turn lists its steps
+  // ({ fromRow, fromCol, move }), the number of pieces it captures and the
+  // state once the turn has passed.
+  generateTurns(state) {
+    return this.getLegalPaths(state).map((steps) => {
+      const result = this.applyTurn(state, steps);
+      return { steps, state: result.state, captures: result.captured.length };
+    });
+  }
+
+  // ===== Game Result =====
+  countPieces(board, color) {
+    const { rows, cols } = this.generator;
+    let count = 0;
+    for (let square = 0; square < rows.length; square++) {
+      const piece = board[rows[square]][cols[square]];
+      if (piece && piece.color === color) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // Identifies a position for repetition checks (pieces and side to move)
+  positionKey(state) {
+    const symbols = { red: "r", black: "b" };
+    let key = state.currentPlayer === "red" ? "r:" : "b:";
+    for (const row of state.board) {
+      for (const piece of row) {
+        if (!piece) key += ".";
+        else key += piece.king ? symbols[piece.color].toUpperCase() : symbols[piece.color];
+      }
+    }
+    return key;
+  }
+
+  // Why the position is drawn, or null. previousKeys are the position keys
+  // of every earlier turn of the game.
+  getDrawReason(state, previousKeys = []) {
+    const key = this.positionKey(state);
+    const repetitions = previousKeys.filter((previous) => previous === key).length + 1;
+    if (repetitions >= 3) return "repetition";
+
+    if ((state.quietMoves || 0) >= this.rules.drawMoveLimit * 2) return "moveLimit";
+
+    // One lone king each can never force a win
+    const pieces = state.board.flat().filter(Boolean);
+    if (pieces.length === 2 && pieces.every((piece) => piece.king) && pieces[0].color !== pieces[1].color) {
+      return "insufficientMaterial";
+    }
+
+    return null;
+  }
+
+  // null while the game is still going, otherwise { winner, reason }; a draw
+  // has a null winner
+  getResult(state, previousKeys = []) {
+    if (this.countPieces(state.board, "red") === 0) {
+      return { winner: "black", reason: "noPieces" };
+    }
+    if (this.countPieces(state.board, "black") === 0) {
+      return { winner: "red", reason: "noPieces" };
+    }
+    if (!this.playerHasValidMoves(state, state.currentPlayer)) {
+      return { winner: this.opponent(state.currentPlayer), reason: "noMoves" };
+    }
+
+    const drawReason = this.getDrawReason(state, previousKeys);
+    if (drawReason) {
+      return { winner: null, reason: drawReason };
+    }
+    return null;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { CheckersEngine, VARIANTS, DEFAULT_VARIANT };
+}
@@ -0,0 +1,175 @@
+// ===== Engine Tests =====
+// The rules the perft counts can't show on their own: which paths a
+// position allows and what they do to the board. Positions are built
+// square by square, without the notation, so a bug there can't hide one
+// here.
+//
+//   node --test
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { CheckersEngine, VARIANTS } = require("./engine.js");
+
+// A state with only the given pieces: [row, col, "r" | "b" | "R" | "B"],
+// capitals being kings
+function position(engine, pieces, currentPlayer = "red") {
+  const board = engine.createInitialBoard().map((row) => row.map(() => null));
+  for (const [row, col, symbol] of pieces) {
+    assert.ok(engine.isDarkSquare(row, col), `${row},${col} is not a playable square`);
+    board[row][col] = { color: symbol.toLowerCase() === "r" ? "red" : "black", king: symbol === symbol.toUpperCase() };
+  }
+  return { board, currentPlayer, quietMoves: 0 };
+}
+
+// A path as its squares, e.g. "5,0 3,2 1,4"
+function pathText(path) {
+  return [`${path[0].fromRow},${path[0].fromCol}`, ...path.map(({ move }) => `${move.row},${move.col}`)].join(" ");
+}
+
+function legalPaths(engine, state) {
+  return engine.getLegalPaths(state).map(pathText).sort();
+}
+
+// ===== Crowning During a Capture =====
+// A red man takes 1,3 and lands on the last row at 0,2, where a black man
+// on 1,1 can still be taken, by a king or by a man capturing backward
+const CROWNING = [
+  [2, 4, "r"],
+  [1, 3, "b"],
+  [1, 1, "b"],
+];
+
+function crowningEngine(promotionInCapture) {
+  return new CheckersEngine({ promotionInCapture, menCaptureBackward: true });
+}
+
+test("promotionInCapture stop: crowned on the last row and the turn ends", () => {
+  const engine = crowningEngine("stop");
+  const state = position(engine, CROWNING);
+  assert.deepStrictEqual(legalPaths(engine, state), ["2,4 0,2"]);
+
+  const { state: next, captured, promoted } = engine.applyTurn(state, engine.getLegalPaths(state)[0]);
+  assert.strictEqual(promoted, true);
+  assert.strictEqual(captured.length, 1);
+  assert.deepStrictEqual(next.board[0][2], { color: "red", king: true });
+  assert.deepStrictEqual(next.board[1][1], { color: "black", king: false });
+});
+
+test("promotionInCapture continue: crowned on the last row and goes on as a king", () => {
+  const engine = crowningEngine("continue");
+  const state = position(engine, CROWNING);
+  assert.deepStrictEqual(legalPaths(engine, state), ["2,4 0,2 2,0"]);
+
+  const { state: next, captured, promoted } = engine.applyTurn(state, engine.getLegalPaths(state)[0]);
+  assert.strictEqual(promoted, true);
+  assert.strictEqual(captured.length, 2);
+  assert.deepStrictEqual(next.board[2][0], { color: "red", king: true });
+});
+
+test("promotionInCapture pass: goes on as a man and is not crowned off the last row", () => {
+  const engine = crowningEngine("pass");
+  const state = position(engine, CROWNING);
+  assert.deepStrictEqual(legalPaths(engine, state), ["2,4 0,2 2,0"]);
+
+  const { state: next, captured, promoted } = engine.applyTurn(state, engine.getLegalPaths(state)[0]);
+  assert.strictEqual(promoted, false);
+  assert.strictEqual(captured.length, 2);
+  assert.deepStrictEqual(next.board[2][0], { color: "red", king: false });
+});
+
+test("promotionInCapture pass: crowned when the capture ends on the last row", () => {
+  const engine = crowningEngine("pass");
+  const state = position(engine, CROWNING.slice(0, 2));
+  const { state: next, promoted } = engine.applyTurn(state, engine.getLegalPaths(state)[0]);
+  assert.strictEqual(promoted, true);
+  assert.deepStrictEqual(next.board[0][2], { color: "red", king: true });
+});
+
+// ===== Multiple Jumps =====
+test("a man takes several pieces in one turn, choosing its way at a fork", () => {
+  const engine = new CheckersEngine("english");
+  const state = position(engine, [
+    [5, 0, "r"],
+    [7, 2, "r"],
+    [4, 1, "b"],
+    [2, 3, "b"],
+    [2, 1, "b"],
+  ]);
+  // The capture is compulsory, so the man on 7,2 may not slide
+  assert.deepStrictEqual(legalPaths(engine, state), ["5,0 3,2 1,0", "5,0 3,2 1,4"]);
+
+  const path = engine.getLegalPaths(state).find((steps) => pathText(steps) === "5,0 3,2 1,4");
+  assert.deepStrictEqual(
+    path.map(({ move }) => move.capture),
+    [
+      { row: 4, col: 1 },
+      { row: 2, col: 3 },
+    ]
+  );
+
+  const { state: next, captured } = engine.applyTurn(state, path);
+  assert.strictEqual(captured.length, 2);
+  assert.strictEqual(next.board[5][0], null);
+  assert.strictEqual(next.board[4][1], null);
+  assert.strictEqual(next.board[2][3], null);
+  assert.deepStrictEqual(next.board[2][1], { color: "black", king: false });
+  assert.deepStrictEqual(next.board[1][4], { color: "red", king: false });
+  assert.strictEqual(next.currentPlayer, "black");
+});
+
+// ===== Flying Kings =====
+test("a flying king takes from a distance and lands on any square past the piece", () => {
+  const engine = new CheckersEngine("international");
+  const state = position(engine, [
+    [9, 0, "R"],
+    [5, 4, "b"],
+  ]);
+  assert.deepStrictEqual(legalPaths(engine, state), ["9,0 0,9", "9,0 1,8", "9,0 2,7", "9,0 3,6", "9,0 4,5"]);
+
+  const path = engine.getLegalPaths(state).find((steps) => pathText(steps) === "9,0 2,7");
+  const { state: next, captured } = engine.applyTurn(state, path);
+  assert.deepStrictEqual(captured, [{ row: 5, col: 4, piece: { color: "black", king: false } }]);
+  assert.strictEqual(next.board[5][4], null);
+  assert.deepStrictEqual(next.board[2][7], { color: "red", king: true });
+});
+
+test("a short-range king can't take from a distance", () => {
+  const engine = new CheckersEngine("english");
+  const state = position(engine, [
+    [7, 0, "R"],
+    [4, 3, "b"],
+  ]);
+  assert.deepStrictEqual(legalPaths(engine, state), ["7,0 6,1"]);
+});
+
+// ===== Majority Capture =====
+// A red man can take one piece towards 4,5 or two towards 2,3
+const MAJORITY = [
+  [6, 3, "r"],
+  [5, 4, "b"],
+  [5, 2, "b"],
+  [3, 2, "b"],
+];
+
+test("maximumCapture quantity: only the sequences taking the most pieces", () => {
+  const engine = new CheckersEngine("international");
+  assert.deepStrictEqual(legalPaths(engine, position(engine, MAJORITY)), ["6,3 4,1 2,3"]);
+});
+
+test("maximumCapture none: any capture sequence", () => {
+  const engine = new CheckersEngine({ ...VARIANTS.international, maximumCapture: "none" });
+  assert.deepStrictEqual(legalPaths(engine, position(engine, MAJORITY)), ["6,3 4,1 2,3", "6,3 4,5"]);
+});
+
+test("maximumCapture quality: on equal numbers, the sequence taking the king", () => {
+  const engine = new CheckersEngine("spanish");
+  const pieces = [
+    [5, 3, "r"],
+    [4, 2, "b"],
+    [4, 4, "B"],
+  ];
+  assert.deepStrictEqual(legalPaths(engine, position(engine, pieces)), ["5,3 3,5"]);
+
+  const quantity = new CheckersEngine({ maximumCapture: "quantity" });
+  assert.deepStrictEqual(legalPaths(quantity, position(quantity, pieces)), ["5,3 3,1", "5,3 3,5"]);
+});
@@ -5,92 +5,262 @@ class CheckersGame {
     this.currentPlayer = null;
     this.selectedPiece = null;
     this.selectedSquare = null;
+    this.focusedSquare = null; // Square the keyboard is on (see getFocusedSquare)
     this.validMoves = [];
     this.mustCapture = false;
-    this.continueCapture = false;
+    this.candidatePaths = []; // Legal paths of the selected piece still matching its steps
+    this.pathSteps = []; // Steps of a capture path entered so far
+    this.walkingSteps = false; // Entering steps again that were announced before (see walkPathSteps)
+    this.drag = null; // Piece being dragged with a pointer (see handlePointerDown)
+    this.dragJustEnded = false;
     this.gameOver = false;
+    this.quietMoves = 0;
+    this.startingPlayer = "red";
+    this.engine = new CheckersEngine(DEFAULT_VARIANT);
+    this.notation = new DraughtsNotation(this.engine);
+
+    // Computer opponent (null when two humans play)
+    this.ai = null;
+    this.aiPlayer = null;
+    this.aiTimer = null;
+    this.aiJob = null; // Id of its search in the engine worker
+    this.resultJob = null; // Id of the check for the end of the game, between turns
+
+    // Searches and analysis run off the page (see engine-worker.js)
+    this.engineWorker = new EngineWorker();
+
+    // Hints: the suggested path while it is shown, and how many each side
+    // asked for in this game
+    this.hint = null;
+    this.hintJob = null;
+    this.hintsUsed = { red: 0, black: 0 };
+
+    // Move history: one entry per turn, newest last
+    this.history = [];
+    this.redoStack = [];
+    this.undoEnabled = true;
+    this.result = null;
+
+    // Online game (null when both players share this screen)
+    this.online = null;
+    this.onlineColor = null;
+    this.onlineRoom = null;
+    this.onlineConnected = false;
+    this.opponentConnected = false;
+
+    // Game clocks (disabled until a time control is chosen)
+    this.clock = new GameClock();
+    this.clockTimer = null;
+
+    // Match or round robin being played (see tournament.js), null otherwise
+    this.tournament = null;
+
+    // Puzzle training (see puzzles.js), null otherwise: { list, index,
+    // stats } plus the attempt at list[index]: { step, failed, done,
+    // revealing, timer }, step being the next solution turn to play
+    this.puzzles = null;
+
+    // Replay viewer: { index, finalState, status, timers } while a finished game is replayed
+    this.replay = null;
+
+    // Position editor
+    this.editing = false;
+    this.editorTool = "red-man";
+    this.editorBackup = null;
     
-    // Player statistics
-    this.stats = {
-      red: { wins: 0, losses: 0, draws: 0, name: "Jugador Rojo" },
-      black: { wins: 0, losses: 0, draws: 0, name: "Jugador Negro" }
-    };
-    
-    // Load stats from localStorage if available
-    this.loadStats();
+    // Integrations listen to the game through events (see plugins.js)
+    this.events = new GameEvents();
+
+    // Player profiles: results and ratings belong to whoever plays each side
+    this.profiles = new ProfileStore();
+    this.players = { red: null, black: null };
+    this.setPlayers(t("players.defaultRed"), t("players.defaultBlack"));
 
     this.initBoard();
     this.renderBoard();
     this.updateUI();
     this.attachEventListeners();
     this.attachNameInputListeners();
+    installPlugins(this);
   }
 
   // ===== Board Initialization =====
   initBoard() {
-    // Create 8x8 board
-    for (let row = 0; row < 8; row++) {
-      this.board[row] = [];
-      for (let col = 0; col < 8; col++) {
-        this.board[row][col] = null;
-      }
-    }
+    this.board = this.engine.createInitialBoard();
+  }
 
-    // Place black pieces (top 3 rows on dark squares)
-    for (let row = 0; row < 3; row++) {
-      for (let col = 0; col < 8; col++) {
-        if ((row + col) % 2 === 0) {
-          this.board[row][col] = { color: "black", king: false };
-        }
-      }
-    }
+  // Snapshot of the position in the shape the rules engine expects
+  getState() {
+    return {
+      board: this.board,
+      currentPlayer: this.currentPlayer,
+      quietMoves: this.quietMoves,
+    };
+  }
 
-    // Place red pieces (bottom 3 rows on dark squares)
-    for (let row = 5; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        if ((row + col) % 2 === 0) {
-          this.board[row][col] = { color: "red", king: false };
-        }
-      }
-    }
+  // The board as shown: while a capture path is being entered the piece
+  // stands on its latest landing square and the pieces it jumped stay put
+  getDisplayBoard() {
+    if (this.pathSteps.length === 0) return this.board;
+
+    const board = this.engine.cloneBoard(this.board);
+    const { fromRow, fromCol } = this.pathSteps[0];
+    const last = this.pathSteps[this.pathSteps.length - 1].move;
+    const piece = board[fromRow][fromCol];
+    board[fromRow][fromCol] = null;
+    board[last.row][last.col] = piece;
+    return board;
   }
 
   // ===== Board Rendering =====
+  // An ARIA grid: one row element per board row and a named gridcell per
+  // square; only the focused square is in the tab order
   renderBoard() {
     const boardEl = document.getElementById("game-board");
+    const hadFocus = boardEl.contains(document.activeElement);
     boardEl.innerHTML = "";
 
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
+    const size = this.engine.size;
+    boardEl.style.setProperty("--board-size", size);
+    boardEl.classList.toggle("large-board", size > 8);
+
+    const board = this.getDisplayBoard();
+    const focused = this.getFocusedSquare();
+    for (let row = 0; row < size; row++) {
+      const rowEl = document.createElement("div");
+      rowEl.className = "board-row";
+      rowEl.setAttribute("role", "row");
+      for (let col = 0; col < size; col++) {
         const square = document.createElement("div");
         square.className = "square";
-        square.classList.add((row + col) % 2 === 0 ? "dark" : "light");
+        square.classList.add(this.engine.isDarkSquare(row, col) ? "dark" : "light");
         square.dataset.row = row;
         square.dataset.col = col;
+        square.setAttribute("role", "gridcell");
+        square.tabIndex = row === focused.row && col === focused.col ? 0 : -1;
 
-        const piece = this.board[row][col];
+        const piece = board[row][col];
         if (piece) {
           const pieceEl = document.createElement("div");
           pieceEl.className = `piece ${piece.color}`;
           if (piece.king) {
             pieceEl.classList.add("king");
           }
+          if (this.pathSteps.some((step) => step.move.capture.row === row && step.move.capture.col === col)) {
+            pieceEl.classList.add("pending-capture");
+          }
+          // The dragged piece stays faded on its square while a copy follows the pointer
+          if (this.drag && this.drag.ghost && this.selectedSquare &&
+              this.selectedSquare.row === row && this.selectedSquare.col === col) {
+            pieceEl.classList.add("drag-source");
+          }
           square.appendChild(pieceEl);
         }
 
-        square.addEventListener("click", () =>
-          this.handleSquareClick(row, col)
-        );
-        boardEl.appendChild(square);
+        square.addEventListener("click", () => {
+          this.focusedSquare = { row, col };
+          this.handleSquareClick(row, col);
+        });
+        rowEl.appendChild(square);
+      }
+      boardEl.appendChild(rowEl);
+    }
+
+    this.updateSquareLabels();
+    // Keep the keyboard on the board when it is redrawn under it
+    if (hadFocus) {
+      this.focusSquare(focused.row, focused.col);
+    }
+  }
+
+  // The square the keyboard is on; until the board is used it is the
+  // first dark square of the bottom row
+  getFocusedSquare() {
+    const size = this.engine.size;
+    if (this.focusedSquare && this.focusedSquare.row < size && this.focusedSquare.col < size) {
+      return this.focusedSquare;
+    }
+    const row = size - 1;
+    return { row, col: this.engine.isDarkSquare(row, 0) ? 0 : 1 };
+  }
+
+  focusSquare(row, col) {
+    this.focusedSquare = { row, col };
+    document.querySelectorAll("#game-board .square").forEach((square) => {
+      const isFocused = Number(square.dataset.row) === row && Number(square.dataset.col) === col;
+      square.tabIndex = isFocused ? 0 : -1;
+      if (isFocused) {
+        square.focus();
+      }
+    });
+  }
+
+  // Names every square for screen readers, e.g. "casilla 22, dama roja,
+  // destino posible"; light squares are never played on
+  updateSquareLabels() {
+    const board = this.getDisplayBoard();
+    const states = [
+      ["selected", "board.selected"],
+      ["valid-move", "board.validMove"],
+      ["hint-path", "board.hint"],
+    ];
+    document.querySelectorAll("#game-board .square").forEach((square) => {
+      const row = Number(square.dataset.row);
+      const col = Number(square.dataset.col);
+      square.setAttribute("aria-selected", String(square.classList.contains("selected")));
+      if (!this.engine.isDarkSquare(row, col)) {
+        square.setAttribute("aria-label", t("board.lightSquare"));
+        return;
       }
+
+      const parts = [t("board.square", { number: this.notation.squareNumber(row, col) })];
+      const piece = board[row][col];
+      if (piece) {
+        parts.push(t(`board.pieces.${piece.color}${piece.king ? "King" : "Man"}`));
+      }
+      if (square.querySelector(".pending-capture")) {
+        parts.push(t("board.pendingCapture"));
+      }
+      for (const [className, key] of states) {
+        if (square.classList.contains(className)) parts.push(t(key));
+      }
+      square.setAttribute("aria-label", parts.join(t("board.separator")));
+    });
+  }
+
+  // ===== Keyboard Control =====
+  // Arrow keys move across the squares; Enter or Space acts as a click, so
+  // it selects a piece and then plays it; Escape drops the selection
+  handleBoardKey(e) {
+    const square = e.target.closest(".square");
+    if (!square) return;
+    const row = Number(square.dataset.row);
+    const col = Number(square.dataset.col);
+    const arrows = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+
+    if (arrows[e.key]) {
+      e.preventDefault();
+      const [rowStep, colStep] = arrows[e.key];
+      const last = this.engine.size - 1;
+      this.focusSquare(Math.min(Math.max(row + rowStep, 0), last), Math.min(Math.max(col + colStep, 0), last));
+    } else if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      this.focusedSquare = { row, col };
+      this.handleSquareClick(row, col);
+    } else if (e.key === "Escape") {
+      this.deselectPiece();
     }
   }
 
   // ===== Square Click Handler =====
   handleSquareClick(row, col) {
-    if (this.gameOver) return;
+    if (this.editing) {
+      this.editSquare(row, col);
+      return;
+    }
+    if (this.isBoardLocked()) return;
 
-    const piece = this.board[row][col];
+    const piece = this.getDisplayBoard()[row][col];
 
     // If we have a selected piece and click a valid move
     if (this.selectedPiece && this.isValidMove(row, col)) {
@@ -105,13 +275,12 @@ class CheckersGame {
 
     // Select a piece
     if (piece && piece.color === this.currentPlayer) {
-      // Check if there are forced captures
-      if (
-        this.continueCapture &&
-        this.selectedSquare &&
-        (this.selectedSquare.row !== row || this.selectedSquare.col !== col)
-      ) {
-        return; // Must continue with the same piece
+      if (this.pathSteps.length > 0) {
+        // Clicking the moving piece takes the unfinished path back
+        if (this.selectedSquare.row === row && this.selectedSquare.col === col) {
+          this.takeBackSteps(0);
+        }
+        return; // Must finish the capture with the same piece
       }
 
       this.selectPiece(row, col);
@@ -120,307 +289,399 @@ class CheckersGame {
     }
   }
 
-  // ===== Piece Selection =====
-  selectPiece(row, col) {
-    this.selectedPiece = this.board[row][col];
-    this.selectedSquare = { row, col };
+  // Nobody may move on the board: the game is over, being replayed, or
+  // checked for its end, or it is the computer's, the remote player's or the
+  // puzzle's turn
+  isBoardLocked() {
+    return (
+      this.gameOver ||
+      this.replay ||
+      this.resultJob !== null ||
+      this.isComputerTurn() ||
+      this.isRemoteTurn() ||
+      this.isPuzzleLocked()
+    );
+  }
 
-    // Calculate valid moves
-    if (this.continueCapture) {
-      this.validMoves = this.getCaptureMoves(row, col);
-    } else {
-      this.validMoves = this.getValidMoves(row, col);
+  // ===== Drag and Drop =====
+  // A piece of the side to move can be picked up with a mouse, finger or
+  // pen. While it is dragged its landing squares stay highlighted; passing
+  // over one that leads on to a further capture takes that step, so a
+  // multi-capture can be drawn in one gesture, and the last step is taken
+  // on the drop. A tap never becomes a drag and goes to handleSquareClick.
+  handlePointerDown(e) {
+    this.dragJustEnded = false;
+    if (this.drag || e.button !== 0 || this.editing || this.isBoardLocked()) return;
+    const square = e.target.closest(".square");
+    if (!square) return;
+    const target = { row: Number(square.dataset.row), col: Number(square.dataset.col) };
+
+    const piece = this.getDisplayBoard()[target.row][target.col];
+    if (!piece || piece.color !== this.currentPlayer) return;
+    // Halfway through a capture only the moving piece can go on
+    if (this.pathSteps.length > 0 &&
+        (this.selectedSquare.row !== target.row || this.selectedSquare.col !== target.col)) return;
+
+    this.drag = {
+      pointerId: e.pointerId,
+      row: target.row,
+      col: target.col,
+      startX: e.clientX,
+      startY: e.clientY,
+      stepsBefore: this.pathSteps.length,
+      ghost: null,
+    };
+  }
+
+  handlePointerMove(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    if (!drag.ghost) {
+      // A few pixels of slack so a shaky tap is still a click
+      if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < 6) return;
+      this.startDrag(e);
     }
+    this.moveGhost(drag.ghost, e.clientX, e.clientY);
 
-    this.highlightSquares();
+    const target = this.getSquareAt(e.clientX, e.clientY);
+    this.setDragOver(target);
+    if (target && this.isValidMove(target.row, target.col) && !this.completesPath(target.row, target.col)) {
+      this.movePiece(this.selectedSquare.row, this.selectedSquare.col, target.row, target.col);
+    }
   }
 
-  deselectPiece() {
-    if (this.continueCapture) return; // Can't deselect during multi-capture
-
-    this.selectedPiece = null;
-    this.selectedSquare = null;
-    this.validMoves = [];
-    this.highlightSquares();
+  handlePointerUp(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    this.drag = null;
+    if (!drag.ghost) return; // A tap
+
+    // The click that follows the drop is not a tap on the square
+    this.dragJustEnded = true;
+    this.setDragOver(null);
+    const target = this.getSquareAt(e.clientX, e.clientY);
+    const onPiece = target && target.row === this.selectedSquare.row && target.col === this.selectedSquare.col;
+    if (target && !this.isBoardLocked() && this.isValidMove(target.row, target.col)) {
+      drag.ghost.remove();
+      this.movePiece(this.selectedSquare.row, this.selectedSquare.col, target.row, target.col);
+    } else if (onPiece && !this.isBoardLocked()) {
+      // Dropped where it stands: the capture steps taken so far hold
+      drag.ghost.remove();
+      this.renderBoard();
+      this.highlightSquares();
+    } else {
+      this.snapBack(drag);
+    }
   }
 
-  // ===== Move Validation =====
-  isValidMove(row, col) {
-    return this.validMoves.some((move) => move.row === row && move.col === col);
+  cancelDrag(e) {
+    const drag = this.drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    this.drag = null;
+    if (drag.ghost) {
+      this.setDragOver(null);
+      this.snapBack(drag);
+    }
   }
 
-  getValidMoves(row, col) {
-    const piece = this.board[row][col];
-    if (!piece) return [];
+  startDrag(e) {
+    const drag = this.drag;
+    if (!this.selectedSquare || this.selectedSquare.row !== drag.row || this.selectedSquare.col !== drag.col) {
+      this.selectPiece(drag.row, drag.col);
+    }
 
-    const captureMoves = this.getCaptureMoves(row, col);
+    const pieceEl = document.querySelector(`.square[data-row="${drag.row}"][data-col="${drag.col}"] .piece`);
+    const bounds = pieceEl.getBoundingClientRect();
+    drag.ghost = pieceEl.cloneNode(true);
+    drag.ghost.classList.add("drag-ghost");
+    drag.ghost.style.width = `${bounds.width}px`;
+    drag.ghost.style.height = `${bounds.height}px`;
+    document.body.appendChild(drag.ghost);
+    pieceEl.classList.add("drag-source");
 
-    // If there are any captures available for this player, they must capture
-    const allCaptures = this.getAllCaptureMoves(piece.color);
-    if (allCaptures.length > 0) {
-      this.mustCapture = true;
-      return captureMoves;
+    // Keep the pointer's events coming to the board when it leaves it
+    const boardEl = document.getElementById("game-board");
+    if (boardEl.setPointerCapture) {
+      boardEl.setPointerCapture(e.pointerId);
     }
+  }
 
-    this.mustCapture = false;
-    const normalMoves = this.getNormalMoves(row, col);
-    return [...captureMoves, ...normalMoves];
+  // Centres the dragged copy on the pointer
+  moveGhost(ghost, x, y) {
+    const width = parseFloat(ghost.style.width);
+    const height = parseFloat(ghost.style.height);
+    ghost.style.transform = `translate(${x - width / 2}px, ${y - height / 2}px)`;
   }
 
-  getNormalMoves(row, col) {
-    const piece = this.board[row][col];
-    const moves = [];
+  // An illegal drop: the piece slides back to where it was picked up and
+  // the capture steps taken during the drag are taken back
+  snapBack(drag) {
+    const square = document.querySelector(`.square[data-row="${drag.row}"][data-col="${drag.col}"]`);
+    const bounds = square.getBoundingClientRect();
+    drag.ghost.classList.add("snapping");
+    this.moveGhost(drag.ghost, bounds.left + bounds.width / 2, bounds.top + bounds.height / 2);
 
-    // Determine movement directions
-    const directions = piece.king
-      ? [
-          [-1, -1],
-          [-1, 1],
-          [1, -1],
-          [1, 1],
-        ] // Kings move in all diagonal directions
-      : piece.color === "red"
-      ? [
-          [-1, -1],
-          [-1, 1],
-        ] // Red moves up
-      : [
-          [1, -1],
-          [1, 1],
-        ]; // Black moves down
-
-    for (const [dRow, dCol] of directions) {
-      if (piece.king) {
-        // Kings can move multiple squares along the diagonal
-        let distance = 1;
-        while (true) {
-          const newRow = row + (dRow * distance);
-          const newCol = col + (dCol * distance);
-          
-          if (!this.isValidPosition(newRow, newCol)) {
-            break; // Out of bounds
-          }
-          
-          if (this.board[newRow][newCol]) {
-            break; // Hit a piece, stop
-          }
-          
-          // Empty square, valid move
-          moves.push({ row: newRow, col: newCol, capture: null });
-          distance++;
-        }
+    setTimeout(() => {
+      drag.ghost.remove();
+      if (this.pathSteps.length > drag.stepsBefore) {
+        this.takeBackSteps(drag.stepsBefore);
       } else {
-        // Regular pieces: only move one square
-        const newRow = row + dRow;
-        const newCol = col + dCol;
-
-        if (this.isValidPosition(newRow, newCol) && !this.board[newRow][newCol]) {
-          moves.push({ row: newRow, col: newCol, capture: null });
-        }
+        document.querySelectorAll(".piece.drag-source").forEach((piece) => piece.classList.remove("drag-source"));
       }
-    }
+    }, 200);
+  }
 
-    return moves;
+  // Whether stepping to row, col would finish one of the selected piece's paths
+  completesPath(row, col) {
+    const index = this.pathSteps.length;
+    return this.candidatePaths.some(
+      (path) => path.length === index + 1 && path[index].move.row === row && path[index].move.col === col
+    );
   }
 
-  getCaptureMoves(row, col) {
-    const piece = this.board[row][col];
-    const moves = [];
+  getSquareAt(x, y) {
+    const element = document.elementFromPoint(x, y);
+    const square = element && element.closest("#game-board .square");
+    return square ? { row: Number(square.dataset.row), col: Number(square.dataset.col) } : null;
+  }
 
-    // All diagonal directions for checking jumps
-    const directions = piece.king
-      ? [
-          [-1, -1],
-          [-1, 1],
-          [1, -1],
-          [1, 1],
-        ]
-      : piece.color === "red"
-      ? [
-          [-1, -1],
-          [-1, 1],
-        ]
-      : [
-          [1, -1],
-          [1, 1],
-        ];
-
-    for (const [dRow, dCol] of directions) {
-      if (piece.king) {
-        // Kings can capture at any distance along the diagonal
-        let distance = 1;
-        let foundEnemy = false;
-        let enemyPos = null;
-        
-        while (true) {
-          const checkRow = row + (dRow * distance);
-          const checkCol = col + (dCol * distance);
-          
-          if (!this.isValidPosition(checkRow, checkCol)) {
-            break; // Out of bounds
-          }
-          
-          const currentSquare = this.board[checkRow][checkCol];
-          
-          if (!foundEnemy) {
-            // Still looking for an enemy piece
-            if (!currentSquare) {
-              // Empty square, keep looking
-              distance++;
-              continue;
-            } else if (currentSquare.color !== piece.color) {
-              // Found enemy piece
-              foundEnemy = true;
-              enemyPos = { row: checkRow, col: checkCol };
-              distance++;
-              continue;
-            } else {
-              // Found own piece, stop this direction
-              break;
-            }
-          } else {
-            // Already found enemy, now looking for landing squares
-            if (!currentSquare) {
-              // Valid landing spot after jumping enemy
-              moves.push({
-                row: checkRow,
-                col: checkCol,
-                capture: enemyPos,
-              });
-              distance++;
-              continue;
-            } else {
-              // Hit another piece, stop
-              break;
-            }
-          }
-        }
-      } else {
-        // Regular pieces: only adjacent captures
-        const jumpRow = row + dRow;
-        const jumpCol = col + dCol;
-        const landRow = row + dRow * 2;
-        const landCol = col + dCol * 2;
-
-        // Check if we can jump over an opponent piece
-        if (
-          this.isValidPosition(jumpRow, jumpCol) &&
-          this.isValidPosition(landRow, landCol)
-        ) {
-          const jumpedPiece = this.board[jumpRow][jumpCol];
-          const landSquare = this.board[landRow][landCol];
-
-          if (jumpedPiece && jumpedPiece.color !== piece.color && !landSquare) {
-            moves.push({
-              row: landRow,
-              col: landCol,
-              capture: { row: jumpRow, col: jumpCol },
-            });
-          }
-        }
-      }
+  // Marks the landing square under the dragged piece
+  setDragOver(target) {
+    document.querySelectorAll(".square.drag-over").forEach((square) => square.classList.remove("drag-over"));
+    if (target && this.isValidMove(target.row, target.col)) {
+      document.querySelector(`.square[data-row="${target.row}"][data-col="${target.col}"]`).classList.add("drag-over");
     }
+  }
 
-    return moves;
+  // Takes the capture path entered so far back to its first `count` steps
+  takeBackSteps(count) {
+    const steps = this.pathSteps.slice(0, count);
+    const { fromRow, fromCol } = this.pathSteps[0];
+    this.pathSteps = [];
+    this.renderBoard();
+    this.selectPiece(fromRow, fromCol);
+    this.walkPathSteps(steps);
+    // Back at the start of the turn: the clock stopped by the first jump runs again
+    if (this.pathSteps.length === 0 && !this.gameOver) {
+      this.clock.resume();
+      this.updateClocks();
+    }
+    this.updateStatusMessage(this.getStatusMessage());
+    this.updateHistoryButtons();
+    this.autosave();
+    this.emitHistoryChange("takeBack");
   }
 
-  getAllCaptureMoves(color) {
-    const allMoves = [];
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        const piece = this.board[row][col];
-        if (piece && piece.color === color) {
-          const captures = this.getCaptureMoves(row, col);
-          if (captures.length > 0) {
-            allMoves.push(...captures);
-          }
-        }
+  // Enters capture steps of the selected piece again, after a take-back or
+  // a reload, without saving or firing events for each one
+  walkPathSteps(steps) {
+    this.walkingSteps = true;
+    try {
+      for (const step of steps) {
+        this.movePiece(step.fromRow, step.fromCol, step.move.row, step.move.col);
       }
+    } finally {
+      this.walkingSteps = false;
+    }
+  }
+
+  // ===== Piece Selection =====
+  selectPiece(row, col) {
+    this.selectedPiece = this.board[row][col];
+    this.selectedSquare = { row, col };
+    this.pathSteps = [];
+    this.clearHint();
+
+    // Whole legal paths for the piece; the first landing squares are offered
+    this.candidatePaths = this.getPiecePaths(row, col);
+    this.validMoves = this.getNextSteps();
+
+    // Explain why a piece of the side that must capture cannot move
+    if (this.validMoves.length === 0 && this.mustCapture) {
+      const message =
+        this.engine.rules.maximumCapture === "none"
+          ? t("status.mustCapture")
+          : t("status.mustCaptureMost");
+      this.updateStatusMessage(message);
+      this.announce(message);
     }
-    return allMoves;
+
+    this.highlightSquares();
+  }
+
+  deselectPiece() {
+    if (this.pathSteps.length > 0) return; // Can't deselect during multi-capture
+
+    this.selectedPiece = null;
+    this.selectedSquare = null;
+    this.candidatePaths = [];
+    this.validMoves = [];
+    this.highlightSquares();
+  }
+
+  // ===== Move Validation =====
+  isValidMove(row, col) {
+    return this.validMoves.some((move) => move.row === row && move.col === col);
   }
 
-  isValidPosition(row, col) {
-    return row >= 0 && row < 8 && col >= 0 && col < 8;
+  getPiecePaths(row, col) {
+    const state = this.getState();
+    this.mustCapture = this.engine.mustCapture(state);
+    return this.engine.getPiecePaths(state, row, col);
+  }
+
+  // Landing squares that continue the path entered so far
+  getNextSteps() {
+    const index = this.pathSteps.length;
+    const moves = [];
+    for (const path of this.candidatePaths) {
+      const { move } = path[index];
+      if (!moves.some((m) => m.row === move.row && m.col === move.col)) {
+        moves.push(move);
+      }
+    }
+    return moves;
   }
 
   // ===== Piece Movement =====
+  // Adds one step to the path of the selected piece; the turn is played as
+  // soon as the steps so far make up a complete legal path
   movePiece(fromRow, fromCol, toRow, toCol) {
     const move = this.validMoves.find(
       (m) => m.row === toRow && m.col === toCol
     );
     if (!move) return;
 
-    const piece = this.board[fromRow][fromCol];
-    const wasKingBefore = piece.king; // Track if piece was already a king
-
-    // Move the piece
-    this.board[toRow][toCol] = piece;
-    this.board[fromRow][fromCol] = null;
+    const index = this.pathSteps.length;
+    this.pathSteps = [...this.pathSteps, { fromRow, fromCol, move }];
+    this.candidatePaths = this.candidatePaths.filter(
+      (path) => path[index].move.row === toRow && path[index].move.col === toCol
+    );
 
-    // Handle capture
-    let wasCapture = false;
-    if (move.capture) {
-      const capturedPiece = this.board[move.capture.row][move.capture.col];
-      this.animateCapture(move.capture.row, move.capture.col);
-      this.board[move.capture.row][move.capture.col] = null;
-      wasCapture = true;
+    const complete = this.candidatePaths.find((path) => path.length === this.pathSteps.length);
+    if (complete) {
+      this.playTurn(complete);
+      return;
     }
 
-    // Check for king promotion
-    const shouldPromote =
-      (piece.color === "red" && toRow === 0) ||
-      (piece.color === "black" && toRow === 7);
+    // Multi-jump: show the piece on its landing square and wait for the next
+    // one; the clock stands still until the turn is over
+    this.clock.pause();
+    this.selectedSquare = { row: toRow, col: toCol };
+    this.validMoves = this.getNextSteps();
+    this.renderBoard();
+    this.highlightSquares();
+    this.updateStatusMessage(this.getStatusMessage());
+    this.updateHistoryButtons();
+    if (this.walkingSteps) return;
+    this.autosave();
+
+    this.events.emit("multiCaptureContinue", {
+      player: this.currentPlayer,
+      from: this.eventSquare(fromRow, fromCol),
+      to: this.eventSquare(toRow, toCol),
+      captured: this.eventSquare(move.capture.row, move.capture.col),
+      next: this.validMoves.map((next) => this.eventSquare(next.row, next.col)),
+    });
+  }
 
-    let wasPromoted = false;
-    if (shouldPromote && !piece.king) {
-      piece.king = true;
-      wasPromoted = true;
-      this.animatePromotion(toRow, toCol);
-    }
+  // Applies a complete turn at once and hands over to the other side
+  playTurn(path) {
+    // A puzzle only takes its solution
+    if (this.puzzles && !this.checkPuzzleTurn(path)) return;
 
-    this.renderBoard();
+    const before = this.engine.cloneState(this.getState());
+    const result = this.engine.applyTurn(before, path);
+    result.captured.forEach(({ row, col }) => this.animateCapture(row, col));
 
-    // If piece was just promoted, turn ends immediately (standard checkers rule)
-    if (wasPromoted) {
-      this.continueCapture = false;
-      this.deselectPiece();
-      this.switchPlayer();
-      this.checkWinCondition();
-      this.updateUI();
-      return;
+    this.board = result.state.board;
+    this.quietMoves = result.state.quietMoves;
+
+    const clockBefore = this.clock.snapshot();
+    this.clock.completeTurn();
+    const clock = { before: clockBefore, after: this.clock.snapshot() };
+
+    this.history.push(this.createHistoryEntry(before, path, result, clock));
+    this.redoStack = [];
+    this.updateHistoryButtons();
+
+    if (this.online && before.currentPlayer === this.onlineColor) {
+      this.online.send({ type: "move", ply: this.history.length - 1, steps: path });
     }
 
-    // Check for additional captures (multi-jump) only if piece wasn't just promoted
-    if (wasCapture) {
-      const additionalCaptures = this.getCaptureMoves(toRow, toCol);
-      if (additionalCaptures.length > 0) {
-        // Continue turn with the same piece
-        this.continueCapture = true;
-        this.selectPiece(toRow, toCol);
-        const playerName = this.currentPlayer === "red" ? this.stats.red.name : this.stats.black.name;
-        this.updateStatusMessage(`¡Captura múltiple! Continúa ${playerName}`);
-        return;
-      }
+    const last = path[path.length - 1].move;
+    if (result.promoted) {
+      this.animatePromotion(last.row, last.col);
     }
+    this.announceTurn(before.currentPlayer, path, result);
+
+    this.pathSteps = [];
+    this.renderBoard();
 
-    // End turn
-    this.continueCapture = false;
     this.deselectPiece();
     this.switchPlayer();
-    this.checkWinCondition();
-    this.updateUI();
+    this.emitTurnEvents(before, path, result);
+    this.checkWinCondition(() => {
+      if (!this.gameOver) {
+        this.events.emit("turnChange", { player: this.currentPlayer, previous: before.currentPlayer });
+      }
+      if (!this.gameOver && this.engine.mustCapture(this.getState())) {
+        this.announce(t("announce.mustCapture", { name: this.players[this.currentPlayer].name }));
+      }
+      this.updateUI();
+      this.scheduleComputerTurn();
+      this.advancePuzzle();
+      this.autosave();
+    });
   }
 
   switchPlayer() {
     this.currentPlayer = this.currentPlayer === "red" ? "black" : "red";
   }
 
+  // ===== Game Events =====
+  // A square as events carry it (see plugins.js)
+  eventSquare(row, col) {
+    return { row, col, square: this.notation.squareNumber(row, col) };
+  }
+
+  // Turns were taken back or replaced rather than played (see plugins.js)
+  emitHistoryChange(action) {
+    this.events.emit("historyChange", { action, turns: this.history.length, pendingSteps: this.pathSteps.length });
+  }
+
+  // capture for every piece taken, promotion, then move for the whole turn
+  emitTurnEvents(before, path, result) {
+    const player = before.currentPlayer;
+    const captured = result.captured.map(({ row, col }) => this.eventSquare(row, col));
+    result.captured.forEach(({ row, col }, i) => {
+      const { color, king } = before.board[row][col];
+      this.events.emit("capture", { player, square: captured[i], piece: { color, king } });
+    });
+
+    const from = this.eventSquare(path[0].fromRow, path[0].fromCol);
+    const landings = path.map((step) => this.eventSquare(step.move.row, step.move.col));
+    const to = landings[landings.length - 1];
+    if (result.promoted) {
+      this.events.emit("promotion", { player, square: to });
+    }
+    this.events.emit("move", {
+      player,
+      from,
+      to,
+      path: [from, ...landings],
+      captured,
+      promoted: result.promoted,
+      notation: this.notation.turnToText({ steps: path }),
+      ply: this.history.length - 1,
+    });
+  }
+
   // ===== UI Updates =====
   highlightSquares() {
     const squares = document.querySelectorAll(".square");
     squares.forEach((square) => {
-      square.classList.remove("selected", "valid-move");
+      square.classList.remove("selected", "valid-move", "path-preview", "hint-path");
     });
 
     // Highlight selected square
@@ -442,9 +703,69 @@ class CheckersGame {
         square.classList.add("valid-move");
       }
     });
+
+    // Preview the rest of every path the piece can still follow
+    const index = this.pathSteps.length;
+    for (const path of this.candidatePaths) {
+      for (const { move } of path.slice(index + 1)) {
+        const square = document.querySelector(
+          `.square[data-row="${move.row}"][data-col="${move.col}"]`
+        );
+        if (square) {
+          square.classList.add("path-preview");
+        }
+      }
+    }
+
+    // The suggested path, while the steps entered so far still follow it
+    if (this.hint && this.pathSteps.every((step, i) => this.isSameStep(step, this.hint.steps[i]))) {
+      const first = this.hint.steps[0];
+      const squares = [{ row: first.fromRow, col: first.fromCol }, ...this.hint.steps.map((step) => step.move)];
+      for (const { row, col } of squares) {
+        const square = document.querySelector(`.square[data-row="${row}"][data-col="${col}"]`);
+        if (square) {
+          square.classList.add("hint-path");
+        }
+      }
+    }
+
+    this.updateSquareLabels();
+  }
+
+  // ===== Announcements =====
+  // Screen readers hear moves, captures, crownings, forced captures and
+  // results through a live log next to the board; the latest few are kept
+  announce(message) {
+    const log = document.getElementById("board-announcer");
+    const line = document.createElement("p");
+    line.textContent = message;
+    log.appendChild(line);
+    while (log.children.length > 5) {
+      log.firstChild.remove();
+    }
+  }
+
+  announceTurn(player, path, result) {
+    const parts = [
+      t("announce.move", { name: this.players[player].name, move: this.notation.turnToText({ steps: path }) }),
+    ];
+    if (result.captured.length > 0) {
+      parts.push(t("announce.captured", { count: result.captured.length }));
+    }
+    if (result.promoted) {
+      parts.push(t("announce.promoted"));
+    }
+    this.announce(parts.join(t("board.separator")));
+  }
+
+  isSameStep(a, b) {
+    return !!b && a.move.row === b.move.row && a.move.col === b.move.col;
   }
 
   updateUI() {
+    // A suggestion only holds for the position it was made in
+    this.clearHint();
+
     // Update player indicators
     document
       .querySelector(".player-red")
@@ -457,12 +778,8 @@ class CheckersGame {
     const redCount = this.countPieces("red");
     const blackCount = this.countPieces("black");
 
-    document.getElementById("red-count").textContent = `${redCount} pieza${
-      redCount !== 1 ? "s" : ""
-    }`;
-    document.getElementById("black-count").textContent = `${blackCount} pieza${
-      blackCount !== 1 ? "s" : ""
-    }`;
+    document.getElementById("red-count").textContent = t("players.pieces", { count: redCount });
+    document.getElementById("black-count").textContent = t("players.pieces", { count: blackCount });
 
     // Update status message
     if (!this.gameOver) {
@@ -476,67 +793,104 @@ class CheckersGame {
   }
 
   countPieces(color) {
-    let count = 0;
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        if (this.board[row][col] && this.board[row][col].color === color) {
-          count++;
-        }
-      }
-    }
-    return count;
+    return this.engine.countPieces(this.board, color);
   }
 
   // ===== Win Condition =====
-  checkWinCondition() {
-    const redPieces = this.countPieces("red");
-    const blackPieces = this.countPieces("black");
+  // Asks the engine worker whether the game on the board is over and ends
+  // it if so; then is called once the answer is in. The board stays locked
+  // until then.
+  checkWinCondition(then) {
+    this.checkResult(this.getGamePositions(), (result) => {
+      // The clock or a resignation may have ended the game meanwhile
+      if (result && !this.gameOver) {
+        if (result.winner) {
+          this.endGame(result.winner);
+        } else {
+          this.endDraw(result.reason);
+        }
+      }
+      then();
+    });
+  }
 
-    // Check if a player has no pieces
-    if (redPieces === 0) {
-      this.endGame("black");
-      return;
-    }
-    if (blackPieces === 0) {
-      this.endGame("red");
-      return;
-    }
+  // The engine's { winner, reason } (or null) for the last of positions,
+  // the earlier ones counting for repetitions (see engine-worker.js)
+  checkResult(positions, onResult) {
+    this.stopResultCheck();
+    const job = { kind: "result", positions };
+    this.resultJob = this.engineWorker.analyze(this.engine.rules.id, job, {
+      onResult: (result) => {
+        this.resultJob = null;
+        onResult(result);
+      },
+    });
+  }
 
-    // Check if current player has no valid moves
-    const hasValidMoves = this.playerHasValidMoves(this.currentPlayer);
-    if (!hasValidMoves) {
-      const winner = this.currentPlayer === "red" ? "black" : "red";
-      this.endGame(winner);
-    }
+  stopResultCheck() {
+    this.engineWorker.stop(this.resultJob);
+    this.resultJob = null;
   }
 
-  playerHasValidMoves(color) {
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        const piece = this.board[row][col];
-        if (piece && piece.color === color) {
-          const moves = this.getValidMoves(row, col);
-          if (moves.length > 0) {
-            return true;
-          }
-        }
-      }
-    }
-    return false;
+  // The position at the start of every turn played, then the one on the board
+  getGamePositions() {
+    return [...this.history.map((entry) => entry.before), this.getState()];
   }
 
-  endGame(winner) {
+  endGame(winner, reason = null) {
     this.gameOver = true;
+    this.result = { winner, reason };
+    this.stopComputerTurn();
+    this.clock.pause();
+    this.updateClocks();
     const statusEl = document.getElementById("status-message");
-    const winnerName = winner === "red" ? this.stats.red.name : this.stats.black.name;
-    statusEl.textContent = `🎉 ¡Victoria de ${winnerName}! 🎉`;
+    const winnerName = this.players[winner].name;
+    statusEl.textContent = t(reason === "time" ? "status.winOnTime" : "status.win", { name: winnerName });
     statusEl.classList.add("winner");
+    this.announce(t(reason === "time" ? "announce.winOnTime" : "announce.win", { name: winnerName }));
+    this.updateHistoryButtons();
     
-    // Record the win in statistics
-    this.recordWin(winner);
+    // Record the win in both profiles
+    this.recordResult(winner);
 
     // Celebration animation
     this.celebrateWin();
+    this.autosave();
+
+    const loser = winner === "red" ? "black" : "red";
+    this.events.emit("gameOver", { winner, loser, winnerName, reason });
+  }
+
+  endDraw(reason) {
+    this.gameOver = true;
+    this.result = { winner: null, reason };
+    this.stopComputerTurn();
+    this.clock.pause();
+    this.updateClocks();
+    const statusEl = document.getElementById("status-message");
+    statusEl.textContent = t("status.draw", { reason: this.getDrawReasonText(reason) });
+    statusEl.classList.add("winner");
+    this.announce(t("announce.draw", { reason: this.getDrawReasonText(reason) }));
+    this.updateHistoryButtons();
+
+    this.recordResult(null);
+    this.autosave();
+
+    this.events.emit("draw", { reason, description: this.getDrawReasonText(reason) });
+    this.events.emit("gameOver", { winner: null, loser: null, winnerName: null, reason });
+  }
+
+  getDrawReasonText(reason) {
+    switch (reason) {
+      case "repetition":
+        return t("draw.repetition");
+      case "moveLimit":
+        return t("draw.moveLimit", { count: this.engine.rules.drawMoveLimit });
+      case "insufficientMaterial":
+        return t("draw.insufficientMaterial");
+      default:
+        return t("draw.agreement");
+    }
   }
 
   celebrateWin() {
@@ -579,14 +933,23 @@ class CheckersGame {
 
   // ===== Game Controls =====
   resetGame() {
+    this.stopSearches();
+    this.hideEditor();
+    this.closeReplay();
     this.board = [];
-    this.currentPlayer = null;
+    this.currentPlayer = this.startingPlayer;
     this.selectedPiece = null;
     this.selectedSquare = null;
     this.validMoves = [];
     this.mustCapture = false;
-    this.continueCapture = false;
+    this.candidatePaths = [];
+    this.pathSteps = [];
     this.gameOver = false;
+    this.quietMoves = 0;
+    this.history = [];
+    this.redoStack = [];
+    this.result = null;
+    this.hintsUsed = { red: 0, black: 0 };
 
     const statusEl = document.getElementById("status-message");
     statusEl.classList.remove("winner");
@@ -594,102 +957,1407 @@ class CheckersGame {
     this.initBoard();
     this.renderBoard();
     this.updateUI();
+    this.updateStarterToggle();
+    this.updateHistoryButtons();
+    this.clock.reset();
+    this.startClock();
+    this.events.emit("reset", { variant: this.engine.rules.id, startingPlayer: this.startingPlayer });
+    this.scheduleComputerTurn();
+    this.autosave();
   }
 
-  showHint() {
-    if (this.gameOver) return;
-
-    // Find all pieces of current player with valid moves
-    const piecesWithMoves = [];
-    for (let row = 0; row < 8; row++) {
-      for (let col = 0; col < 8; col++) {
-        const piece = this.board[row][col];
-        if (piece && piece.color === this.currentPlayer) {
-          const moves = this.getValidMoves(row, col);
-          if (moves.length > 0) {
-            piecesWithMoves.push({ row, col, moves });
-          }
-        }
-      }
+  // ===== Move History =====
+  // clock holds both sides' remaining time before and after the turn
+  createHistoryEntry(before, path, result, clock = null) {
+    const first = path[0];
+    const last = path[path.length - 1].move;
+    return {
+      player: before.currentPlayer,
+      steps: path,
+      from: { row: first.fromRow, col: first.fromCol },
+      to: { row: last.row, col: last.col },
+      captured: result.captured,
+      promoted: result.promoted,
+      multiJump: path.length > 1,
+      before,
+      clock,
+    };
+  }
+
+  // History as complete turns in the shape generateTurns produces
+  getTurns() {
+    return this.history.map((entry) => ({ steps: entry.steps }));
+  }
+
+  // Forgets the current game (history and result) before loading another one
+  clearGame() {
+    this.stopSearches();
+    this.hideEditor();
+    this.closeReplay();
+    this.gameOver = false;
+    this.result = null;
+    this.history = [];
+    this.redoStack = [];
+    this.hintsUsed = { red: 0, black: 0 };
+    this.clock.reset();
+    document.getElementById("status-message").classList.remove("winner");
+  }
+
+  // ===== Undo / Redo =====
+  setUndoEnabled(enabled) {
+    this.undoEnabled = enabled;
+    document.getElementById("undo-btn").style.display = enabled ? "" : "none";
+    document.getElementById("redo-btn").style.display = enabled ? "" : "none";
+  }
+
+  undo() {
+    if (!this.undoEnabled || this.editing || this.replay) return;
+
+    // A capture being entered is taken back first, the turns before it stay
+    if (this.pathSteps.length > 0) {
+      this.takeBackSteps(0);
+      this.deselectPiece();
+      return;
     }
+    if (this.history.length === 0) return;
+    this.stopSearches();
+
+    // Against the computer, step back until it is the human's turn again
+    let entry;
+    do {
+      entry = this.history.pop();
+      this.redoStack.push(entry);
+      this.restoreState(entry.before);
+    } while (this.history.length > 0 && this.isComputerTurn());
+
+    this.restoreClock(entry.clock && entry.clock.before);
+    this.emitHistoryChange("undo");
+    this.scheduleComputerTurn();
+    this.autosave();
+  }
 
-    if (piecesWithMoves.length > 0) {
-      // Select a random piece with moves
-      const randomPiece =
-        piecesWithMoves[Math.floor(Math.random() * piecesWithMoves.length)];
-      this.selectPiece(randomPiece.row, randomPiece.col);
-      this.updateStatusMessage("💡 Aquí hay un movimiento posible");
-    } else {
-      this.updateStatusMessage("No hay movimientos válidos disponibles");
+  redo() {
+    if (!this.undoEnabled || this.editing || this.replay || this.redoStack.length === 0) return;
+    this.stopSearches();
+
+    let entry;
+    do {
+      entry = this.redoStack.pop();
+      const result = this.engine.applyTurn(entry.before, entry.steps);
+      this.history.push(entry);
+      this.restoreState(result.state);
+    } while (this.redoStack.length > 0 && this.isComputerTurn());
+
+    this.restoreClock(entry.clock && entry.clock.after);
+    this.emitHistoryChange("redo");
+    this.checkWinCondition(() => {
+      this.scheduleComputerTurn();
+      this.autosave();
+    });
+  }
+
+  // Puts the game back into an exact engine state (board, turn, draw count)
+  restoreState(state) {
+    if (this.gameOver) {
+      this.revertResult();
     }
+
+    this.board = this.engine.cloneBoard(state.board);
+    this.currentPlayer = state.currentPlayer;
+    this.quietMoves = state.quietMoves || 0;
+    this.pathSteps = [];
+    this.deselectPiece();
+    this.renderBoard();
+
+    this.updateUI();
+    this.updateStarterToggle();
+    this.updateHistoryButtons();
   }
 
-  // ===== Statistics Management =====
-  loadStats() {
-    const savedStats = localStorage.getItem('checkersStats');
-    console.log(savedStats);
-    if (savedStats) {
-      this.stats = JSON.parse(savedStats);
+  // Reopens a finished game and takes its result back out of the profiles
+  revertResult() {
+    this.gameOver = false;
+    document.getElementById("status-message").classList.remove("winner");
+
+    if (this.result) {
+      this.profiles.revertGame(this.result.gameId);
       this.updateStatsDisplay();
-      this.updatePlayerNames();
+      this.result = null;
+
+      if (this.tournament && this.tournament.current !== null) {
+        this.tournament.revertResult(this.tournament.current);
+        storeTournament(this.tournament);
+        this.updateTournamentPanel();
+      }
     }
   }
-  
-  saveStats() {
-    localStorage.setItem('checkersStats', JSON.stringify(this.stats));
+
+  updateHistoryButtons() {
+    document.getElementById("undo-btn").disabled = this.history.length === 0 && this.pathSteps.length === 0;
+    document.getElementById("redo-btn").disabled = this.redoStack.length === 0;
+    document.getElementById("replay-btn").disabled = !this.gameOver || this.history.length === 0;
+    document.getElementById("analyze-btn").disabled = !this.gameOver || this.history.length === 0;
   }
-  
-  updateStatsDisplay() {
-    document.getElementById('red-wins').textContent = this.stats.red.wins;
-    document.getElementById('red-losses').textContent = this.stats.red.losses;
-    document.getElementById('red-draws').textContent = this.stats.red.draws;
-    
-    document.getElementById('black-wins').textContent = this.stats.black.wins;
-    document.getElementById('black-losses').textContent = this.stats.black.losses;
-    document.getElementById('black-draws').textContent = this.stats.black.draws;
+
+  updateStarterToggle() {
+    document.getElementById("game-starter-toggle").checked = this.currentPlayer === "black";
+    document.getElementById("game-red-label").classList.toggle("active", this.currentPlayer === "red");
+    document.getElementById("game-black-label").classList.toggle("active", this.currentPlayer === "black");
   }
-  
-  updatePlayerNames() {
-    document.getElementById('red-name-input').value = this.stats.red.name;
-    document.getElementById('black-name-input').value = this.stats.black.name;
-    document.getElementById('red-player-name').textContent = this.stats.red.name;
-    document.getElementById('black-player-name').textContent = this.stats.black.name;
+
+  // ===== Hints =====
+  canShowHint() {
+    return !this.gameOver && !this.editing && !this.replay && !this.isComputerTurn() && !this.isRemoteTurn();
   }
-  
-  recordWin(winner) {
-    const loser = winner === 'red' ? 'black' : 'red';
-    this.stats[winner].wins++;
-    this.stats[loser].losses++;
-    this.updateStatsDisplay();
-    this.saveStats();
+
+  // Searches the position at the strongest level and points out the best
+  // turn, with the runners-up listed when asked for. Every hint counts
+  // against the side to move and is noted with the game's result.
+  showHint() {
+    // Halfway through a capture the squares left are already shown
+    if (!this.canShowHint() || this.pathSteps.length > 0) return;
+
+    this.updateStatusMessage(t("hint.searching"));
+    this.engineWorker.stop(this.hintJob);
+    const job = { kind: "hint", state: this.getState(), count: 3 };
+    this.hintJob = this.engineWorker.analyze(this.engine.rules.id, job, {
+      onResult: (suggestions) => this.showHintResult(suggestions),
+    });
   }
-  
-  recordDraw() {
-    this.stats.red.draws++;
-    this.stats.black.draws++;
+
+  showHintResult(suggestions) {
+    this.hintJob = null;
+    if (!this.canShowHint() || this.pathSteps.length > 0) return;
+
+    if (suggestions.length === 0) {
+      this.updateStatusMessage(t("hint.noMoves"));
+      return;
+    }
+    this.hintsUsed[this.currentPlayer]++;
+
+    const [best] = suggestions;
+    const { fromRow, fromCol } = best.turn.steps[0];
+    this.selectPiece(fromRow, fromCol);
+    this.hint = { steps: best.turn.steps };
+    this.highlightSquares();
+    this.updateStatusMessage(
+      t("hint.best", { move: this.notation.turnToText(best.turn), score: describeScore(best.score) })
+    );
+
+    if (document.getElementById("hint-top-three").checked) {
+      const listEl = document.getElementById("hint-list");
+      listEl.innerHTML = "";
+      for (const { turn, score } of suggestions) {
+        const item = document.createElement("li");
+        item.textContent = `${this.notation.turnToText(turn)} · ${describeScore(score)}`;
+        listEl.appendChild(item);
+      }
+      listEl.hidden = false;
+    }
+    this.autosave();
+  }
+
+  clearHint() {
+    this.engineWorker.stop(this.hintJob);
+    this.hintJob = null;
+    this.hint = null;
+    document.querySelectorAll(".hint-path").forEach((square) => square.classList.remove("hint-path"));
+    const listEl = document.getElementById("hint-list");
+    listEl.hidden = true;
+    listEl.innerHTML = "";
+  }
+
+  // ===== Replay Viewer =====
+  // Steps through a finished game on a read-only board; index is the number
+  // of turns played in the position shown
+  openReplay() {
+    if (!this.gameOver || this.replay || this.history.length === 0) return;
+
+    this.replay = {
+      index: this.history.length,
+      finalState: this.engine.cloneState(this.getState()),
+      status: document.getElementById("status-message").textContent,
+      autoplayTimer: null,
+      animationTimer: null,
+      analysis: null, // { result: GameAnalysis, job } once analysis starts
+    };
+
+    for (const id of ["undo-btn", "redo-btn", "replay-btn", "hint-btn", "editor-btn", "game-starter-toggle"]) {
+      document.getElementById(id).disabled = true;
+    }
+    // Online games can be watched again, but not played on from here
+    document.getElementById("replay-branch-btn").hidden = !!this.online;
+    const slider = document.getElementById("replay-slider");
+    slider.max = this.history.length;
+    document.getElementById("replay-panel").style.display = "flex";
+
+    this.showReplayPosition(this.history.length);
+  }
+
+  closeReplay() {
+    if (!this.replay) return;
+    this.stopReplayAutoplay();
+    clearTimeout(this.replay.animationTimer);
+    if (this.replay.analysis) this.engineWorker.stop(this.replay.analysis.job);
+    const { finalState, status } = this.replay;
+    this.replay = null;
+
+    this.setBoardPosition(finalState);
+    document.getElementById("replay-panel").style.display = "none";
+    document.getElementById("analysis-panel").style.display = "none";
+    document.getElementById("hint-btn").disabled = false;
+    this.updateHistoryButtons();
+    this.updateLockedControls();
+    this.updateStatusMessage(status);
+  }
+
+  // Shows a position without touching the history or the result
+  setBoardPosition(state) {
+    this.board = this.engine.cloneBoard(state.board);
+    this.currentPlayer = state.currentPlayer;
+    this.quietMoves = state.quietMoves || 0;
+    this.renderBoard();
+    this.updateUI();
+  }
+
+  // animate plays the capture and promotion animations of a single step forward
+  showReplayPosition(index, animate = false) {
+    const replay = this.replay;
+    clearTimeout(replay.animationTimer);
+    const forward = animate && index === replay.index + 1;
+    replay.index = index;
+    this.updateReplayPanel();
+
+    const entry = this.history[index - 1]; // Turn that led to this position
+    const show = () => {
+      this.setBoardPosition(index < this.history.length ? this.history[index].before : replay.finalState);
+      if (entry) this.markLastMove(entry);
+      this.markAnalysedMove(index);
+    };
+
+    if (forward) {
+      entry.captured.forEach(({ row, col }) => this.animateCapture(row, col));
+      replay.animationTimer = setTimeout(() => {
+        show();
+        if (entry.promoted) this.animatePromotion(entry.to.row, entry.to.col);
+      }, entry.captured.length > 0 ? 300 : 0);
+    } else {
+      show();
+    }
+  }
+
+  markLastMove(entry) {
+    for (const { row, col } of [entry.from, entry.to]) {
+      const square = document.querySelector(`.square[data-row="${row}"][data-col="${col}"]`);
+      if (square) square.classList.add("last-move");
+    }
+  }
+
+  updateReplayPanel() {
+    const { index } = this.replay;
+    const total = this.history.length;
+    document.getElementById("replay-slider").value = index;
+    document.getElementById("replay-position").textContent = `${index} / ${total}`;
+    document.getElementById("replay-start-btn").disabled = index === 0;
+    document.getElementById("replay-prev-btn").disabled = index === 0;
+    document.getElementById("replay-next-btn").disabled = index === total;
+    document.getElementById("replay-end-btn").disabled = index === total;
+    // The final position is where the game ended: nothing to play on from
+    document.getElementById("replay-branch-btn").disabled = index === total;
+    document.getElementById("replay-play-btn").textContent = t(
+      this.replay.autoplayTimer ? "replay.pause" : "replay.play"
+    );
+
+    const entry = this.history[index - 1];
+    this.updateStatusMessage(
+      entry
+        ? t("replay.move", { number: index, move: this.notation.turnToText(entry) })
+        : t("replay.initial")
+    );
+    if (this.replay.analysis) this.updateAnalysisPanel();
+  }
+
+  replayStep(delta) {
+    const index = Math.min(Math.max(this.replay.index + delta, 0), this.history.length);
+    if (index !== this.replay.index) {
+      this.showReplayPosition(index, true);
+    }
+  }
+
+  toggleReplayAutoplay() {
+    if (this.replay.autoplayTimer) {
+      this.stopReplayAutoplay();
+      return;
+    }
+    // From the end, autoplay starts over
+    if (this.replay.index === this.history.length) {
+      this.showReplayPosition(0);
+    }
+    this.scheduleReplayStep();
+  }
+
+  // The speed is read on every step so it can be changed while playing
+  scheduleReplayStep() {
+    const delay = Number(document.getElementById("replay-speed").value);
+    this.replay.autoplayTimer = setTimeout(() => {
+      this.replayStep(1);
+      if (this.replay.index < this.history.length) {
+        this.scheduleReplayStep();
+      } else {
+        this.stopReplayAutoplay();
+      }
+    }, delay);
+    this.updateReplayPanel();
+  }
+
+  stopReplayAutoplay() {
+    clearTimeout(this.replay.autoplayTimer);
+    this.replay.autoplayTimer = null;
+    this.updateReplayPanel();
+  }
+
+  // ===== Post-game Analysis =====
+  // Opens the replay viewer and evaluates the game a position at a time;
+  // verdicts fill the graph, the list and the board as they arrive
+  analyzeGame() {
+    if (!this.gameOver || this.history.length === 0) return;
+    if (!this.replay) this.openReplay();
+    if (this.replay.analysis) return;
+
+    const positions = [...this.history.map((entry) => entry.before), this.replay.finalState];
+    const turns = this.getTurns();
+    // The worker searches the positions and tells a draw by rule; this copy
+    // only collects its evaluations
+    const analysis = { result: new GameAnalysis(this.engine, positions, turns), job: null };
+    this.replay.analysis = analysis;
+    const job = { kind: "game", positions, turns };
+    analysis.job = this.engineWorker.analyze(this.engine.rules.id, job, {
+      onProgress: ({ evaluation }) => this.addAnalysisEvaluation(evaluation),
+    });
+
+    document.getElementById("analyze-btn").disabled = true;
+    document.getElementById("analysis-panel").style.display = "flex";
+    this.updateAnalysisPanel();
+  }
+
+  addAnalysisEvaluation(evaluation) {
+    const { result } = this.replay.analysis;
+    result.addEvaluation(evaluation);
+    if (result.done) {
+      this.showReplayPosition(this.replay.index);
+    } else {
+      this.updateAnalysisPanel();
+    }
+  }
+
+  updateAnalysisPanel() {
+    const { result } = this.replay.analysis;
+    const flagged = result.flaggedMoves();
+
+    document.getElementById("analysis-progress").textContent = result.done
+      ? t("analysis.done", { count: flagged.length })
+      : t("analysis.running", { percent: Math.round(result.progress * 100) });
+
+    this.drawAnalysisGraph();
+
+    const listEl = document.getElementById("analysis-moves");
+    listEl.innerHTML = "";
+    for (const move of flagged) {
+      const { symbol } = MOVE_CATEGORIES[move.category];
+      const label = t(`analysis.categories.${move.category}`);
+      const button = document.createElement("button");
+      button.className = `analysis-move ${move.category}`;
+      button.classList.toggle("current", move.index === this.replay.index);
+      button.textContent =
+        `${move.index + 1}. ${this.notation.turnToText(move.turn)}${symbol} ${label} · ${this.players[move.player].name}` +
+        (move.missedWin ? ` · ${t("analysis.lostWin")}` : "");
+      button.addEventListener("click", () => {
+        this.stopReplayAutoplay();
+        this.showReplayPosition(move.index);
+      });
+      const item = document.createElement("li");
+      item.appendChild(button);
+      listEl.appendChild(item);
+    }
+
+    document.getElementById("analysis-detail").textContent = this.describeAnalysedMove(this.replay.index);
+  }
+
+  // Evaluation from red's side (up) over the game, capped at ten men either
+  // way, with the flagged turns marked and a line at the position shown
+  drawAnalysisGraph() {
+    const { result } = this.replay.analysis;
+    const svg = document.getElementById("analysis-graph");
+    const svgNS = "http://www.w3.org/2000/svg";
+    const width = 300;
+    const height = 100;
+    const last = result.positions.length - 1;
+    const x = (index) => (index / last) * width;
+    const y = (score) => height / 2 - (Math.max(-1000, Math.min(1000, score)) / 1000) * (height / 2 - 5);
+    const add = (tag, attributes) => {
+      const el = document.createElementNS(svgNS, tag);
+      for (const [name, value] of Object.entries(attributes)) el.setAttribute(name, value);
+      svg.appendChild(el);
+      return el;
+    };
+
+    svg.innerHTML = "";
+    add("line", { x1: 0, y1: height / 2, x2: width, y2: height / 2, class: "graph-axis" });
+    add("line", { x1: x(this.replay.index), y1: 0, x2: x(this.replay.index), y2: height, class: "graph-cursor" });
+
+    const points = result.evaluations.map((_, index) => `${x(index)},${y(result.redScore(index))}`);
+    add("polyline", { points: points.join(" "), class: "graph-line" });
+
+    for (const move of result.flaggedMoves()) {
+      const dot = add("circle", {
+        cx: x(move.index + 1),
+        cy: y(result.redScore(move.index + 1)),
+        r: 3,
+        class: `graph-dot ${move.category}`,
+      });
+      const title = document.createElementNS(svgNS, "title");
+      title.textContent = `${move.index + 1}. ${this.notation.turnToText(move.turn)} · ${t(
+        `analysis.categories.${move.category}`
+      )}`;
+      dot.appendChild(title);
+    }
+  }
+
+  // The verdict on the turn played from position index
+  describeAnalysedMove(index) {
+    const move = this.replay.analysis.result.moves[index];
+    if (!move) return "";
+
+    const text = `${index + 1}. ${this.notation.turnToText(move.turn)}`;
+    if (!move.category) {
+      return `${text} · ${t(move.best ? "analysis.good" : "analysis.best")}`;
+    }
+
+    const { symbol } = MOVE_CATEGORIES[move.category];
+    const label = t(`analysis.categories.${move.category}`);
+    const bestText = this.notation.turnToText(move.best);
+    const parts = [
+      `${text}${symbol} ${label} (${describeScore(move.playedScore)})`,
+      t("analysis.better", { move: bestText, score: describeScore(move.bestScore) }),
+    ];
+    if (move.missedWin) {
+      parts.push(t("analysis.missedWin"));
+    }
+    if (move.missedCaptures > 1) {
+      parts.push(t("analysis.missedCaptures", { move: bestText, count: move.missedCaptures }));
+    }
+    return parts.join(" · ");
+  }
+
+  // On a flagged turn, shows the turn played from this position and the
+  // better one next to it
+  markAnalysedMove(index) {
+    const analysis = this.replay.analysis;
+    const move = analysis && analysis.result.moves[index];
+    if (!move || !move.category) return;
+
+    const mark = (steps, className) => {
+      const squares = [{ row: steps[0].fromRow, col: steps[0].fromCol }, ...steps.map((step) => step.move)];
+      for (const { row, col } of squares) {
+        const square = document.querySelector(`.square[data-row="${row}"][data-col="${col}"]`);
+        if (square) square.classList.add(className);
+      }
+    };
+    mark(move.turn.steps, "played-move");
+    mark(move.best.steps, "hint-path");
+  }
+
+  // Drops the moves after the position shown and plays on from it, as if
+  // they had been undone (so the old result comes out of the profiles)
+  branchFromReplay() {
+    const { index } = this.replay;
+    if (this.online || index === this.history.length) return;
+
+    const entry = this.history[index];
+    this.closeReplay();
+    this.history = this.history.slice(0, index);
+    this.redoStack = [];
+    this.restoreState(entry.before);
+    this.restoreClock(entry.clock && entry.clock.before);
+    this.scheduleComputerTurn();
+    this.autosave();
+  }
+
+  // ===== Game Clocks =====
+  // timeControl: { mode, baseTime, bonus } as GameClock expects
+  setTimeControl(timeControl) {
+    this.clock = new GameClock(timeControl);
+    clearInterval(this.clockTimer);
+    document.querySelectorAll(".player-clock").forEach((el) => {
+      el.hidden = !this.clock.enabled;
+    });
+
+    if (this.clock.enabled) {
+      this.clockTimer = setInterval(() => this.updateClocks(), 100);
+    }
+    this.startClock();
+  }
+
+  // Times the turn of the side to move from now on
+  startClock() {
+    if (!this.gameOver && !this.editing) {
+      this.clock.start(this.currentPlayer);
+    }
+    this.updateClocks();
+  }
+
+  // Puts back the times saved with a history entry (none for imported moves)
+  restoreClock(times) {
+    if (times) {
+      this.clock.restore(times, this.currentPlayer);
+    } else {
+      this.clock.start(this.currentPlayer);
+    }
+    this.updateClocks();
+  }
+
+  updateClocks() {
+    if (!this.clock.enabled) return;
+
+    for (const color of ["red", "black"]) {
+      const remaining = this.clock.getRemaining(color);
+      const clockEl = document.getElementById(`${color}-clock`);
+      clockEl.textContent = formatClockTime(remaining);
+      clockEl.classList.toggle("running", this.clock.running && this.clock.active === color);
+      clockEl.classList.toggle("low-time", remaining < 10000);
+    }
+
+    const flagged = this.clock.flagged();
+    if (flagged && !this.gameOver) {
+      this.endGame(flagged === "red" ? "black" : "red", "time");
+    }
+  }
+
+  // ===== Rule Variants =====
+  // Switches rules (and board size if needed) and starts a new game
+  setVariant(variantId) {
+    this.engine = new CheckersEngine(variantId);
+    this.notation = new DraughtsNotation(this.engine);
+    if (this.ai) {
+      this.ai.engine = this.engine;
+    }
+
+    this.updateVariantRules();
+    this.resetGame();
+  }
+
+  updateVariantRules() {
+    const rules = this.engine.rules;
+    const details = [
+      t("rules.board", { size: rules.size }),
+      t(rules.menCaptureBackward ? "rules.menCaptureBackward" : "rules.menCaptureForward"),
+      t(rules.flyingKings ? "rules.flyingKings" : "rules.shortKings"),
+      t(rules.mandatoryCapture ? "rules.mandatoryCapture" : "rules.optionalCapture"),
+      t(`rules.majority.${rules.maximumCapture}`),
+      t(`rules.promotion.${rules.promotionInCapture}`),
+      t("rules.drawLimit", { count: rules.drawMoveLimit }),
+    ];
+
+    const variantEl = document.getElementById("variant-rules");
+    const title = document.createElement("strong");
+    title.textContent = t("rules.variant", { name: t(`variants.${rules.id}`) });
+    variantEl.replaceChildren(title, ` ${details.join(t("rules.separator"))}.`);
+  }
+
+  // ===== Position Editor =====
+  openEditor() {
+    if (this.editing || this.replay) return;
+    this.stopComputerTurn();
+
+    this.editorBackup = this.engine.cloneState(this.getState());
+    this.editing = true;
+    this.clock.pause();
+    this.pathSteps = [];
+    this.deselectPiece();
+
+    document.getElementById("editor-turn").value = this.currentPlayer;
+    document.getElementById("editor-panel").style.display = "flex";
+    document.getElementById("editor-btn").disabled = true;
+
+    this.renderBoard();
+    this.updateEditorFEN();
+    this.updateUI();
+  }
+
+  hideEditor() {
+    if (!this.editing) return;
+    this.editing = false;
+    this.editorBackup = null;
+    document.getElementById("editor-panel").style.display = "none";
+    document.getElementById("editor-btn").disabled = false;
+  }
+
+  // Leaves the editor and puts back the game that was being played
+  cancelEditor() {
+    const backup = this.editorBackup;
+    this.hideEditor();
+
+    this.board = backup.board;
+    this.currentPlayer = backup.currentPlayer;
+    this.renderBoard();
+    this.updateUI();
+    this.clock.resume();
+    this.scheduleComputerTurn();
+  }
+
+  getEditorState() {
+    return {
+      board: this.board,
+      currentPlayer: document.getElementById("editor-turn").value,
+      quietMoves: 0,
+    };
+  }
+
+  setEditorTool(tool) {
+    this.editorTool = tool;
+    document.querySelectorAll(".palette-btn").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.tool === tool);
+    });
+  }
+
+  // Places the current tool's piece, or clears the square if it already holds it
+  editSquare(row, col) {
+    if (!this.engine.isDarkSquare(row, col)) return; // Only dark squares are playable
+
+    if (this.editorTool === "erase") {
+      this.board[row][col] = null;
+    } else {
+      const [color, type] = this.editorTool.split("-");
+      const king = type === "king";
+      const current = this.board[row][col];
+      const lastRow = color === "red" ? 0 : this.engine.size - 1;
+
+      if (current && current.color === color && current.king === king) {
+        this.board[row][col] = null;
+      } else if (!king && row === lastRow) {
+        this.updateStatusMessage(t("editor.manOnLastRow"));
+        return;
+      } else {
+        this.board[row][col] = { color, king };
+      }
+    }
+
+    this.renderBoard();
+    this.updateEditorFEN();
+    this.updateUI();
+  }
+
+  setEditorBoard(board) {
+    this.board = board;
+    this.renderBoard();
+    this.updateEditorFEN();
+    this.updateUI();
+  }
+
+  updateEditorFEN() {
+    document.getElementById("fen-input").value = this.notation.toFEN(this.getEditorState());
+  }
+
+  loadFEN(fen) {
+    let state;
+    try {
+      state = this.notation.parseFEN(fen);
+    } catch (error) {
+      if (!(error instanceof NotationError)) throw error;
+      showDialog(error.message);
+      return;
+    }
+
+    document.getElementById("editor-turn").value = state.currentPlayer;
+    this.setEditorBoard(state.board);
+  }
+
+  copyFEN() {
+    const fenInput = document.getElementById("fen-input");
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(fenInput.value).then(
+        () => this.updateStatusMessage(t("editor.fenCopied")),
+        () => fenInput.select()
+      );
+    } else {
+      fenInput.select();
+    }
+  }
+
+  // Starts a new game from the edited position
+  playFromEditor() {
+    const state = this.engine.cloneState(this.getEditorState());
+
+    if (
+      this.engine.countPieces(state.board, "red") === 0 ||
+      this.engine.countPieces(state.board, "black") === 0
+    ) {
+      showDialog(t("editor.needPieces"));
+      return;
+    }
+    this.checkResult([state], (result) => {
+      // Left the editor while the position was being checked
+      if (!this.editing) return;
+      if (result && result.winner) {
+        showDialog(t(`editor.noMoves.${state.currentPlayer}`));
+        return;
+      }
+      if (result) {
+        showDialog(t("editor.alreadyDrawn", { reason: this.getDrawReasonText(result.reason) }));
+        return;
+      }
+
+      this.clearGame();
+      this.restoreState(state);
+      this.startClock();
+      this.scheduleComputerTurn();
+      this.autosave();
+    });
+  }
+
+  // ===== PDN Import / Export =====
+  exportPDN() {
+    const initialState = this.history.length > 0 ? this.history[0].before : this.getState();
+    let result = PDN_RESULTS.ongoing;
+    if (this.result) {
+      result = this.result.winner ? PDN_RESULTS[this.result.winner] : PDN_RESULTS.draw;
+    }
+
+    const pdn = this.notation.exportPDN({
+      initialState,
+      turns: this.getTurns(),
+      white: this.players.red.name,
+      black: this.players.black.name,
+      result,
+      event: t("pdn.event"),
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(t("pdn.fileName", { date }), pdn, "application/x-pdn");
+  }
+
+  importPDN(text) {
+    // The GameType tag picks the variant; without one the game is international
+    const { GameType = PDN_DEFAULT_GAME_TYPE } = this.notation.parseTags(text);
+    const variantId = variantForGameType(GameType);
+    if (!variantId) {
+      showDialog(`${t("pdn.importFailed")}\n${t("pdn.unsupportedVariant", { gameType: GameType })}`);
+      return;
+    }
+
+    const notation =
+      variantId === this.engine.rules.id
+        ? this.notation
+        : new DraughtsNotation(new CheckersEngine(variantId));
+
+    let imported;
+    try {
+      imported = notation.importPDN(text);
+    } catch (error) {
+      if (!(error instanceof NotationError)) throw error;
+      showDialog(`${t("pdn.importFailed")}\n${error.message}`);
+      return;
+    }
+
+    if (variantId !== this.engine.rules.id) {
+      this.setVariant(variantId);
+    }
+    this.loadGame(imported);
+  }
+
+  // Replays an imported game into the history so it can be undone move by move
+  loadGame({ tags, initialState, turns, result }) {
+    this.clearGame();
+    const state = this.replayTurns(initialState, turns);
+
+    this.setPlayers(tags.White || this.players.red.name, tags.Black || this.players.black.name);
+
+    this.startingPlayer = initialState.currentPlayer;
+    this.restoreState(state);
+
+    // A finished game is shown as such, but it doesn't count towards the stats
+    this.checkResult(this.getGamePositions(), (over) => {
+      if (over) {
+        this.gameOver = true;
+        this.updateHistoryButtons();
+        this.updateStatusMessage(t("pdn.importedFinished", { result }));
+      } else {
+        this.updateStatusMessage(
+          t("pdn.imported", { moves: t("game.moves", { count: turns.length }), status: this.getStatusMessage() })
+        );
+        this.startClock();
+        this.scheduleComputerTurn();
+      }
+      this.emitHistoryChange("load");
+      this.autosave();
+    });
+  }
+
+  // Fills the history with turns played from initialState; returns the final state
+  replayTurns(initialState, turns) {
+    let state = initialState;
+    for (const turn of turns) {
+      const result = this.engine.applyTurn(state, turn.steps);
+      this.history.push(this.createHistoryEntry(state, turn.steps, result, turn.clock));
+      state = result.state;
+    }
+    return state;
+  }
+
+  // ===== Autosave =====
+  // Everything needed to carry on after a reload: the moves that led here
+  // (with their clock times, for undo), the moves that can be redone, the
+  // exact position, a capture path entered halfway and both clocks
+  serializeGame() {
+    const first = this.history[0] || this.redoStack[this.redoStack.length - 1];
+    const savedTurn = ({ steps, clock }) => ({ steps, clock });
+    return {
+      savedAt: Date.now(),
+      variant: this.engine.rules.id,
+      names: { red: this.players.red.name, black: this.players.black.name },
+      startingPlayer: this.startingPlayer,
+      computer: this.ai ? { player: this.aiPlayer, level: this.ai.level } : null,
+      undoEnabled: this.undoEnabled,
+      hintsUsed: this.hintsUsed,
+      initialState: first ? first.before : this.getState(),
+      history: this.history.map(savedTurn),
+      redo: this.redoStack.map(savedTurn),
+      state: this.getState(),
+      pathSteps: this.pathSteps,
+      clock: { timeControl: this.clock.timeControl, remaining: this.clock.snapshot() },
+    };
+  }
+
+  // Called after every change; online games live on the server and a
+  // finished game has nothing left to continue
+  autosave() {
+    if (this.online || this.editing || this.puzzles) return;
+    if (this.gameOver) {
+      clearSavedGame();
+    } else {
+      storeSavedGame(this.serializeGame());
+    }
+  }
+
+  // Puts back a game from serializeGame (after migrateSavedGame)
+  resumeGame(save) {
+    this.setVariant(save.variant);
+    this.setTimeControl(save.clock.timeControl);
+    this.setUndoEnabled(save.undoEnabled);
+    this.setPlayers(save.names.red, save.names.black);
+
+    this.clearGame();
+    this.hintsUsed = { ...save.hintsUsed };
+    const historyEnd = this.replayTurns(save.initialState, save.history);
+
+    // The redo stack is stored newest-undone last, i.e. in reverse play order
+    let state = historyEnd;
+    this.redoStack = [...save.redo].reverse().map((turn) => {
+      const result = this.engine.applyTurn(state, turn.steps);
+      const entry = this.createHistoryEntry(state, turn.steps, result, turn.clock);
+      state = result.state;
+      return entry;
+    }).reverse();
+
+    this.startingPlayer = save.startingPlayer;
+    this.restoreState(save.state);
+    this.clock.restore(save.clock.remaining, this.currentPlayer);
+    if (save.computer) {
+      this.setComputerOpponent(save.computer.player, save.computer.level);
+    }
+
+    // A capture path entered halfway is walked again square by square
+    if (save.pathSteps.length > 0 && !this.isComputerTurn()) {
+      const { fromRow, fromCol } = save.pathSteps[0];
+      this.selectPiece(fromRow, fromCol);
+      this.walkPathSteps(save.pathSteps);
+    }
+    this.emitHistoryChange("load");
+
+    this.updateClocks();
+    if (!this.isComputerTurn()) {
+      this.updateStatusMessage(t("status.resumed", { status: this.getStatusMessage() }));
+    }
+    this.autosave();
+  }
+
+  // ===== Online Play =====
+  // hello is the create or join message for server.js
+  startOnlineGame(url, hello) {
+    clearSavedGame(); // The server keeps this game; a local one isn't resumed instead
+    this.setUndoEnabled(false);
+    this.online = new OnlineClient(url, {
+      onMessage: (message) => this.handleOnlineMessage(message),
+      onStatus: (status) => this.handleOnlineStatus(status),
+    });
+    this.updateLockedControls();
+    this.online.start(hello);
+  }
+
+  // The board is locked on the opponent's turn and while disconnected
+  isRemoteTurn() {
+    return !!this.online && (!this.onlineConnected || this.currentPlayer !== this.onlineColor);
+  }
+
+  handleOnlineStatus(status) {
+    this.onlineConnected = status === "connected";
+    if (!this.onlineConnected) {
+      // A half-entered capture can't be sent now; the server resends the game
+      this.pathSteps = [];
+      this.deselectPiece();
+      this.renderBoard();
+    }
+    if (!this.gameOver) {
+      this.updateStatusMessage(this.getStatusMessage());
+    }
+  }
+
+  handleOnlineMessage(message) {
+    switch (message.type) {
+      case "joined":
+        this.syncOnlineGame(message);
+        break;
+      case "opponent": {
+        const color = this.onlineColor === "red" ? "black" : "red";
+        this.setPlayer(color, this.onlineName(color, message.name));
+        this.opponentConnected = message.connected;
+        if (!this.gameOver) this.updateStatusMessage(this.getStatusMessage());
+        break;
+      }
+      case "move":
+        this.playRemoteTurn(message);
+        break;
+      case "error":
+        showDialog(t(`online.errors.${message.code}`));
+        break;
+    }
+  }
+
+  // The server sends no name for a player who gave none
+  onlineName(color, name) {
+    return name || t(color === "red" ? "players.defaultRed" : "players.defaultBlack");
+  }
+
+  // Takes over the server's copy of the game, on joining and after any mismatch
+  syncOnlineGame({ room, color, variant, players, initialState, turns }) {
+    this.onlineRoom = room;
+    this.onlineColor = color;
+    if (variant !== this.engine.rules.id) {
+      this.setVariant(variant);
+    }
+
+    for (const side of ["red", "black"]) {
+      if (players[side]) this.setPlayer(side, this.onlineName(side, players[side].name));
+    }
+    const opponent = players[color === "red" ? "black" : "red"];
+    this.opponentConnected = !!opponent && opponent.connected;
+
+    this.clearGame();
+    const state = this.replayTurns(initialState, turns.map((steps) => ({ steps })));
+    this.startingPlayer = initialState.currentPlayer;
+    this.restoreState(state);
+
+    // A game that ended before (re)joining is shown, not counted again
+    this.checkResult(this.getGamePositions(), (over) => {
+      if (over) {
+        this.gameOver = true;
+        this.updateHistoryButtons();
+        this.updateStatusMessage(t("online.gameOver"));
+      } else {
+        this.updateStatusMessage(this.getStatusMessage());
+      }
+      this.emitHistoryChange("load");
+    });
+  }
+
+  playRemoteTurn({ ply, steps }) {
+    if (ply !== this.history.length) {
+      this.online.send({ type: "sync" }); // Out of step: ask for the whole game
+      return;
+    }
+    this.selectPiece(steps[0].fromRow, steps[0].fromCol);
+    this.playTurnSteps(steps);
+  }
+
+  // Controls that would change the game on one screen only (online) or
+  // replace the game the tournament has paired
+  updateLockedControls() {
+    const locked = !!this.online || !!this.tournament || !!this.puzzles;
+    for (const id of ["reset-btn", "editor-btn", "import-pdn-btn", "game-starter-toggle"]) {
+      document.getElementById(id).disabled = locked;
+    }
+    // A hint would give the solution away
+    document.getElementById("hint-btn").disabled = !!this.puzzles;
+  }
+
+  // ===== Matches and Tournaments =====
+  setTournament(tournament) {
+    this.tournament = tournament;
+    this.updateLockedControls();
+    this.updateTournamentPanel();
+  }
+
+  // Sets up the next pairing with the variant's usual first move; in a
+  // match the colours swap every game, so the first move alternates too.
+  // Once the tournament is over no game on the board counts for it.
+  playTournamentGame() {
+    const index = this.tournament.nextGame();
+    this.tournament.current = index === -1 ? null : index;
+    storeTournament(this.tournament);
+    if (index !== -1) {
+      const { red, black } = this.tournament.games[index];
+      this.setPlayers(red, black);
+      this.startingPlayer = this.engine.rules.firstPlayer;
+      this.resetGame();
+    }
+    this.updateTournamentPanel();
+  }
+
+  leaveTournament() {
+    if (!this.tournament.finished && !confirm(t("tournament.leaveConfirm"))) return;
+    clearTournament();
+    this.setTournament(null);
+  }
+
+  updateTournamentPanel() {
+    const tournament = this.tournament;
+    document.getElementById("tournament-panel").hidden = !tournament;
+    if (!tournament) return;
+
+    const isMatch = tournament.type === "match";
+    document.getElementById("tournament-title").textContent = isMatch
+      ? t("tournament.matchTitle", { count: tournament.bestOf })
+      : t("tournament.roundRobinTitle");
+    document.getElementById("tournament-progress").textContent = t("tournament.progress", {
+      played: tournament.playedCount,
+      count: tournament.games.length,
+    });
+
+    // Sonneborn-Berger only means something with more than one opponent
+    const columns = ["player", "points", "played", "wins", "draws", "losses"];
+    if (!isMatch) columns.push("sonnebornBerger");
+    const table = document.getElementById("tournament-standings");
+    table.innerHTML = "";
+    const header = table.createTHead().insertRow();
+    for (const column of ["#", ...columns.map((id) => t(`tournament.columns.${id}`))]) {
+      const th = document.createElement("th");
+      th.textContent = column;
+      header.appendChild(th);
+    }
+    const body = table.createTBody();
+    tournament.standings().forEach((row, index) => {
+      const values = [index + 1, row.name, formatNumber(row.points), row.played, row.wins, row.draws, row.losses];
+      if (!isMatch) values.push(formatNumber(row.sonnebornBerger));
+      const tr = body.insertRow();
+      for (const value of values) {
+        tr.insertCell().textContent = value;
+      }
+    });
+
+    const current = tournament.games[tournament.current];
+    const currentDone = !current || !!current.result;
+    let status;
+    if (tournament.finished) {
+      const winner = tournament.getWinner();
+      status = winner
+        ? t(isMatch ? "tournament.matchWinner" : "tournament.tournamentWinner", { name: winner })
+        : t("tournament.tied");
+    } else if (currentDone) {
+      const next = tournament.games[tournament.nextGame()];
+      status = t("tournament.nextGame", { red: next.red, black: next.black });
+    } else {
+      status = t("tournament.currentGame", { number: tournament.current + 1, red: current.red, black: current.black });
+    }
+    document.getElementById("tournament-status").textContent = status;
+    document.getElementById("tournament-next-btn").disabled = tournament.finished || !currentDone;
+  }
+
+  // ===== Puzzle Training =====
+  // puzzles: prepared puzzles (see preparePuzzle), all of the same variant
+  startPuzzles(puzzles) {
+    const stats = new PuzzleStats();
+    this.puzzles = { list: puzzles, index: 0, stats, step: 0, failed: false, done: false, revealing: false, timer: null };
+    this.setUndoEnabled(false);
+    this.updateLockedControls();
+
+    // Carry on with the first puzzle not solved yet
+    const unsolved = puzzles.findIndex((puzzle) => stats.results[puzzle.id] !== "solved");
+    this.loadPuzzle(unsolved === -1 ? 0 : unsolved);
+  }
+
+  loadPuzzle(index) {
+    const training = this.puzzles;
+    clearTimeout(training.timer);
+    Object.assign(training, { index, step: 0, failed: false, done: false, revealing: false });
+
+    const puzzle = training.list[index];
+    if (puzzle.variant !== this.engine.rules.id) {
+      this.setVariant(puzzle.variant);
+    }
+    this.clearGame();
+    this.startingPlayer = puzzle.initialState.currentPlayer;
+    this.restoreState(this.engine.cloneState(puzzle.initialState));
+    this.updatePuzzlePanel();
+    this.updateStatusMessage(t("puzzles.goal", { goal: localize(puzzle.goal) }));
+  }
+
+  leavePuzzles() {
+    clearTimeout(this.puzzles.timer);
+    this.puzzles = null;
+    this.updatePuzzlePanel();
+    this.updateLockedControls();
+    this.setUndoEnabled(true);
+    this.startingPlayer = this.engine.rules.firstPlayer;
+    this.resetGame();
+  }
+
+  // The board is locked while the reply is on its way and once the puzzle is over
+  isPuzzleLocked() {
+    if (!this.puzzles) return false;
+    const { list, index, done, revealing } = this.puzzles;
+    return done || revealing || this.currentPlayer !== list[index].initialState.currentPlayer;
+  }
+
+  // Accepts the next turn of the solution; any path ending in the same
+  // position will do. A wrong turn is taken back and spoils the attempt.
+  checkPuzzleTurn(path) {
+    const training = this.puzzles;
+    const puzzle = training.list[training.index];
+    const expected = puzzle.turns[training.step];
+    const played = this.engine.applyTurn(this.engine.cloneState(this.getState()), path).state;
+    if (this.engine.positionKey(played) === this.engine.positionKey(expected.state)) {
+      training.step++;
+      return true;
+    }
+
+    this.pathSteps = [];
+    this.renderBoard();
+    this.deselectPiece();
+    this.failPuzzle();
+    this.updateStatusMessage(t("puzzles.wrong"));
+    return false;
+  }
+
+  // Counts the attempt as failed, once
+  failPuzzle() {
+    const training = this.puzzles;
+    if (training.failed) return;
+    training.failed = true;
+    training.stats.record(training.list[training.index].id, false);
+    this.updatePuzzlePanel();
+  }
+
+  // After every solution turn: the forced reply, the solver's next turn or the end
+  advancePuzzle() {
+    const training = this.puzzles;
+    if (!training) return;
+    const puzzle = training.list[training.index];
+
+    if (training.step === puzzle.turns.length) {
+      let message = t("puzzles.solved");
+      if (training.revealing) {
+        message = t("puzzles.revealed");
+      } else if (training.failed) {
+        message = t("puzzles.solvedLate");
+      } else {
+        training.stats.record(puzzle.id, true);
+      }
+      training.done = true;
+      training.revealing = false;
+      this.updatePuzzlePanel();
+      this.updateStatusMessage(message);
+      return;
+    }
+
+    const reply = training.step % 2 === 1;
+    if (reply || training.revealing) {
+      if (reply && !training.revealing) {
+        this.updateStatusMessage(t("puzzles.reply"));
+      }
+      training.timer = setTimeout(() => this.playTurn(puzzle.turns[training.step].steps), 700);
+    } else {
+      this.updateStatusMessage(t("puzzles.keepGoing", { goal: localize(puzzle.goal) }));
+    }
+  }
+
+  // Plays the rest of the solution on the board; the attempt counts as failed
+  revealPuzzleSolution() {
+    const training = this.puzzles;
+    if (training.done || training.revealing) return;
+
+    this.failPuzzle();
+    clearTimeout(training.timer);
+    training.revealing = true;
+    this.pathSteps = [];
+    this.renderBoard();
+    this.deselectPiece();
+    this.updateStatusMessage(t("puzzles.revealing"));
+    this.advancePuzzle();
+  }
+
+  updatePuzzlePanel() {
+    const training = this.puzzles;
+    document.getElementById("puzzle-panel").hidden = !training;
+    if (!training) return;
+
+    const { list, index, stats } = training;
+    const puzzle = list[index];
+    const solvedMark = stats.results[puzzle.id] === "solved" ? " ✅" : "";
+    document.getElementById("puzzle-title").textContent =
+      t("puzzles.title", { number: index + 1, count: list.length, title: localize(puzzle.title) }) + solvedMark;
+    document.getElementById("puzzle-goal").textContent = localize(puzzle.goal);
+    document.getElementById("puzzle-stats").textContent = t("puzzles.stats", {
+      solved: stats.solved,
+      count: stats.attempted,
+      percent: Math.round(stats.solveRate * 100),
+      streak: stats.streak,
+      bestStreak: stats.bestStreak,
+    });
+
+    document.getElementById("puzzle-prev-btn").disabled = index === 0;
+    document.getElementById("puzzle-next-btn").disabled = index === list.length - 1;
+    document.getElementById("puzzle-solution-btn").disabled = training.done || training.revealing;
+  }
+
+  // ===== Computer Opponent =====
+  setComputerOpponent(color, level) {
+    this.aiPlayer = color;
+    this.ai = color ? new CheckersAI(this.engine, level) : null;
+    this.scheduleComputerTurn();
+  }
+
+  isComputerTurn() {
+    return !!this.ai && !this.gameOver && !this.editing && this.currentPlayer === this.aiPlayer;
+  }
+
+  scheduleComputerTurn() {
+    this.stopComputerTurn();
+    if (!this.isComputerTurn()) return;
+
+    const aiName = this.players[this.aiPlayer].name;
+    this.updateStatusMessage(t("status.thinking", { name: aiName }));
+    const job = { kind: "move", state: this.getState(), level: this.ai.level };
+    const started = Date.now();
+    this.aiJob = this.engineWorker.analyze(this.engine.rules.id, job, {
+      onResult: (turn) => {
+        this.aiJob = null;
+        if (!turn || !this.isComputerTurn()) return;
+        // Even a quick answer waits a moment so the reply can be followed
+        this.aiTimer = setTimeout(() => {
+          this.selectPiece(turn.steps[0].fromRow, turn.steps[0].fromCol);
+          this.playTurnSteps(turn.steps);
+        }, Math.max(0, 600 - (Date.now() - started)));
+      },
+    });
+  }
+
+  // Drops the computer's search and whatever it was about to play
+  stopComputerTurn() {
+    clearTimeout(this.aiTimer);
+    this.engineWorker.stop(this.aiJob);
+    this.aiJob = null;
+  }
+
+  // Drops every search for the position on the board, the computer's, a
+  // hint's and the end-of-game check; called whenever that position is
+  // taken back or replaced
+  stopSearches() {
+    this.stopComputerTurn();
+    this.stopResultCheck();
+    this.clearHint();
+  }
+
+  // Plays the selected piece's turn (the computer's or the online
+  // opponent's) one step at a time through the same path as a human click
+  playTurnSteps(steps) {
+    const [step, ...rest] = steps;
+    this.aiTimer = setTimeout(() => {
+      this.movePiece(step.fromRow, step.fromCol, step.move.row, step.move.col);
+      if (rest.length > 0) {
+        this.aiTimer = setTimeout(() => this.playTurnSteps(rest), 450);
+      }
+    }, 350);
+  }
+
+  // ===== Player Profiles =====
+  // Plays each side as the profile with that name, creating it if needed
+  setPlayers(redName, blackName) {
+    this.setPlayer("red", redName);
+    this.setPlayer("black", blackName);
+  }
+
+  setPlayer(color, name) {
+    this.players[color] = this.profiles.findOrCreate(name);
+    this.updatePlayerNames();
     this.updateStatsDisplay();
-    this.saveStats();
   }
-  
+
+  // The name boxes rename the profile playing that side; a name that
+  // belongs to someone else is refused
+  renamePlayer(color, name) {
+    const profile = this.players[color];
+    if (name.trim() && !this.profiles.rename(profile.id, name)) {
+      showDialog(t("players.nameTaken", { name: name.trim() }));
+    }
+    this.updatePlayerNames();
+    this.updateStatusMessage(this.getStatusMessage());
+    this.autosave();
+  }
+
+  updateStatsDisplay() {
+    for (const color of ["red", "black"]) {
+      const profile = this.players[color];
+      if (!profile) continue;
+      document.getElementById(`${color}-wins`).textContent = profile.wins;
+      document.getElementById(`${color}-losses`).textContent = profile.losses;
+      document.getElementById(`${color}-draws`).textContent = profile.draws;
+      document.getElementById(`${color}-rating`).textContent = `Elo ${profile.rating}`;
+    }
+  }
+
+  updatePlayerNames() {
+    for (const color of ["red", "black"]) {
+      const profile = this.players[color];
+      if (!profile) continue;
+      document.getElementById(`${color}-name-input`).value = profile.name;
+      document.getElementById(`${color}-player-name`).textContent = profile.name;
+    }
+  }
+
+  // Counts the finished game for both profiles and updates their ratings
+  recordResult(winner) {
+    if (this.puzzles) return; // Puzzle positions aren't games between the players
+
+    this.result.gameId = this.profiles.recordGame({
+      red: this.players.red.id,
+      black: this.players.black.id,
+      winner,
+      variant: this.engine.rules.id,
+      moves: this.history.length,
+      hints: this.hintsUsed,
+    });
+    this.updateStatsDisplay();
+
+    if (this.tournament && this.tournament.current !== null) {
+      this.tournament.recordResult(this.tournament.current, winner || "draw");
+      storeTournament(this.tournament);
+      this.updateTournamentPanel();
+    }
+  }
+
   resetStats() {
     const confirmed = document.createElement('div');
     confirmed.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); background: var(--bg-secondary); padding: 2rem; border-radius: 1rem; border: 2px solid var(--color-king-gold); z-index: 10000; text-align: center;';
     confirmed.innerHTML = `
-      <p style="margin-bottom: 1rem; font-size: 1.1rem;">¿Estás seguro de que quieres resetear todas las estadísticas?</p>
-      <button id="confirm-yes" class="btn btn-primary" style="margin-right: 1rem;">Sí</button>
-      <button id="confirm-no" class="btn btn-secondary">No</button>
+      <p style="margin-bottom: 1rem; font-size: 1.1rem;">${t("stats.resetConfirm")}</p>
+      <button id="confirm-yes" class="btn btn-primary" style="margin-inline-end: 1rem;">${t("common.yes")}</button>
+      <button id="confirm-no" class="btn btn-secondary">${t("common.no")}</button>
     `;
     document.body.appendChild(confirmed);
-    
+
     document.getElementById('confirm-yes').onclick = () => {
-      this.stats.red.wins = 0;
-      this.stats.red.losses = 0;
-      this.stats.red.draws = 0;
-      this.stats.black.wins = 0;
-      this.stats.black.losses = 0;
-      this.stats.black.draws = 0;
+      this.profiles.resetAll();
       this.updateStatsDisplay();
-      this.saveStats();
       confirmed.remove();
     };
     
@@ -707,6 +2375,131 @@ class CheckersGame {
     document.getElementById("hint-btn").addEventListener("click", () => {
       this.showHint();
     });
+
+    // Position editor
+    document.getElementById("editor-btn").addEventListener("click", () => {
+      this.openEditor();
+    });
+    document.querySelectorAll(".palette-btn").forEach((btn) => {
+      btn.addEventListener("click", () => this.setEditorTool(btn.dataset.tool));
+    });
+    document.getElementById("editor-turn").addEventListener("change", () => {
+      this.updateEditorFEN();
+    });
+    document.getElementById("editor-clear-btn").addEventListener("click", () => {
+      this.setEditorBoard(this.board.map((row) => row.map(() => null)));
+    });
+    document.getElementById("editor-initial-btn").addEventListener("click", () => {
+      this.setEditorBoard(this.engine.createInitialBoard());
+    });
+    document.getElementById("fen-load-btn").addEventListener("click", () => {
+      this.loadFEN(document.getElementById("fen-input").value);
+    });
+    document.getElementById("fen-copy-btn").addEventListener("click", () => {
+      this.copyFEN();
+    });
+    document.getElementById("editor-play-btn").addEventListener("click", () => {
+      this.playFromEditor();
+    });
+    document.getElementById("editor-cancel-btn").addEventListener("click", () => {
+      this.cancelEditor();
+    });
+
+    document.getElementById("export-pdn-btn").addEventListener("click", () => {
+      this.exportPDN();
+    });
+
+    const pdnFileInput = document.getElementById("import-pdn-input");
+    document.getElementById("import-pdn-btn").addEventListener("click", () => {
+      pdnFileInput.click();
+    });
+    pdnFileInput.addEventListener("change", () => {
+      const file = pdnFileInput.files[0];
+      if (!file) return;
+      file.text().then((text) => this.importPDN(text));
+      pdnFileInput.value = "";
+    });
+
+    document.getElementById("undo-btn").addEventListener("click", () => {
+      this.undo();
+    });
+
+    document.getElementById("redo-btn").addEventListener("click", () => {
+      this.redo();
+    });
+
+    // Replay viewer
+    document.getElementById("replay-btn").addEventListener("click", () => {
+      this.openReplay();
+    });
+    document.getElementById("replay-start-btn").addEventListener("click", () => {
+      this.showReplayPosition(0);
+    });
+    document.getElementById("replay-prev-btn").addEventListener("click", () => {
+      this.replayStep(-1);
+    });
+    document.getElementById("replay-play-btn").addEventListener("click", () => {
+      this.toggleReplayAutoplay();
+    });
+    document.getElementById("replay-next-btn").addEventListener("click", () => {
+      this.replayStep(1);
+    });
+    document.getElementById("replay-end-btn").addEventListener("click", () => {
+      this.showReplayPosition(this.history.length);
+    });
+    document.getElementById("replay-slider").addEventListener("input", (e) => {
+      this.showReplayPosition(Number(e.target.value));
+    });
+    document.getElementById("replay-branch-btn").addEventListener("click", () => {
+      this.branchFromReplay();
+    });
+    document.getElementById("replay-close-btn").addEventListener("click", () => {
+      this.closeReplay();
+    });
+
+    // Post-game analysis; a click on the graph jumps to that point of the game
+    document.getElementById("analyze-btn").addEventListener("click", () => {
+      this.analyzeGame();
+    });
+    document.getElementById("analysis-graph").addEventListener("click", (e) => {
+      if (!this.replay) return;
+      const bounds = e.currentTarget.getBoundingClientRect();
+      if (bounds.width === 0) return;
+      const ratio = (e.clientX - bounds.left) / bounds.width;
+      this.stopReplayAutoplay();
+      this.showReplayPosition(Math.round(Math.min(Math.max(ratio, 0), 1) * this.history.length));
+    });
+
+    const boardEl = document.getElementById("game-board");
+    boardEl.addEventListener("keydown", (e) => this.handleBoardKey(e));
+    boardEl.addEventListener("pointerdown", (e) => this.handlePointerDown(e));
+    boardEl.addEventListener("pointermove", (e) => this.handlePointerMove(e));
+    boardEl.addEventListener("pointerup", (e) => this.handlePointerUp(e));
+    boardEl.addEventListener("pointercancel", (e) => this.cancelDrag(e));
+    // Swallow the click a drop leaves behind before it reaches a square
+    boardEl.addEventListener(
+      "click",
+      (e) => {
+        if (this.dragJustEnded) {
+          this.dragJustEnded = false;
+          e.stopPropagation();
+        }
+      },
+      true
+    );
+
+    // Ctrl+Z / Ctrl+Y (Cmd on macOS), ignored while typing a name
+    document.addEventListener("keydown", (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.tagName === "INPUT") return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        this.undo();
+      } else if (key === "y" || (key === "z" && e.shiftKey)) {
+        e.preventDefault();
+        this.redo();
+      }
+    });
     
     // Game starter toggle
     const gameToggle = document.getElementById("game-starter-toggle");
@@ -715,41 +2508,184 @@ class CheckersGame {
     
     gameToggle.addEventListener("change", (e) => {
       console.log(e.target.checked);
+      const previous = this.currentPlayer;
       this.currentPlayer = e.target.checked ? "black" : "red";
       gameRedLabel.classList.toggle("active", !e.target.checked);
       gameBlackLabel.classList.toggle("active", e.target.checked);
+      this.startClock();
       this.updateUI();
+      this.events.emit("turnChange", { player: this.currentPlayer, previous });
+      this.scheduleComputerTurn();
+      this.autosave();
       // this.resetGame();
     });
     
+    document.getElementById("tournament-next-btn").addEventListener("click", () => {
+      this.playTournamentGame();
+    });
+    document.getElementById("tournament-leave-btn").addEventListener("click", () => {
+      this.leaveTournament();
+    });
+
+    // Puzzle training
+    document.getElementById("puzzle-prev-btn").addEventListener("click", () => {
+      this.loadPuzzle(this.puzzles.index - 1);
+    });
+    document.getElementById("puzzle-retry-btn").addEventListener("click", () => {
+      this.loadPuzzle(this.puzzles.index);
+    });
+    document.getElementById("puzzle-solution-btn").addEventListener("click", () => {
+      this.revealPuzzleSolution();
+    });
+    document.getElementById("puzzle-next-btn").addEventListener("click", () => {
+      this.loadPuzzle(this.puzzles.index + 1);
+    });
+    document.getElementById("puzzle-leave-btn").addEventListener("click", () => {
+      this.leavePuzzles();
+    });
+
+    document.getElementById("leaderboard-btn").addEventListener("click", () => {
+      showLeaderboard(this.profiles);
+    });
+
     document.getElementById("reset-stats-btn").addEventListener("click", () => {
       this.resetStats();
     });
+
+    // Keep the clocks' latest times when the page is closed or reloaded
+    window.addEventListener("pagehide", () => {
+      this.autosave();
+    });
   }
   
   attachNameInputListeners() {
-    const redNameInput = document.getElementById('red-name-input');
-    const blackNameInput = document.getElementById('black-name-input');
-    
-    redNameInput.addEventListener('input', (e) => {
-      this.stats.red.name = e.target.value || 'Jugador Rojo';
-      document.getElementById('red-player-name').textContent = this.stats.red.name;
-      this.saveStats();
-      this.updateStatusMessage(this.getStatusMessage());
-    });
-    
-    blackNameInput.addEventListener('input', (e) => {
-      this.stats.black.name = e.target.value || 'Jugador Negro';
-      document.getElementById('black-player-name').textContent = this.stats.black.name;
-      this.saveStats();
-      this.updateStatusMessage(this.getStatusMessage());
-    });
+    // Renamed once the name is complete, so half-typed names don't clash
+    for (const color of ["red", "black"]) {
+      document.getElementById(`${color}-name-input`).addEventListener('change', (e) => {
+        this.renamePlayer(color, e.target.value);
+      });
+    }
   }
   
   getStatusMessage() {
+    if (this.editing) return t('status.editor');
     if (this.gameOver) return document.getElementById('status-message').textContent;
-    const playerName = this.currentPlayer === 'red' ? this.stats.red.name : this.stats.black.name;
-    return `Turno de ${playerName}`;
+    if (this.online) {
+      if (!this.onlineConnected) return t('online.connectionLost');
+      if (!this.onlineRoom) return t('online.connecting');
+      if (!this.opponentConnected) return t('online.waiting', { room: this.onlineRoom });
+    }
+    const playerName = this.currentPlayer === 'red' ? this.players.red.name : this.players.black.name;
+    if (this.pathSteps.length > 0) return t('status.multiCapture', { name: playerName });
+    return t('status.turn', { name: playerName });
+  }
+}
+
+// ===== Page Helpers =====
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Modal message with a single button; newlines start new paragraphs
+function showDialog(message) {
+  const dialog = document.createElement("div");
+  dialog.className = "dialog";
+  for (const line of message.split("\n")) {
+    const paragraph = document.createElement("p");
+    paragraph.textContent = line;
+    dialog.appendChild(paragraph);
+  }
+
+  const okBtn = document.createElement("button");
+  okBtn.className = "btn btn-primary";
+  okBtn.textContent = t("common.ok");
+  okBtn.onclick = () => dialog.remove();
+  dialog.appendChild(okBtn);
+
+  document.body.appendChild(dialog);
+  okBtn.focus();
+}
+
+// Ranking of the profiles that have finished a game; picking a player
+// lists their latest games under it
+function showLeaderboard(profiles) {
+  const dialog = document.createElement("div");
+  dialog.className = "dialog";
+
+  const title = document.createElement("h2");
+  title.textContent = t("leaderboard.title");
+  dialog.appendChild(title);
+
+  const ranked = profiles.leaderboard();
+  if (ranked.length === 0) {
+    const empty = document.createElement("p");
+    empty.textContent = t("leaderboard.empty");
+    dialog.appendChild(empty);
+  } else {
+    const table = document.createElement("table");
+    table.className = "leaderboard";
+    table.innerHTML = `
+      <thead>
+        <tr><th>#</th><th>${t("leaderboard.player")}</th><th>Elo</th><th title="${t("leaderboard.wins")}">🏆</th><th title="${t("leaderboard.losses")}">❌</th><th title="${t("leaderboard.draws")}">🤝</th></tr>
+      </thead>
+    `;
+    const body = document.createElement("tbody");
+    const gamesEl = document.createElement("ul");
+    gamesEl.className = "profile-games";
+
+    ranked.forEach((profile, index) => {
+      const row = document.createElement("tr");
+      for (const value of [index + 1, profile.name, profile.rating, profile.wins, profile.losses, profile.draws]) {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+      }
+      row.title = t("leaderboard.rowTitle");
+      row.addEventListener("click", () => {
+        body.querySelectorAll("tr").forEach((other) => other.classList.toggle("selected", other === row));
+        showProfileGames(profile, gamesEl);
+      });
+      body.appendChild(row);
+    });
+
+    table.appendChild(body);
+    dialog.appendChild(table);
+    dialog.appendChild(gamesEl);
+  }
+
+  const closeBtn = document.createElement("button");
+  closeBtn.className = "btn btn-primary";
+  closeBtn.textContent = t("common.close");
+  closeBtn.onclick = () => dialog.remove();
+  dialog.appendChild(closeBtn);
+
+  document.body.appendChild(dialog);
+  closeBtn.focus();
+}
+
+function showProfileGames(profile, listEl) {
+  listEl.innerHTML = "";
+  for (const game of profile.games.slice(0, 10)) {
+    const variant = VARIANTS[game.variant] ? t(`variants.${game.variant}`) : game.variant;
+    const change = game.ratingChange > 0 ? `+${game.ratingChange}` : `${game.ratingChange}`;
+    const item = document.createElement("li");
+    item.textContent =
+      t("profile.game", {
+        date: new Date(game.date).toLocaleDateString(getLocale()),
+        result: t(`profile.result.${game.result}`),
+        opponent: game.opponent,
+        variant,
+        moves: t("game.moves", { count: game.moves }),
+        change,
+      }) + (game.hints > 0 ? ` · ${t("profile.hints", { count: game.hints })}` : "");
+    listEl.appendChild(item);
   }
 }
 
@@ -763,14 +2699,72 @@ function initializeSetupScreen() {
   const starterToggle = document.getElementById('starter-toggle');
   const redLabel = document.getElementById('red-label');
   const blackLabel = document.getElementById('black-label');
+  const setupMode = document.getElementById('setup-mode');
+  const aiOptions = document.getElementById('ai-options');
+  const setupHumanColor = document.getElementById('setup-human-color');
+  const setupAiLevel = document.getElementById('setup-ai-level');
+  const seriousGame = document.getElementById('setup-serious-game');
+  const setupVariant = document.getElementById('setup-variant');
+  const setupTimeMode = document.getElementById('setup-time-mode');
+  const timeOptions = document.getElementById('time-options');
+  const setupTimeMinutes = document.getElementById('setup-time-minutes');
+  const setupTimeBonus = document.getElementById('setup-time-bonus');
+  const timeBonusField = document.getElementById('time-bonus-field');
+  const onlineOptions = document.getElementById('online-options');
+  const setupOnlineAction = document.getElementById('setup-online-action');
+  const onlineRoomField = document.getElementById('online-room-field');
+  const setupOnlineRoom = document.getElementById('setup-online-room');
+  const setupOnlineServer = document.getElementById('setup-online-server');
+  const resumePanel = document.getElementById('resume-panel');
+  const matchOptions = document.getElementById('match-options');
+  const tournamentOptions = document.getElementById('tournament-options');
+  const setupBestOf = document.getElementById('setup-best-of');
+  const setupTournamentPlayers = document.getElementById('setup-tournament-players');
+  const profileNames = document.getElementById('profile-names');
+  const setupLanguage = document.getElementById('setup-language');
+  const backupFormat = document.getElementById('backup-format');
+  const backupInput = document.getElementById('import-backup-input');
+
+  // Languages with a catalog, each under its own name
+  for (const [code, language] of Object.entries(LANGUAGES)) {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = language.name;
+    option.lang = code;
+    option.selected = code === getLanguage();
+    setupLanguage.appendChild(option);
+  }
+
+  // Variant choices come straight from the engine's definitions
+  for (const variant of Object.values(VARIANTS)) {
+    const option = document.createElement('option');
+    option.value = variant.id;
+    option.selected = variant.id === DEFAULT_VARIANT;
+    setupVariant.appendChild(option);
+  }
   
   
 
+  // Existing players can be picked by name; a new name makes a new profile
+  const setupProfiles = new ProfileStore();
+  function fillProfileNames() {
+    profileNames.innerHTML = '';
+    for (const profile of Object.values(setupProfiles.profiles)) {
+      const option = document.createElement('option');
+      option.value = profile.name;
+      profileNames.appendChild(option);
+    }
+  }
+  fillProfileNames();
+  document.getElementById('setup-leaderboard-btn').addEventListener('click', () => {
+    showLeaderboard(setupProfiles);
+  });
+
   //////////////////////////////////////////////////
   // Update toggle labels with names
   function updateToggleLabels() {
-    redLabel.textContent = setupRedName.value || 'Jugador Rojo';
-    blackLabel.textContent = setupBlackName.value || 'Jugador Negro';
+    redLabel.textContent = setupRedName.value || t('players.defaultRed');
+    blackLabel.textContent = setupBlackName.value || t('players.defaultBlack');
     
     redLabel.classList.toggle('active', !starterToggle.checked);
     blackLabel.classList.toggle('active', starterToggle.checked);
@@ -782,69 +2776,360 @@ function initializeSetupScreen() {
   
   // Update labels when toggle changes
   starterToggle.addEventListener('change', updateToggleLabels);
+
+  // Computer options are only relevant against the computer
+  setupMode.addEventListener('change', () => {
+    aiOptions.style.display = setupMode.value === 'ai' ? 'flex' : 'none';
+    onlineOptions.style.display = setupMode.value === 'online' ? 'flex' : 'none';
+    matchOptions.style.display = setupMode.value === 'match' ? 'flex' : 'none';
+    tournamentOptions.style.display = setupMode.value === 'tournament' ? 'flex' : 'none';
+
+    // A tournament names its own players and pairings decide who starts
+    const tournament = setupMode.value === 'tournament';
+    // Puzzles bring their own positions; only the variant is chosen here
+    const puzzles = setupMode.value === 'puzzles';
+    document.getElementById('red-name-field').style.display = tournament || puzzles ? 'none' : '';
+    document.getElementById('black-name-field').style.display = tournament || puzzles ? 'none' : '';
+    document.querySelector('.starter-selection').style.display =
+      tournament || puzzles || setupMode.value === 'match' ? 'none' : '';
+    document.getElementById('time-mode-field').style.display = puzzles ? 'none' : '';
+    document.getElementById('serious-game-field').style.display = puzzles ? 'none' : '';
+    timeOptions.style.display = puzzles || setupTimeMode.value === 'none' ? 'none' : 'flex';
+  });
+
+  // Online: the room creator plays red, whoever joins plays black
+  setupOnlineAction.addEventListener('change', () => {
+    onlineRoomField.style.display = setupOnlineAction.value === 'join' ? '' : 'none';
+  });
+  const wsProtocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  setupOnlineServer.value = `${wsProtocol}//${location.host || 'localhost:8080'}`;
+
+  // After a reload, offer to rejoin the room this tab was playing in
+  const onlineSession = OnlineClient.loadSession();
+  if (onlineSession) {
+    setupMode.value = 'online';
+    setupOnlineAction.value = 'join';
+    setupOnlineRoom.value = onlineSession.room;
+    setupOnlineServer.value = onlineSession.url;
+    setupMode.dispatchEvent(new Event('change'));
+    setupOnlineAction.dispatchEvent(new Event('change'));
+  }
+
+  // A game left unfinished on this browser, and the match or tournament
+  // it belongs to, can be continued
+  let savedGame = loadSavedGame();
+  if (savedGame && !VARIANTS[savedGame.variant]) savedGame = null;
+  const savedTournament = loadTournament();
+  function updateResumeSummary() {
+    const summaries = [];
+    if (savedTournament) {
+      summaries.push(t('resume.tournament', {
+        kind: t(savedTournament.type === 'match' ? 'resume.match' : 'resume.roundRobin'),
+        state: t(savedTournament.finished ? 'resume.finished' : 'resume.running'),
+        players: savedTournament.players.join(', '),
+        played: savedTournament.playedCount,
+        count: savedTournament.games.length,
+      }));
+    }
+    if (savedGame) {
+      summaries.push(t('resume.game', {
+        red: savedGame.names.red,
+        black: savedGame.names.black,
+        variant: t(`variants.${savedGame.variant}`),
+        moves: t('game.moves', { count: savedGame.history.length }),
+        date: new Date(savedGame.savedAt).toLocaleString(getLocale()),
+      }));
+    }
+    document.getElementById('resume-summary').textContent = summaries.join(' — ');
+  }
+  if (savedTournament || savedGame) {
+    updateResumeSummary();
+    resumePanel.style.display = 'flex';
+  }
+
+  document.getElementById('resume-game-btn').addEventListener('click', () => {
+    setupScreen.style.display = 'none';
+    gameContainer.style.display = 'block';
+
+    game = new CheckersGame();
+    window.game = game;
+    if (savedTournament) {
+      game.setVariant(savedTournament.variant);
+      game.setTournament(savedTournament);
+      // The last game was finished (or never started): go on with the next
+      if (!savedGame) {
+        game.playTournamentGame();
+        return;
+      }
+    }
+
+    try {
+      game.resumeGame(savedGame);
+    } catch (error) {
+      console.error(error);
+      game.resetGame();
+      clearSavedGame();
+      showDialog(t('resume.failed'));
+    }
+  });
+
+  document.getElementById('discard-save-btn').addEventListener('click', () => {
+    clearSavedGame();
+    clearTournament();
+    resumePanel.style.display = 'none';
+  });
+
+  // Time settings only for timed games, and the bonus only with one
+  setupTimeMode.addEventListener('change', () => {
+    timeOptions.style.display = setupTimeMode.value === 'none' ? 'none' : 'flex';
+    timeBonusField.style.display = setupTimeMode.value === 'suddenDeath' ? 'none' : '';
+  });
   
-  // Initialize labels
-  updateToggleLabels();
+  // Texts filled in from code follow the language picked; so do the
+  // default names, unless they were changed
+  function translateSetupScreen() {
+    for (const option of setupVariant.options) {
+      option.textContent = t(`variants.${option.value}`);
+    }
+    for (const option of setupBestOf.options) {
+      option.textContent = t('setup.bestOfOption', { count: Number(option.value) });
+    }
+    if (savedTournament || savedGame) updateResumeSummary();
+    updateToggleLabels();
+  }
+
+  setupLanguage.addEventListener('change', () => {
+    const defaults = { red: t('players.defaultRed'), black: t('players.defaultBlack') };
+    setLanguage(setupLanguage.value);
+    if (setupRedName.value === defaults.red) setupRedName.value = t('players.defaultRed');
+    if (setupBlackName.value === defaults.black) setupBlackName.value = t('players.defaultBlack');
+    translateSetupScreen();
+  });
+
+  // The names and options of the last game started here (see preferences.js)
+  function applyPreferences(preferences) {
+    setupRedName.value = preferences.redName || t('players.defaultRed');
+    setupBlackName.value = preferences.blackName || t('players.defaultBlack');
+    setupVariant.value = preferences.variant;
+    setupHumanColor.value = preferences.humanColor;
+    setupAiLevel.value = preferences.aiLevel;
+    setupTimeMode.value = preferences.timeMode;
+    setupTimeMinutes.value = preferences.timeMinutes;
+    setupTimeBonus.value = preferences.timeBonus;
+    seriousGame.checked = preferences.seriousGame;
+    setupTimeMode.dispatchEvent(new Event('change'));
+  }
+
+  function readSetupPreferences() {
+    const redName = setupRedName.value.trim();
+    const blackName = setupBlackName.value.trim();
+    return {
+      // Default names are left empty so they follow the language
+      redName: redName === t('players.defaultRed') ? '' : redName,
+      blackName: blackName === t('players.defaultBlack') ? '' : blackName,
+      variant: setupVariant.value,
+      humanColor: setupHumanColor.value,
+      aiLevel: setupAiLevel.value,
+      timeMode: setupTimeMode.value,
+      timeMinutes: Number(setupTimeMinutes.value),
+      timeBonus: Number(setupTimeBonus.value),
+      seriousGame: seriousGame.checked,
+    };
+  }
+
+  // Initialize labels, with the default names of the language in use
+  applyPreferences(loadPreferences());
+  translateSetupScreen();
+
+  // Stats, names and preferences to and from another device (see backup.js)
+  document.getElementById('export-backup-btn').addEventListener('click', () => {
+    const backup = createBackup(setupProfiles, readSetupPreferences(), getLanguage());
+    const date = new Date().toISOString().slice(0, 10);
+    if (backupFormat.value === 'csv') {
+      downloadFile(t('backup.fileName', { date, extension: 'csv' }), backupToCSV(backup), 'text/csv');
+    } else {
+      downloadFile(t('backup.fileName', { date, extension: 'json' }), backupToJSON(backup), 'application/json');
+    }
+  });
+
+  document.getElementById('import-backup-btn').addEventListener('click', () => {
+    backupInput.click();
+  });
+  backupInput.addEventListener('change', () => {
+    const file = backupInput.files[0];
+    if (!file) return;
+    file.text().then(importBackup);
+    backupInput.value = '';
+  });
+
+  // Replaces this device's profiles and preferences with the file's. A CSV
+  // file has no games, so its totals go into the profiles there are
+  function importBackup(text) {
+    let backup;
+    try {
+      backup = parseBackup(text);
+    } catch (error) {
+      if (!(error instanceof BackupError)) throw error;
+      showDialog(`${t('backup.importFailed')}\n${error.message}`);
+      return;
+    }
+
+    const count = Object.keys(backup.profiles.profiles).length;
+    if (!confirm(t(backup.withGames ? 'backup.importConfirm' : 'backup.mergeConfirm', { count }))) return;
+
+    if (backup.withGames) {
+      setupProfiles.replaceAll(backup.profiles);
+    } else {
+      setupProfiles.mergeTotals(backup.profiles);
+    }
+    fillProfileNames();
+    storePreferences(backup.preferences);
+    if (backup.language) {
+      setupLanguage.value = backup.language;
+      setLanguage(backup.language);
+    }
+    applyPreferences(backup.preferences);
+    translateSetupScreen();
+    showDialog(t('backup.imported', { count }));
+  }
+
+  // The puzzle set is a file next to the page, loaded when training starts
+  function startPuzzles() {
+    startGameBtn.disabled = true;
+    fetchPuzzleSet().then(
+      ({ puzzles, errors }) => {
+        startGameBtn.disabled = false;
+        errors.forEach((message) => console.warn(message));
+        const variantPuzzles = puzzles.filter((puzzle) => puzzle.variant === setupVariant.value);
+        if (variantPuzzles.length === 0) {
+          showDialog(t('puzzles.noneForVariant', { variant: t(`variants.${setupVariant.value}`) }));
+          return;
+        }
+
+        setupScreen.style.display = 'none';
+        gameContainer.style.display = 'block';
+        game = new CheckersGame();
+        window.game = game;
+        game.startPuzzles(variantPuzzles);
+      },
+      (error) => {
+        startGameBtn.disabled = false;
+        console.error(error);
+        showDialog(t('puzzles.loadFailed'));
+      }
+    );
+  }
   
   // Start game button
   startGameBtn.addEventListener('click', () => {
-    const redName = setupRedName.value.trim() || 'Jugador Rojo';
-    const blackName = setupBlackName.value.trim() || 'Jugador Negro';
+    storePreferences(readSetupPreferences());
+    if (setupMode.value === 'puzzles') {
+      startPuzzles();
+      return;
+    }
+
+    let redName = setupRedName.value.trim() || t('players.defaultRed');
+    let blackName = setupBlackName.value.trim() || t('players.defaultBlack');
     const startingPlayer = starterToggle.checked ? 'black' : 'red';
-    
-    
-    // Save names to localStorage before creating game
-    const savedStats = {
-      red: { wins: 0, losses: 0, draws: 0, name: redName },
-      black: { wins: 0, losses: 0, draws: 0, name: blackName }
-    };
-    
-    // Try to load existing stats and merge with new names
-    const existingStats = localStorage.getItem('checkersStats');
-    if (existingStats) {
-      const parsed = JSON.parse(existingStats);
-      savedStats.red.wins = parsed.red.wins || 0;
-      savedStats.red.losses = parsed.red.losses || 0;
-      savedStats.red.draws = parsed.red.draws || 0;
-      savedStats.black.wins = parsed.black.wins || 0;
-      savedStats.black.losses = parsed.black.losses || 0;
-      savedStats.black.draws = parsed.black.draws || 0;
+    const online = setupMode.value === 'online';
+    const onlineRoom = setupOnlineRoom.value.trim().toUpperCase();
+    if (online && setupOnlineAction.value === 'join' && !onlineRoom) {
+      showDialog(t('setup.roomMissing'));
+      return;
+    }
+
+    // Against the computer, the colour the human doesn't take is the AI's
+    const aiPlayer = setupMode.value === 'ai'
+      ? (setupHumanColor.value === 'red' ? 'black' : 'red')
+      : null;
+    const aiLevel = setupAiLevel.value;
+    if (aiPlayer) {
+      const aiName = t('players.computer', { level: t(`ai.levels.${aiLevel}`) });
+      if (aiPlayer === 'red') redName = aiName;
+      else blackName = aiName;
+    }
+
+    // Each name is a profile; one profile can't play against itself
+    const roundRobin = setupMode.value === 'tournament';
+    if (!online && !roundRobin && redName.toLowerCase() === blackName.toLowerCase()) {
+      showDialog(t('players.sameName'));
+      return;
+    }
+
+    // Matches and tournaments pair the players themselves
+    let tournament = null;
+    try {
+      if (setupMode.value === 'match') {
+        tournament = Tournament.createMatch([redName, blackName], Number(setupBestOf.value), setupVariant.value);
+      } else if (roundRobin) {
+        const players = setupTournamentPlayers.value
+          .split('\n')
+          .map((name) => name.trim().slice(0, 20))
+          .filter((name) => name);
+        tournament = Tournament.createRoundRobin(players, setupVariant.value);
+      }
+    } catch (error) {
+      if (!(error instanceof TournamentError)) throw error;
+      showDialog(error.message);
+      return;
     }
-    
-    localStorage.setItem('checkersStats', JSON.stringify(savedStats));
     
     // Hide setup screen and show game
     setupScreen.style.display = 'none';
     gameContainer.style.display = 'block';
     
     // Initialize game with selected settings
-    window.game = new CheckersGame();
+    game = new CheckersGame();
+    window.game = game;
+    game.setVariant(setupVariant.value);
+    game.setPlayers(redName, blackName);
     
     // Override the starting player after game creation
+    game.startingPlayer = startingPlayer;
     game.currentPlayer = startingPlayer;
     
-    // Update all name displays
-    document.getElementById('red-name-input').value = redName;
-    document.getElementById('black-name-input').value = blackName;
-    document.getElementById('red-player-name').textContent = redName;
-    document.getElementById('black-player-name').textContent = blackName;
-
-    game.redName = redName;
-    game.blackName = blackName;
-    
     // Update UI to show correct starting player
     game.updateUI();
     
     // Sync game toggle with starting player
-    const gameToggle = document.getElementById('game-starter-toggle');
-    gameToggle.checked = startingPlayer === 'black';
-    document.getElementById('game-red-label').classList.toggle('active', startingPlayer === 'red');
-    document.getElementById('game-black-label').classList.toggle('active', startingPlayer === 'black');
+    game.updateStarterToggle();
+    game.setUndoEnabled(!seriousGame.checked);
+    game.updateHistoryButtons();
+
+    // Online games are played without clocks
+    const timeMode = online ? 'none' : setupTimeMode.value;
+    game.setTimeControl({
+      mode: timeMode,
+      baseTime: Number(setupTimeMinutes.value) * 60000,
+      bonus: Number(setupTimeBonus.value) * 1000,
+    });
+
+    if (aiPlayer) {
+      game.setComputerOpponent(aiPlayer, aiLevel);
+    }
+
+    if (online) {
+      const hello = setupOnlineAction.value === 'join'
+        ? {
+            type: 'join',
+            room: onlineRoom,
+            name: blackName,
+            token: onlineSession && onlineSession.room === onlineRoom ? onlineSession.token : undefined,
+          }
+        : { type: 'create', variant: setupVariant.value, name: redName };
+      game.startOnlineGame(setupOnlineServer.value.trim(), hello);
+    }
+    if (tournament) {
+      game.setTournament(tournament);
+      game.playTournamentGame();
+    }
+    game.autosave();
   });
 }
 
 // ===== Initialize Game =====
 let game;
 document.addEventListener("DOMContentLoaded", () => {
+  setLanguage(loadLanguage(), false);
   initializeSetupScreen();
 });
@@ -0,0 +1,121 @@
+// ===== Translations =====
+// Every text the page shows comes from the catalogs in messages.js, looked
+// up by key with t(). A message can hold {placeholders}, and one that
+// depends on a number is an object of plural forms ("one", "other", and
+// "zero", "two", "few" or "many" where the language has them) picked with
+// the {count} parameter. Missing messages fall back to Spanish.
+//
+// Static texts in index.html carry their key in data-i18n (or
+// data-i18n-title, data-i18n-placeholder, data-i18n-aria-label for
+// attributes) and are filled in by translatePage.
+const LANGUAGE_KEY = "checkersLanguage";
+const DEFAULT_LANGUAGE = "es";
+
+// locale formats numbers and dates; dir is the page's writing direction
+const LANGUAGES = {
+  es: { name: "Español", locale: "es-ES", dir: "ltr" },
+  en: { name: "English", locale: "en-GB", dir: "ltr" },
+  fr: { name: "Français", locale: "fr-FR", dir: "ltr" },
+  ar: { name: "العربية", locale: "ar", dir: "rtl" },
+};
+
+// Catalogs: a global in the page, required under Node
+const I18N_MESSAGES =
+  typeof module !== "undefined" && module.exports ? require("./messages.js").MESSAGES : MESSAGES;
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+function t(key, params = {}) {
+  let message = I18N_MESSAGES[currentLanguage][key];
+  if (message === undefined) message = I18N_MESSAGES[DEFAULT_LANGUAGE][key];
+  if (message === undefined) return key;
+
+  if (typeof message === "object") {
+    const form = new Intl.PluralRules(LANGUAGES[currentLanguage].locale).select(params.count);
+    message = message[form] !== undefined ? message[form] : message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? String(params[name]) : placeholder
+  );
+}
+
+// Puzzle texts and other content come as { es, en, ... } or a plain string
+function localize(text) {
+  if (typeof text === "string") return text;
+  return text[currentLanguage] || text[DEFAULT_LANGUAGE];
+}
+
+function getLanguage() {
+  return currentLanguage;
+}
+
+function getLocale() {
+  return LANGUAGES[currentLanguage].locale;
+}
+
+function formatNumber(number) {
+  return number.toLocaleString(getLocale());
+}
+
+// The saved choice, or the browser's language if there is a catalog for it
+// Own keys only, so "constructor" or "__proto__" is no language
+function isLanguage(language) {
+  return typeof language === "string" && Object.hasOwn(LANGUAGES, language);
+}
+
+function loadLanguage() {
+  let language = null;
+  try {
+    language = localStorage.getItem(LANGUAGE_KEY);
+  } catch (error) {
+    language = null;
+  }
+  if (!isLanguage(language) && typeof navigator !== "undefined") {
+    language = String(navigator.language || "").slice(0, 2);
+  }
+  return isLanguage(language) ? language : DEFAULT_LANGUAGE;
+}
+
+// Switches language; remember stores the choice for the next visit
+function setLanguage(language, remember = true) {
+  if (!isLanguage(language)) return;
+  currentLanguage = language;
+  if (remember) {
+    try {
+      localStorage.setItem(LANGUAGE_KEY, language);
+    } catch (error) {
+      // Storage blocked: the choice lasts until the page is closed
+    }
+  }
+  if (typeof document !== "undefined") {
+    document.documentElement.lang = language;
+    document.documentElement.dir = LANGUAGES[language].dir;
+    translatePage();
+  }
+}
+
+function translatePage(root = document) {
+  const attributes = { i18nTitle: "title", i18nPlaceholder: "placeholder", i18nAriaLabel: "aria-label" };
+  root.querySelectorAll("[data-i18n], [data-i18n-title], [data-i18n-placeholder], [data-i18n-aria-label]").forEach((el) => {
+    if (el.dataset.i18n) el.textContent = t(el.dataset.i18n);
+    for (const [data, attribute] of Object.entries(attributes)) {
+      if (el.dataset[data]) el.setAttribute(attribute, t(el.dataset[data]));
+    }
+  });
+  if (root === document) {
+    document.title = t("page.title");
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    t,
+    localize,
+    getLanguage,
+    getLocale,
+    formatNumber,
+    setLanguage,
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+  };
+}
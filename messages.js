@@ -0,0 +1,1483 @@
+// ===== Message Catalogs =====
+// One catalog per language in LANGUAGES (see i18n.js), keyed by message.
+// Spanish is the reference: every key must be there, and a key missing
+// from another catalog shows the Spanish text. Plural messages list the
+// forms Intl.PluralRules gives for the language.
+const MESSAGES = {
+  es: {
+    "page.title": "Juego de Damas - Checkers Game",
+    "footer.credit": "Creado por Youssef Ajdij © 2025",
+
+    // Sides and pieces
+    "color.red": "rojas",
+    "color.black": "negras",
+    "color.redTitle": "Rojas",
+    "color.blackTitle": "Negras",
+    "color.redShort": "Rojo",
+    "color.blackShort": "Negro",
+    "players.defaultRed": "Jugador Rojo",
+    "players.defaultBlack": "Jugador Negro",
+    "players.computer": "Computadora ({level})",
+    "players.nameTaken": "Ya hay un jugador llamado «{name}».",
+    "players.sameName": "Los dos jugadores necesitan nombres distintos.",
+    "players.pieces": { one: "{count} pieza", other: "{count} piezas" },
+    "game.moves": { one: "{count} jugada", other: "{count} jugadas" },
+
+    "variants.spanish": "Española",
+    "variants.english": "Inglesa (Checkers)",
+    "variants.international": "Internacional 10x10",
+    "variants.brazilian": "Brasileña",
+    "variants.russian": "Rusa",
+
+    "ai.levels.easy": "Fácil",
+    "ai.levels.medium": "Medio",
+    "ai.levels.hard": "Difícil",
+    "score.wins": "gana en {count}",
+    "score.loses": "pierde en {count}",
+
+    "common.ok": "Aceptar",
+    "common.yes": "Sí",
+    "common.no": "No",
+    "common.close": "Cerrar",
+    "common.cancel": "Cancelar",
+
+    // Setup screen
+    "setup.title": "🎯 Configurar Jugadores",
+    "setup.language": "Idioma",
+    "setup.resume": "Continuar partida",
+    "setup.discard": "Descartar",
+    "setup.redName": "Nombre Jugador Rojo",
+    "setup.blackName": "Nombre Jugador Negro",
+    "setup.namePlaceholder": "Ingresa nombre",
+    "setup.variant": "Variante",
+    "setup.mode": "Modo de Juego",
+    "setup.modes.pvp": "Dos jugadores",
+    "setup.modes.ai": "Contra la computadora",
+    "setup.modes.online": "En línea",
+    "setup.modes.match": "Encuentro al mejor de N",
+    "setup.modes.tournament": "Torneo todos contra todos",
+    "setup.modes.puzzles": "Problemas tácticos",
+    "setup.bestOf": "Partidas",
+    "setup.bestOfOption": "Al mejor de {count}",
+    "setup.tournamentPlayers": "Jugadores (uno por línea, de 3 a 8)",
+    "setup.humanColor": "Juegas con",
+    "setup.aiLevel": "Dificultad",
+    "setup.onlineAction": "Sala",
+    "setup.onlineCreate": "Crear una sala (juegas con rojas)",
+    "setup.onlineJoin": "Unirse con un código (juegas con negras)",
+    "setup.onlineRoom": "Código de sala",
+    "setup.onlineServer": "Servidor",
+    "setup.timeMode": "Reloj",
+    "setup.timeModes.none": "Sin reloj",
+    "setup.timeModes.suddenDeath": "Muerte súbita",
+    "setup.timeModes.fischer": "Incremento Fischer",
+    "setup.timeModes.bronstein": "Retraso Bronstein",
+    "setup.timeMinutes": "Minutos por jugador",
+    "setup.timeBonus": "Segundos por jugada",
+    "setup.starter": "¿Quién empieza?",
+    "setup.seriousGame": "Partida seria (sin deshacer)",
+    "setup.start": "Comenzar Juego",
+    "setup.roomMissing": "Escribe el código de la sala a la que quieres unirte.",
+    "resume.match": "Encuentro",
+    "resume.roundRobin": "Torneo",
+    "resume.running": "en curso",
+    "resume.finished": "terminado",
+    "resume.tournament": "{kind} {state} ({players}) · {played} de {count} partidas",
+    "resume.game": "{red} contra {black} · {variant} · {moves} · guardada el {date}",
+    "resume.failed": "No se pudo recuperar la partida guardada.",
+
+    // Game page
+    "header.title": "🎯 Juego de Damas",
+    "controls.newGame": "Nuevo Juego",
+    "controls.undo": "Deshacer",
+    "controls.undoTitle": "Deshacer (Ctrl+Z)",
+    "controls.redo": "Rehacer",
+    "controls.redoTitle": "Rehacer (Ctrl+Y)",
+    "controls.replay": "Repetición",
+    "controls.replayTitle": "Repasar la partida terminada",
+    "controls.analyze": "Analizar",
+    "controls.analyzeTitle": "Buscar los errores de la partida terminada",
+    "controls.switchTurn": "Cambiar Turno:",
+    "controls.hint": "Sugerir Jugada",
+    "controls.hintTitle": "Buscar la mejor jugada (cuenta como pista en la partida)",
+    "controls.hintTopThree": "Ver las 3 mejores",
+    "controls.editor": "Editor",
+    "controls.editorTitle": "Colocar piezas y elegir quién mueve",
+    "controls.exportPdn": "Exportar PDN",
+    "controls.exportPdnTitle": "Guardar la partida en formato PDN",
+    "controls.importPdn": "Importar PDN",
+    "controls.importPdnTitle": "Cargar una partida PDN",
+    "controls.leaderboardTitle": "Elo y resultados de todos los jugadores",
+    "controls.resetStats": "Resetear Estadísticas",
+
+    // Status line
+    "status.turn": "Turno de {name}",
+    "status.multiCapture": "¡Captura múltiple! Continúa {name}",
+    "status.thinking": "🤖 {name} está pensando...",
+    "status.editor": "✏️ Editor: haz clic en las casillas para colocar o quitar piezas",
+    "status.mustCapture": "⚠️ La captura es obligatoria",
+    "status.mustCaptureMost": "⚠️ Hay que hacer la captura que toma más piezas",
+    "status.win": "🎉 ¡Victoria de {name}! 🎉",
+    "status.winOnTime": "⏱️ Tiempo agotado · ¡Victoria de {name}! 🎉",
+    "status.draw": "🤝 Tablas: {reason}",
+    "status.resumed": "💾 Partida recuperada · {status}",
+    "draw.repetition": "triple repetición de la posición",
+    "draw.moveLimit": { one: "{count} jugada sin capturas ni movimientos de hombres", other: "{count} jugadas sin capturas ni movimientos de hombres" },
+    "draw.insufficientMaterial": "dama contra dama, ninguno puede ganar",
+    "draw.agreement": "acuerdo",
+
+    // Board (screen readers)
+    "board.label": "Tablero",
+    "board.square": "casilla {number}",
+    "board.lightSquare": "casilla clara",
+    "board.separator": ", ",
+    "board.pieces.redMan": "hombre rojo",
+    "board.pieces.redKing": "dama roja",
+    "board.pieces.blackMan": "hombre negro",
+    "board.pieces.blackKing": "dama negra",
+    "board.pendingCapture": "capturada",
+    "board.selected": "seleccionada",
+    "board.validMove": "destino posible",
+    "board.hint": "jugada sugerida",
+    "announce.move": "{name} juega {move}",
+    "announce.captured": { one: "captura {count} pieza", other: "captura {count} piezas" },
+    "announce.promoted": "corona dama",
+    "announce.mustCapture": "{name} está obligado a capturar",
+    "announce.win": "Victoria de {name}",
+    "announce.winOnTime": "Tiempo agotado, victoria de {name}",
+    "announce.draw": "Tablas: {reason}",
+
+    // Hints
+    "hint.searching": "💡 Buscando la mejor jugada...",
+    "hint.noMoves": "No hay movimientos válidos disponibles",
+    "hint.best": "💡 Mejor jugada: {move} ({score})",
+
+    // Replay viewer
+    "replay.play": "▶ Reproducir",
+    "replay.pause": "⏸ Pausa",
+    "replay.startTitle": "Posición inicial",
+    "replay.prevTitle": "Jugada anterior",
+    "replay.nextTitle": "Jugada siguiente",
+    "replay.endTitle": "Posición final",
+    "replay.slider": "Ir a la jugada",
+    "replay.speed": "Velocidad",
+    "replay.slow": "Lenta",
+    "replay.normal": "Normal",
+    "replay.fast": "Rápida",
+    "replay.branch": "Jugar desde aquí",
+    "replay.branchTitle": "Seguir jugando desde esta posición",
+    "replay.move": "🎬 Repetición · Jugada {number}: {move}",
+    "replay.initial": "🎬 Repetición · Posición inicial",
+
+    // Post-game analysis
+    "analysis.graph": "Evaluación de la partida (arriba, ventaja de las rojas)",
+    "analysis.running": "🔍 Analizando la partida... {percent}%",
+    "analysis.done": { one: "🔍 Análisis terminado · {count} jugada señalada", other: "🔍 Análisis terminado · {count} jugadas señaladas" },
+    "analysis.categories.blunder": "Error grave",
+    "analysis.categories.mistake": "Error",
+    "analysis.categories.inaccuracy": "Imprecisión",
+    "analysis.lostWin": "victoria perdida",
+    "analysis.good": "buena jugada",
+    "analysis.best": "la mejor jugada",
+    "analysis.better": "mejor {move} ({score})",
+    "analysis.missedWin": "había una victoria forzada",
+    "analysis.missedCaptures": { one: "{move} capturaba {count} pieza", other: "{move} capturaba {count} piezas" },
+
+    // Rules
+    "rules.title": "📖 Reglas del Juego",
+    "rules.moveTitle": "Movimiento:",
+    "rules.move": "Las piezas se mueven en diagonal hacia adelante a casillas vacías.",
+    "rules.captureTitle": "Captura:",
+    "rules.capture": "Salta sobre las piezas del oponente para capturarlas. Las capturas son obligatorias.",
+    "rules.multiTitle": "Capturas Múltiples:",
+    "rules.multi": "Si puedes capturar más piezas después de una captura, debes continuar. Las piezas capturadas no se retiran hasta terminar la jugada: no se pueden saltar dos veces y siguen bloqueando el paso.",
+    "rules.kingTitle": "Corona (Reina):",
+    "rules.king": "Cuando una pieza llega al otro extremo del tablero, se convierte en reina y puede moverse hacia adelante y hacia atrás.",
+    "rules.drawTitle": "Tablas:",
+    "rules.draw": "La partida termina en tablas si la misma posición se repite tres veces, si se juegan demasiadas jugadas moviendo solo damas y sin capturas (el límite depende de la variante), o si solo queda una dama contra una dama.",
+    "rules.winTitle": "Victoria:",
+    "rules.win": "Gana el jugador que capture todas las piezas del oponente o deje al oponente sin movimientos válidos.",
+    "rules.variant": "Variante {name}:",
+    "rules.separator": "; ",
+    "rules.board": "tablero {size}x{size}",
+    "rules.menCaptureBackward": "los hombres capturan hacia delante y hacia atrás",
+    "rules.menCaptureForward": "los hombres solo capturan hacia delante",
+    "rules.flyingKings": "damas voladoras que recorren toda la diagonal",
+    "rules.shortKings": "las damas avanzan una casilla cada vez",
+    "rules.mandatoryCapture": "captura obligatoria",
+    "rules.optionalCapture": "captura opcional",
+    "rules.majority.none": "se puede elegir cualquier captura",
+    "rules.majority.quantity": "hay que capturar el mayor número de piezas",
+    "rules.majority.quality": "hay que capturar el mayor número de piezas y, a igualdad, el mayor número de damas",
+    "rules.promotion.stop": "coronar termina el turno",
+    "rules.promotion.continue": "un hombre que corona en mitad de una captura sigue capturando como dama",
+    "rules.promotion.pass": "un hombre que pasa por la última fila capturando solo corona si termina allí",
+    "rules.drawLimit": { one: "tablas tras {count} jugada de cada jugador sin capturas ni movimientos de hombres", other: "tablas tras {count} jugadas de cada jugador sin capturas ni movimientos de hombres" },
+
+    // Position editor
+    "editor.redMan": "Hombre rojo",
+    "editor.redKing": "Dama roja",
+    "editor.blackMan": "Hombre negro",
+    "editor.blackKing": "Dama negra",
+    "editor.erase": "Borrar",
+    "editor.turn": "Mueven",
+    "editor.clear": "Vaciar",
+    "editor.initial": "Posición inicial",
+    "editor.fen": "Posición en formato FEN",
+    "editor.load": "Cargar",
+    "editor.copy": "Copiar",
+    "editor.play": "Jugar desde aquí",
+    "editor.manOnLastRow": "Un hombre no puede estar en su fila de coronación",
+    "editor.fenCopied": "📋 FEN copiado al portapapeles",
+    "editor.needPieces": "Cada jugador necesita al menos una pieza.",
+    "editor.noMoves.red": "Las rojas no tienen ningún movimiento en esta posición.",
+    "editor.noMoves.black": "Las negras no tienen ningún movimiento en esta posición.",
+    "editor.alreadyDrawn": "Esta posición ya es tablas: {reason}.",
+
+    // PDN files
+    "pdn.fileName": "partida-{date}.pdn",
+    "pdn.event": "Juego de Damas",
+    "pdn.importFailed": "No se pudo importar la partida.",
+    "pdn.unsupportedVariant": "Variante no soportada (GameType {gameType}).",
+    "pdn.importedFinished": "🏁 Partida importada · Resultado {result}",
+    "pdn.imported": "📂 Partida importada ({moves}) · {status}",
+
+    // Notation errors
+    "notation.invalidFen": "FEN no válido: «{fen}»",
+    "notation.unknownColor": "FEN no válido: color desconocido «{color}»",
+    "notation.badSquare": "FEN no válido: casilla «{token}» no reconocida",
+    "notation.fenNoSquare": "FEN no válido: la casilla {square} no existe",
+    "notation.unrecognized": "no se reconoce la jugada",
+    "notation.noSquare": "la casilla {square} no existe",
+    "notation.emptySquare": "la casilla {square} está vacía",
+    "notation.notYourPiece": "la pieza en {square} no es de las {color}, que tienen el turno",
+    "notation.ambiguous": "la jugada es ambigua; indica todas las casillas de la captura",
+    "notation.majorityQuality": "hay que hacer la captura que toma más piezas (y, a igualdad, más damas)",
+    "notation.majority": "hay que hacer la captura que toma más piezas",
+    "notation.mustCaptureWith": "la captura es obligatoria y la pieza en {square} no puede capturar",
+    "notation.incompleteCapture": "la captura múltiple no está completa: la pieza debe seguir capturando",
+    "notation.mustCapture": "la captura es obligatoria",
+    "notation.cannotCapture": "la pieza en {from} no puede capturar hacia {to}",
+    "notation.cannotMove": "la pieza en {from} no puede moverse a {to}",
+    "notation.otherVariant": "la partida es de otra variante (GameType {gameType})",
+    "notation.invalidMove": "Jugada {number} ({color}) «{move}» no válida: {error}",
+
+    // Online play
+    "online.connectionLost": "🌐 Conexión perdida, reconectando...",
+    "online.connecting": "🌐 Conectando con el servidor...",
+    "online.waiting": "🌐 Sala {room} · Esperando al rival",
+    "online.gameOver": "🏁 La partida ha terminado",
+    "online.errors.roomFull": "La sala ya tiene dos jugadores.",
+    "online.errors.noRoom": "No existe ninguna sala con ese código.",
+    "online.errors.gameOver": "La partida ya ha terminado.",
+    "online.errors.notYourTurn": "No es tu turno.",
+    "online.errors.outOfStep": "La jugada no corresponde a la partida.",
+    "online.errors.illegalMove": "Jugada no válida.",
+    "online.errors.badMessage": "Mensaje no válido.",
+    "online.errors.unknownMessage": "Mensaje desconocido.",
+
+    // Matches and tournaments
+    "tournament.next": "Siguiente partida",
+    "tournament.leave": "Terminar torneo",
+    "tournament.leaveConfirm": "¿Terminar el torneo? Se perderá la clasificación.",
+    "tournament.matchTitle": "🏅 Encuentro al mejor de {count}",
+    "tournament.roundRobinTitle": "🏅 Torneo todos contra todos",
+    "tournament.progress": "{played} de {count} partidas jugadas",
+    "tournament.columns.player": "Jugador",
+    "tournament.columns.points": "Puntos",
+    "tournament.columns.played": "J",
+    "tournament.columns.wins": "G",
+    "tournament.columns.draws": "T",
+    "tournament.columns.losses": "P",
+    "tournament.columns.sonnebornBerger": "S-B",
+    "tournament.matchWinner": "🏆 {name} gana el encuentro",
+    "tournament.tournamentWinner": "🏆 {name} gana el torneo",
+    "tournament.tied": "🤝 El encuentro termina empatado",
+    "tournament.nextGame": "Siguiente partida: {red} (rojas) contra {black} (negras)",
+    "tournament.currentGame": "Partida {number}: {red} (rojas) contra {black} (negras)",
+    "tournament.errors.matchPlayers": "Un encuentro es entre dos jugadores.",
+    "tournament.errors.matchLength": "Un encuentro se juega al mejor de {lengths} partidas.",
+    "tournament.errors.playerCount": "Un torneo necesita entre {min} y {max} jugadores.",
+    "tournament.errors.sameName": "Cada jugador del torneo necesita un nombre distinto.",
+
+    // Puzzle training
+    "puzzles.prev": "◀ Anterior",
+    "puzzles.retry": "Reintentar",
+    "puzzles.solution": "Ver solución",
+    "puzzles.next": "Siguiente ▶",
+    "puzzles.leave": "Salir",
+    "puzzles.title": "🧩 Problema {number} de {count}: {title}",
+    "puzzles.stats": { one: "Resueltos {solved} de {count} intento ({percent}%) · Racha {streak} · Mejor racha {bestStreak}", other: "Resueltos {solved} de {count} intentos ({percent}%) · Racha {streak} · Mejor racha {bestStreak}" },
+    "puzzles.goal": "🧩 {goal}",
+    "puzzles.keepGoing": "🧩 {goal} · ¡Sigue!",
+    "puzzles.wrong": "❌ Esa no es la solución. Inténtalo otra vez",
+    "puzzles.reply": "✔️ ¡Bien! El rival responde...",
+    "puzzles.solved": "🎉 ¡Problema resuelto!",
+    "puzzles.solvedLate": "✅ Resuelto, aunque no a la primera",
+    "puzzles.revealed": "👁️ Esta era la solución",
+    "puzzles.revealing": "👁️ Solución:",
+    "puzzles.noneForVariant": "No hay problemas para la variante {variant}.",
+    "puzzles.loadFailed": "No se pudieron cargar los problemas. Si abriste el juego como archivo, sírvelo con \"node server.js\".",
+    "puzzles.errors.name": "Problema «{id}»",
+    "puzzles.errors.unknownVariant": "{name}: variante desconocida ({variant}).",
+    "puzzles.errors.solutionLength": "{name}: la solución debe terminar con una jugada de quien resuelve.",
+    "puzzles.errors.move": "{name}, jugada {number} «{move}»: {error}",
+    "puzzles.errors.fetch": "No se pudieron cargar los problemas ({status}).",
+
+    // Profiles and leaderboard
+    "leaderboard.button": "Clasificación",
+    "leaderboard.title": "🏅 Clasificación",
+    "leaderboard.empty": "Todavía no ha terminado ninguna partida.",
+    "leaderboard.player": "Jugador",
+    "leaderboard.wins": "Victorias",
+    "leaderboard.losses": "Derrotas",
+    "leaderboard.draws": "Tablas",
+    "leaderboard.rowTitle": "Ver sus últimas partidas",
+    "profile.result.win": "Victoria",
+    "profile.result.loss": "Derrota",
+    "profile.result.draw": "Tablas",
+    "profile.game": "{date} · {result} contra {opponent} ({variant}, {moves}) · {change}",
+    "profile.hints": { one: "💡 {count} pista", other: "💡 {count} pistas" },
+    "stats.resetConfirm": "¿Estás seguro de que quieres resetear las estadísticas y el Elo de todos los jugadores?",
+    // Stats backup
+    "backup.format": "Formato del archivo",
+    "backup.fileName": "damas-estadisticas-{date}.{extension}",
+    "backup.export": "Exportar",
+    "backup.exportTitle": "Guardar estadísticas, nombres y preferencias en un archivo",
+    "backup.import": "Importar",
+    "backup.importTitle": "Cargar estadísticas, nombres y preferencias desde un archivo",
+    "backup.importConfirm": {
+      one: "El archivo trae {count} jugador. Sus estadísticas, nombres y preferencias reemplazarán los de este dispositivo. ¿Continuar?",
+      other: "El archivo trae {count} jugadores. Sus estadísticas, nombres y preferencias reemplazarán los de este dispositivo. ¿Continuar?",
+    },
+    "backup.mergeConfirm": {
+      one: "El archivo CSV trae {count} jugador. Sus totales y su Elo sustituirán a los del jugador del mismo nombre de este dispositivo, que conserva su lista de partidas; los nombres y las preferencias reemplazarán los de este dispositivo. ¿Continuar?",
+      other: "El archivo CSV trae {count} jugadores. Sus totales y su Elo sustituirán a los de los jugadores del mismo nombre de este dispositivo, que conservan sus listas de partidas; los nombres y las preferencias reemplazarán los de este dispositivo. ¿Continuar?",
+    },
+    "backup.imported": {
+      one: "Importado {count} jugador con sus estadísticas, junto con los nombres y las preferencias.",
+      other: "Importados {count} jugadores con sus estadísticas, junto con los nombres y las preferencias.",
+    },
+    "backup.importFailed": "No se pudo importar el archivo.",
+    "backup.invalidJson": "El archivo JSON está dañado.",
+    "backup.notBackup": "El archivo no es una copia de las estadísticas del juego.",
+    "backup.newerVersion": "El archivo es de una versión más reciente del juego.",
+    "backup.badProfiles": "Las estadísticas del archivo están dañadas.",
+    "backup.badCsvRow": "La fila {line} del CSV no se reconoce.",
+  },
+
+  en: {
+    "page.title": "Checkers Game",
+    "footer.credit": "Created by Youssef Ajdij © 2025",
+
+    "color.red": "Red",
+    "color.black": "Black",
+    "color.redTitle": "Red",
+    "color.blackTitle": "Black",
+    "color.redShort": "Red",
+    "color.blackShort": "Black",
+    "players.defaultRed": "Red Player",
+    "players.defaultBlack": "Black Player",
+    "players.computer": "Computer ({level})",
+    "players.nameTaken": "There is already a player called “{name}”.",
+    "players.sameName": "The two players need different names.",
+    "players.pieces": { one: "{count} piece", other: "{count} pieces" },
+    "game.moves": { one: "{count} move", other: "{count} moves" },
+
+    "variants.spanish": "Spanish",
+    "variants.english": "English (Checkers)",
+    "variants.international": "International 10x10",
+    "variants.brazilian": "Brazilian",
+    "variants.russian": "Russian",
+
+    "ai.levels.easy": "Easy",
+    "ai.levels.medium": "Medium",
+    "ai.levels.hard": "Hard",
+    "score.wins": "wins in {count}",
+    "score.loses": "loses in {count}",
+
+    "common.ok": "OK",
+    "common.yes": "Yes",
+    "common.no": "No",
+    "common.close": "Close",
+    "common.cancel": "Cancel",
+
+    "setup.title": "🎯 Set Up Players",
+    "setup.language": "Language",
+    "setup.resume": "Continue game",
+    "setup.discard": "Discard",
+    "setup.redName": "Red Player Name",
+    "setup.blackName": "Black Player Name",
+    "setup.namePlaceholder": "Enter a name",
+    "setup.variant": "Variant",
+    "setup.mode": "Game Mode",
+    "setup.modes.pvp": "Two players",
+    "setup.modes.ai": "Against the computer",
+    "setup.modes.online": "Online",
+    "setup.modes.match": "Best-of-N match",
+    "setup.modes.tournament": "Round-robin tournament",
+    "setup.modes.puzzles": "Tactics puzzles",
+    "setup.bestOf": "Games",
+    "setup.bestOfOption": "Best of {count}",
+    "setup.tournamentPlayers": "Players (one per line, 3 to 8)",
+    "setup.humanColor": "You play",
+    "setup.aiLevel": "Difficulty",
+    "setup.onlineAction": "Room",
+    "setup.onlineCreate": "Create a room (you play Red)",
+    "setup.onlineJoin": "Join with a code (you play Black)",
+    "setup.onlineRoom": "Room code",
+    "setup.onlineServer": "Server",
+    "setup.timeMode": "Clock",
+    "setup.timeModes.none": "No clock",
+    "setup.timeModes.suddenDeath": "Sudden death",
+    "setup.timeModes.fischer": "Fischer increment",
+    "setup.timeModes.bronstein": "Bronstein delay",
+    "setup.timeMinutes": "Minutes per player",
+    "setup.timeBonus": "Seconds per move",
+    "setup.starter": "Who starts?",
+    "setup.seriousGame": "Serious game (no undo)",
+    "setup.start": "Start Game",
+    "setup.roomMissing": "Enter the code of the room you want to join.",
+    "resume.match": "Match",
+    "resume.roundRobin": "Tournament",
+    "resume.running": "in progress",
+    "resume.finished": "finished",
+    "resume.tournament": "{kind} {state} ({players}) · {played} of {count} games",
+    "resume.game": "{red} vs {black} · {variant} · {moves} · saved {date}",
+    "resume.failed": "The saved game could not be restored.",
+
+    "header.title": "🎯 Checkers",
+    "controls.newGame": "New Game",
+    "controls.undo": "Undo",
+    "controls.undoTitle": "Undo (Ctrl+Z)",
+    "controls.redo": "Redo",
+    "controls.redoTitle": "Redo (Ctrl+Y)",
+    "controls.replay": "Replay",
+    "controls.replayTitle": "Go over the finished game",
+    "controls.analyze": "Analyse",
+    "controls.analyzeTitle": "Look for the mistakes in the finished game",
+    "controls.switchTurn": "Switch Turn:",
+    "controls.hint": "Suggest Move",
+    "controls.hintTitle": "Find the best move (counts as a hint in the game)",
+    "controls.hintTopThree": "Show the best 3",
+    "controls.editor": "Editor",
+    "controls.editorTitle": "Place pieces and choose who moves",
+    "controls.exportPdn": "Export PDN",
+    "controls.exportPdnTitle": "Save the game as PDN",
+    "controls.importPdn": "Import PDN",
+    "controls.importPdnTitle": "Load a PDN game",
+    "controls.leaderboardTitle": "Ratings and results of every player",
+    "controls.resetStats": "Reset Statistics",
+
+    "status.turn": "{name} to move",
+    "status.multiCapture": "Multiple capture! {name} keeps going",
+    "status.thinking": "🤖 {name} is thinking...",
+    "status.editor": "✏️ Editor: click the squares to place or remove pieces",
+    "status.mustCapture": "⚠️ Capturing is compulsory",
+    "status.mustCaptureMost": "⚠️ You must take the capture that wins the most pieces",
+    "status.win": "🎉 {name} wins! 🎉",
+    "status.winOnTime": "⏱️ Time's up · {name} wins! 🎉",
+    "status.draw": "🤝 Draw: {reason}",
+    "status.resumed": "💾 Game restored · {status}",
+    "draw.repetition": "the same position three times",
+    "draw.moveLimit": { one: "{count} move without captures or man moves", other: "{count} moves without captures or man moves" },
+    "draw.insufficientMaterial": "king against king, neither side can win",
+    "draw.agreement": "agreement",
+
+    // Board (screen readers)
+    "board.label": "Board",
+    "board.square": "square {number}",
+    "board.lightSquare": "light square",
+    "board.pieces.redMan": "red man",
+    "board.pieces.redKing": "red king",
+    "board.pieces.blackMan": "black man",
+    "board.pieces.blackKing": "black king",
+    "board.pendingCapture": "captured",
+    "board.selected": "selected",
+    "board.validMove": "possible move",
+    "board.hint": "suggested move",
+    "announce.move": "{name} plays {move}",
+    "announce.captured": { one: "captures {count} piece", other: "captures {count} pieces" },
+    "announce.promoted": "crowned",
+    "announce.mustCapture": "{name} must capture",
+    "announce.win": "{name} wins",
+    "announce.winOnTime": "Time's up, {name} wins",
+    "announce.draw": "Draw: {reason}",
+
+    "hint.searching": "💡 Looking for the best move...",
+    "hint.noMoves": "There are no legal moves",
+    "hint.best": "💡 Best move: {move} ({score})",
+
+    "replay.play": "▶ Play",
+    "replay.pause": "⏸ Pause",
+    "replay.startTitle": "Starting position",
+    "replay.prevTitle": "Previous move",
+    "replay.nextTitle": "Next move",
+    "replay.endTitle": "Final position",
+    "replay.slider": "Go to move",
+    "replay.speed": "Speed",
+    "replay.slow": "Slow",
+    "replay.normal": "Normal",
+    "replay.fast": "Fast",
+    "replay.branch": "Play from here",
+    "replay.branchTitle": "Carry on playing from this position",
+    "replay.move": "🎬 Replay · Move {number}: {move}",
+    "replay.initial": "🎬 Replay · Starting position",
+
+    "analysis.graph": "Evaluation over the game (up means Red is better)",
+    "analysis.running": "🔍 Analysing the game... {percent}%",
+    "analysis.done": { one: "🔍 Analysis complete · {count} move flagged", other: "🔍 Analysis complete · {count} moves flagged" },
+    "analysis.categories.blunder": "Blunder",
+    "analysis.categories.mistake": "Mistake",
+    "analysis.categories.inaccuracy": "Inaccuracy",
+    "analysis.lostWin": "win thrown away",
+    "analysis.good": "good move",
+    "analysis.best": "the best move",
+    "analysis.better": "best was {move} ({score})",
+    "analysis.missedWin": "there was a forced win",
+    "analysis.missedCaptures": { one: "{move} captured {count} piece", other: "{move} captured {count} pieces" },
+
+    "rules.title": "📖 Rules of the Game",
+    "rules.moveTitle": "Moving:",
+    "rules.move": "Pieces move diagonally forward to empty squares.",
+    "rules.captureTitle": "Capturing:",
+    "rules.capture": "Jump over your opponent's pieces to capture them. Captures are compulsory.",
+    "rules.multiTitle": "Multiple Captures:",
+    "rules.multi": "If you can capture more pieces after a capture, you must carry on. Captured pieces stay on the board until the move is over: they can't be jumped twice and still block the way.",
+    "rules.kingTitle": "Crowning (King):",
+    "rules.king": "When a piece reaches the far end of the board it becomes a king and can move both forward and backward.",
+    "rules.drawTitle": "Draws:",
+    "rules.draw": "The game is drawn if the same position comes up three times, if too many moves are played with kings only and no captures (the limit depends on the variant), or if only one king against one king is left.",
+    "rules.winTitle": "Winning:",
+    "rules.win": "The player who captures all the opponent's pieces or leaves the opponent without legal moves wins.",
+    "rules.variant": "{name} variant:",
+    "rules.board": "{size}x{size} board",
+    "rules.menCaptureBackward": "men capture forward and backward",
+    "rules.menCaptureForward": "men only capture forward",
+    "rules.flyingKings": "flying kings that move along the whole diagonal",
+    "rules.shortKings": "kings move one square at a time",
+    "rules.mandatoryCapture": "capturing is compulsory",
+    "rules.optionalCapture": "capturing is optional",
+    "rules.majority.none": "any capture may be chosen",
+    "rules.majority.quantity": "the capture taking the most pieces is compulsory",
+    "rules.majority.quality": "the capture taking the most pieces is compulsory and, if equal, the one taking the most kings",
+    "rules.promotion.stop": "crowning ends the turn",
+    "rules.promotion.continue": "a man crowned in the middle of a capture goes on capturing as a king",
+    "rules.promotion.pass": "a man passing over the last row while capturing is only crowned if it ends there",
+    "rules.drawLimit": { one: "draw after {count} move by each player without captures or man moves", other: "draw after {count} moves by each player without captures or man moves" },
+
+    "editor.redMan": "Red man",
+    "editor.redKing": "Red king",
+    "editor.blackMan": "Black man",
+    "editor.blackKing": "Black king",
+    "editor.erase": "Erase",
+    "editor.turn": "To move",
+    "editor.clear": "Clear",
+    "editor.initial": "Starting position",
+    "editor.fen": "Position in FEN format",
+    "editor.load": "Load",
+    "editor.copy": "Copy",
+    "editor.play": "Play from here",
+    "editor.manOnLastRow": "A man can't stand on its crowning row",
+    "editor.fenCopied": "📋 FEN copied to the clipboard",
+    "editor.needPieces": "Each player needs at least one piece.",
+    "editor.noMoves.red": "Red has no moves in this position.",
+    "editor.noMoves.black": "Black has no moves in this position.",
+    "editor.alreadyDrawn": "This position is already a draw: {reason}.",
+
+    "pdn.fileName": "game-{date}.pdn",
+    "pdn.event": "Draughts game",
+    "pdn.importFailed": "The game could not be imported.",
+    "pdn.unsupportedVariant": "Unsupported variant (GameType {gameType}).",
+    "pdn.importedFinished": "🏁 Game imported · Result {result}",
+    "pdn.imported": "📂 Game imported ({moves}) · {status}",
+
+    "notation.invalidFen": "Invalid FEN: “{fen}”",
+    "notation.unknownColor": "Invalid FEN: unknown colour “{color}”",
+    "notation.badSquare": "Invalid FEN: square “{token}” not recognised",
+    "notation.fenNoSquare": "Invalid FEN: there is no square {square}",
+    "notation.unrecognized": "the move is not recognised",
+    "notation.noSquare": "there is no square {square}",
+    "notation.emptySquare": "square {square} is empty",
+    "notation.notYourPiece": "the piece on {square} does not belong to {color}, who is to move",
+    "notation.ambiguous": "the move is ambiguous; give every square of the capture",
+    "notation.majorityQuality": "the capture taking the most pieces (and, if equal, the most kings) is compulsory",
+    "notation.majority": "the capture taking the most pieces is compulsory",
+    "notation.mustCaptureWith": "capturing is compulsory and the piece on {square} can't capture",
+    "notation.incompleteCapture": "the multiple capture is not complete: the piece must keep capturing",
+    "notation.mustCapture": "capturing is compulsory",
+    "notation.cannotCapture": "the piece on {from} can't capture towards {to}",
+    "notation.cannotMove": "the piece on {from} can't move to {to}",
+    "notation.otherVariant": "the game is from another variant (GameType {gameType})",
+    "notation.invalidMove": "Move {number} ({color}) “{move}” is not valid: {error}",
+
+    "online.connectionLost": "🌐 Connection lost, reconnecting...",
+    "online.connecting": "🌐 Connecting to the server...",
+    "online.waiting": "🌐 Room {room} · Waiting for the opponent",
+    "online.gameOver": "🏁 The game is over",
+    "online.errors.roomFull": "The room already has two players.",
+    "online.errors.noRoom": "There is no room with that code.",
+    "online.errors.gameOver": "The game is already over.",
+    "online.errors.notYourTurn": "It's not your turn.",
+    "online.errors.outOfStep": "The move doesn't match the game.",
+    "online.errors.illegalMove": "Illegal move.",
+    "online.errors.badMessage": "Invalid message.",
+    "online.errors.unknownMessage": "Unknown message.",
+
+    "tournament.next": "Next game",
+    "tournament.leave": "End tournament",
+    "tournament.leaveConfirm": "End the tournament? The standings will be lost.",
+    "tournament.matchTitle": "🏅 Best-of-{count} match",
+    "tournament.roundRobinTitle": "🏅 Round-robin tournament",
+    "tournament.progress": "{played} of {count} games played",
+    "tournament.columns.player": "Player",
+    "tournament.columns.points": "Points",
+    "tournament.columns.played": "P",
+    "tournament.columns.wins": "W",
+    "tournament.columns.draws": "D",
+    "tournament.columns.losses": "L",
+    "tournament.columns.sonnebornBerger": "S-B",
+    "tournament.matchWinner": "🏆 {name} wins the match",
+    "tournament.tournamentWinner": "🏆 {name} wins the tournament",
+    "tournament.tied": "🤝 The match ends level",
+    "tournament.nextGame": "Next game: {red} (Red) against {black} (Black)",
+    "tournament.currentGame": "Game {number}: {red} (Red) against {black} (Black)",
+    "tournament.errors.matchPlayers": "A match is between two players.",
+    "tournament.errors.matchLength": "A match is played as best of {lengths} games.",
+    "tournament.errors.playerCount": "A tournament needs between {min} and {max} players.",
+    "tournament.errors.sameName": "Every player in the tournament needs a different name.",
+
+    "puzzles.prev": "◀ Previous",
+    "puzzles.retry": "Retry",
+    "puzzles.solution": "Show solution",
+    "puzzles.next": "Next ▶",
+    "puzzles.leave": "Leave",
+    "puzzles.title": "🧩 Puzzle {number} of {count}: {title}",
+    "puzzles.stats": { one: "Solved {solved} of {count} attempt ({percent}%) · Streak {streak} · Best streak {bestStreak}", other: "Solved {solved} of {count} attempts ({percent}%) · Streak {streak} · Best streak {bestStreak}" },
+    "puzzles.goal": "🧩 {goal}",
+    "puzzles.keepGoing": "🧩 {goal} · Keep going!",
+    "puzzles.wrong": "❌ That's not the solution. Try again",
+    "puzzles.reply": "✔️ Good! The opponent replies...",
+    "puzzles.solved": "🎉 Puzzle solved!",
+    "puzzles.solvedLate": "✅ Solved, though not at the first try",
+    "puzzles.revealed": "👁️ That was the solution",
+    "puzzles.revealing": "👁️ Solution:",
+    "puzzles.noneForVariant": "There are no puzzles for the {variant} variant.",
+    "puzzles.loadFailed": "The puzzles could not be loaded. If you opened the game as a file, serve it with \"node server.js\".",
+    "puzzles.errors.name": "Puzzle “{id}”",
+    "puzzles.errors.unknownVariant": "{name}: unknown variant ({variant}).",
+    "puzzles.errors.solutionLength": "{name}: the solution must end with a move by the solver.",
+    "puzzles.errors.move": "{name}, move {number} “{move}”: {error}",
+    "puzzles.errors.fetch": "The puzzles could not be loaded ({status}).",
+
+    "leaderboard.button": "Leaderboard",
+    "leaderboard.title": "🏅 Leaderboard",
+    "leaderboard.empty": "No game has been finished yet.",
+    "leaderboard.player": "Player",
+    "leaderboard.wins": "Wins",
+    "leaderboard.losses": "Losses",
+    "leaderboard.draws": "Draws",
+    "leaderboard.rowTitle": "See their latest games",
+    "profile.result.win": "Win",
+    "profile.result.loss": "Loss",
+    "profile.result.draw": "Draw",
+    "profile.game": "{date} · {result} against {opponent} ({variant}, {moves}) · {change}",
+    "profile.hints": { one: "💡 {count} hint", other: "💡 {count} hints" },
+    "stats.resetConfirm": "Are you sure you want to reset the statistics and ratings of every player?",
+    // Stats backup
+    "backup.format": "File format",
+    "backup.fileName": "checkers-stats-{date}.{extension}",
+    "backup.export": "Export",
+    "backup.exportTitle": "Save statistics, names and preferences to a file",
+    "backup.import": "Import",
+    "backup.importTitle": "Load statistics, names and preferences from a file",
+    "backup.importConfirm": {
+      one: "The file holds {count} player. Its statistics, names and preferences will replace the ones on this device. Continue?",
+      other: "The file holds {count} players. Its statistics, names and preferences will replace the ones on this device. Continue?",
+    },
+    "backup.mergeConfirm": {
+      one: "The CSV file holds {count} player. Their totals and rating will replace those of the player with the same name on this device, who keeps their list of games; the names and preferences will replace the ones on this device. Continue?",
+      other: "The CSV file holds {count} players. Their totals and ratings will replace those of the players with the same names on this device, who keep their lists of games; the names and preferences will replace the ones on this device. Continue?",
+    },
+    "backup.imported": {
+      one: "Imported {count} player with their statistics, along with the names and preferences.",
+      other: "Imported {count} players with their statistics, along with the names and preferences.",
+    },
+    "backup.importFailed": "The file could not be imported.",
+    "backup.invalidJson": "The JSON file is damaged.",
+    "backup.notBackup": "The file is not a backup of the game's statistics.",
+    "backup.newerVersion": "The file comes from a newer version of the game.",
+    "backup.badProfiles": "The statistics in the file are damaged.",
+    "backup.badCsvRow": "Row {line} of the CSV is not recognised.",
+  },
+
+  fr: {
+    "page.title": "Jeu de Dames - Checkers Game",
+    "footer.credit": "Créé par Youssef Ajdij © 2025",
+
+    "color.red": "rouges",
+    "color.black": "noirs",
+    "color.redTitle": "Rouges",
+    "color.blackTitle": "Noirs",
+    "color.redShort": "Rouge",
+    "color.blackShort": "Noir",
+    "players.defaultRed": "Joueur Rouge",
+    "players.defaultBlack": "Joueur Noir",
+    "players.computer": "Ordinateur ({level})",
+    "players.nameTaken": "Il y a déjà un joueur nommé « {name} ».",
+    "players.sameName": "Les deux joueurs doivent avoir des noms différents.",
+    "players.pieces": { one: "{count} pièce", other: "{count} pièces" },
+    "game.moves": { one: "{count} coup", other: "{count} coups" },
+
+    "variants.spanish": "Espagnole",
+    "variants.english": "Anglaise (Checkers)",
+    "variants.international": "Internationale 10x10",
+    "variants.brazilian": "Brésilienne",
+    "variants.russian": "Russe",
+
+    "ai.levels.easy": "Facile",
+    "ai.levels.medium": "Moyen",
+    "ai.levels.hard": "Difficile",
+    "score.wins": "gagne en {count}",
+    "score.loses": "perd en {count}",
+
+    "common.ok": "OK",
+    "common.yes": "Oui",
+    "common.no": "Non",
+    "common.close": "Fermer",
+    "common.cancel": "Annuler",
+
+    "setup.title": "🎯 Configurer les joueurs",
+    "setup.language": "Langue",
+    "setup.resume": "Reprendre la partie",
+    "setup.discard": "Abandonner",
+    "setup.redName": "Nom du joueur rouge",
+    "setup.blackName": "Nom du joueur noir",
+    "setup.namePlaceholder": "Saisissez un nom",
+    "setup.variant": "Variante",
+    "setup.mode": "Mode de jeu",
+    "setup.modes.pvp": "Deux joueurs",
+    "setup.modes.ai": "Contre l'ordinateur",
+    "setup.modes.online": "En ligne",
+    "setup.modes.match": "Match en N parties gagnantes",
+    "setup.modes.tournament": "Tournoi toutes rondes",
+    "setup.modes.puzzles": "Problèmes tactiques",
+    "setup.bestOf": "Parties",
+    "setup.bestOfOption": "Au meilleur des {count}",
+    "setup.tournamentPlayers": "Joueurs (un par ligne, de 3 à 8)",
+    "setup.humanColor": "Vous jouez",
+    "setup.aiLevel": "Difficulté",
+    "setup.onlineAction": "Salle",
+    "setup.onlineCreate": "Créer une salle (vous jouez les rouges)",
+    "setup.onlineJoin": "Rejoindre avec un code (vous jouez les noirs)",
+    "setup.onlineRoom": "Code de la salle",
+    "setup.onlineServer": "Serveur",
+    "setup.timeMode": "Pendule",
+    "setup.timeModes.none": "Sans pendule",
+    "setup.timeModes.suddenDeath": "Mort subite",
+    "setup.timeModes.fischer": "Incrément Fischer",
+    "setup.timeModes.bronstein": "Délai Bronstein",
+    "setup.timeMinutes": "Minutes par joueur",
+    "setup.timeBonus": "Secondes par coup",
+    "setup.starter": "Qui commence ?",
+    "setup.seriousGame": "Partie sérieuse (sans annulation)",
+    "setup.start": "Commencer la partie",
+    "setup.roomMissing": "Saisissez le code de la salle que vous voulez rejoindre.",
+    "resume.match": "Match",
+    "resume.roundRobin": "Tournoi",
+    "resume.running": "en cours",
+    "resume.finished": "terminé",
+    "resume.tournament": "{kind} {state} ({players}) · {played} sur {count} parties",
+    "resume.game": "{red} contre {black} · {variant} · {moves} · enregistrée le {date}",
+    "resume.failed": "La partie enregistrée n'a pas pu être restaurée.",
+
+    "header.title": "🎯 Jeu de Dames",
+    "controls.newGame": "Nouvelle partie",
+    "controls.undo": "Annuler",
+    "controls.undoTitle": "Annuler (Ctrl+Z)",
+    "controls.redo": "Rétablir",
+    "controls.redoTitle": "Rétablir (Ctrl+Y)",
+    "controls.replay": "Revoir",
+    "controls.replayTitle": "Revoir la partie terminée",
+    "controls.analyze": "Analyser",
+    "controls.analyzeTitle": "Chercher les erreurs de la partie terminée",
+    "controls.switchTurn": "Changer de trait :",
+    "controls.hint": "Suggérer un coup",
+    "controls.hintTitle": "Chercher le meilleur coup (compte comme une aide dans la partie)",
+    "controls.hintTopThree": "Voir les 3 meilleurs",
+    "controls.editor": "Éditeur",
+    "controls.editorTitle": "Placer des pièces et choisir qui joue",
+    "controls.exportPdn": "Exporter PDN",
+    "controls.exportPdnTitle": "Enregistrer la partie au format PDN",
+    "controls.importPdn": "Importer PDN",
+    "controls.importPdnTitle": "Charger une partie PDN",
+    "controls.leaderboardTitle": "Elo et résultats de tous les joueurs",
+    "controls.resetStats": "Réinitialiser les statistiques",
+
+    "status.turn": "Au tour de {name}",
+    "status.multiCapture": "Rafle ! {name} continue",
+    "status.thinking": "🤖 {name} réfléchit...",
+    "status.editor": "✏️ Éditeur : cliquez sur les cases pour poser ou retirer des pièces",
+    "status.mustCapture": "⚠️ La prise est obligatoire",
+    "status.mustCaptureMost": "⚠️ Il faut jouer la prise qui prend le plus de pièces",
+    "status.win": "🎉 Victoire de {name} ! 🎉",
+    "status.winOnTime": "⏱️ Temps écoulé · Victoire de {name} ! 🎉",
+    "status.draw": "🤝 Nulle : {reason}",
+    "status.resumed": "💾 Partie restaurée · {status}",
+    "draw.repetition": "triple répétition de la position",
+    "draw.moveLimit": { one: "{count} coup sans prise ni mouvement de pion", other: "{count} coups sans prise ni mouvement de pion" },
+    "draw.insufficientMaterial": "dame contre dame, personne ne peut gagner",
+    "draw.agreement": "accord mutuel",
+
+    // Board (screen readers)
+    "board.label": "Damier",
+    "board.square": "case {number}",
+    "board.lightSquare": "case claire",
+    "board.pieces.redMan": "pion rouge",
+    "board.pieces.redKing": "dame rouge",
+    "board.pieces.blackMan": "pion noir",
+    "board.pieces.blackKing": "dame noire",
+    "board.pendingCapture": "prise",
+    "board.selected": "sélectionnée",
+    "board.validMove": "coup possible",
+    "board.hint": "coup suggéré",
+    "announce.move": "{name} joue {move}",
+    "announce.captured": { one: "prend {count} pièce", other: "prend {count} pièces" },
+    "announce.promoted": "promu dame",
+    "announce.mustCapture": "{name} doit prendre",
+    "announce.win": "Victoire de {name}",
+    "announce.winOnTime": "Temps écoulé, victoire de {name}",
+    "announce.draw": "Nulle : {reason}",
+
+    "hint.searching": "💡 Recherche du meilleur coup...",
+    "hint.noMoves": "Aucun coup légal possible",
+    "hint.best": "💡 Meilleur coup : {move} ({score})",
+
+    "replay.play": "▶ Lecture",
+    "replay.pause": "⏸ Pause",
+    "replay.startTitle": "Position de départ",
+    "replay.prevTitle": "Coup précédent",
+    "replay.nextTitle": "Coup suivant",
+    "replay.endTitle": "Position finale",
+    "replay.slider": "Aller au coup",
+    "replay.speed": "Vitesse",
+    "replay.slow": "Lente",
+    "replay.normal": "Normale",
+    "replay.fast": "Rapide",
+    "replay.branch": "Jouer d'ici",
+    "replay.branchTitle": "Continuer à jouer depuis cette position",
+    "replay.move": "🎬 Revoir · Coup {number} : {move}",
+    "replay.initial": "🎬 Revoir · Position de départ",
+
+    "analysis.graph": "Évaluation de la partie (en haut, avantage aux rouges)",
+    "analysis.running": "🔍 Analyse de la partie... {percent} %",
+    "analysis.done": { one: "🔍 Analyse terminée · {count} coup signalé", other: "🔍 Analyse terminée · {count} coups signalés" },
+    "analysis.categories.blunder": "Gaffe",
+    "analysis.categories.mistake": "Erreur",
+    "analysis.categories.inaccuracy": "Imprécision",
+    "analysis.lostWin": "victoire manquée",
+    "analysis.good": "bon coup",
+    "analysis.best": "le meilleur coup",
+    "analysis.better": "meilleur : {move} ({score})",
+    "analysis.missedWin": "il y avait une victoire forcée",
+    "analysis.missedCaptures": { one: "{move} prenait {count} pièce", other: "{move} prenait {count} pièces" },
+
+    "rules.title": "📖 Règles du jeu",
+    "rules.moveTitle": "Déplacement :",
+    "rules.move": "Les pièces avancent en diagonale vers des cases vides.",
+    "rules.captureTitle": "Prise :",
+    "rules.capture": "Sautez par-dessus les pièces adverses pour les prendre. Les prises sont obligatoires.",
+    "rules.multiTitle": "Rafles :",
+    "rules.multi": "Si vous pouvez prendre d'autres pièces après une prise, vous devez continuer. Les pièces prises ne sont retirées qu'à la fin du coup : on ne peut pas les sauter deux fois et elles bloquent toujours le passage.",
+    "rules.kingTitle": "Promotion (Dame) :",
+    "rules.king": "Quand une pièce atteint l'autre bout du plateau, elle devient dame et peut se déplacer en avant et en arrière.",
+    "rules.drawTitle": "Nulle :",
+    "rules.draw": "La partie est nulle si la même position se répète trois fois, si trop de coups sont joués avec des dames seulement et sans prise (la limite dépend de la variante), ou s'il ne reste qu'une dame contre une dame.",
+    "rules.winTitle": "Victoire :",
+    "rules.win": "Gagne le joueur qui prend toutes les pièces adverses ou laisse l'adversaire sans coup légal.",
+    "rules.variant": "Variante {name} :",
+    "rules.board": "plateau {size}x{size}",
+    "rules.menCaptureBackward": "les pions prennent en avant et en arrière",
+    "rules.menCaptureForward": "les pions ne prennent qu'en avant",
+    "rules.flyingKings": "dames volantes qui parcourent toute la diagonale",
+    "rules.shortKings": "les dames avancent d'une case à la fois",
+    "rules.mandatoryCapture": "prise obligatoire",
+    "rules.optionalCapture": "prise facultative",
+    "rules.majority.none": "on peut choisir n'importe quelle prise",
+    "rules.majority.quantity": "il faut prendre le plus grand nombre de pièces",
+    "rules.majority.quality": "il faut prendre le plus grand nombre de pièces et, à égalité, le plus grand nombre de dames",
+    "rules.promotion.stop": "la promotion termine le coup",
+    "rules.promotion.continue": "un pion promu au milieu d'une rafle continue à prendre comme une dame",
+    "rules.promotion.pass": "un pion qui passe sur la dernière rangée en prenant n'est promu que s'il s'y arrête",
+    "rules.drawLimit": { one: "nulle après {count} coup de chaque joueur sans prise ni mouvement de pion", other: "nulle après {count} coups de chaque joueur sans prise ni mouvement de pion" },
+
+    "editor.redMan": "Pion rouge",
+    "editor.redKing": "Dame rouge",
+    "editor.blackMan": "Pion noir",
+    "editor.blackKing": "Dame noire",
+    "editor.erase": "Effacer",
+    "editor.turn": "Trait aux",
+    "editor.clear": "Vider",
+    "editor.initial": "Position de départ",
+    "editor.fen": "Position au format FEN",
+    "editor.load": "Charger",
+    "editor.copy": "Copier",
+    "editor.play": "Jouer d'ici",
+    "editor.manOnLastRow": "Un pion ne peut pas se trouver sur sa rangée de promotion",
+    "editor.fenCopied": "📋 FEN copié dans le presse-papiers",
+    "editor.needPieces": "Chaque joueur a besoin d'au moins une pièce.",
+    "editor.noMoves.red": "Les rouges n'ont aucun coup dans cette position.",
+    "editor.noMoves.black": "Les noirs n'ont aucun coup dans cette position.",
+    "editor.alreadyDrawn": "Cette position est déjà nulle : {reason}.",
+
+    "pdn.fileName": "partie-{date}.pdn",
+    "pdn.event": "Partie de dames",
+    "pdn.importFailed": "La partie n'a pas pu être importée.",
+    "pdn.unsupportedVariant": "Variante non prise en charge (GameType {gameType}).",
+    "pdn.importedFinished": "🏁 Partie importée · Résultat {result}",
+    "pdn.imported": "📂 Partie importée ({moves}) · {status}",
+
+    "notation.invalidFen": "FEN non valide : « {fen} »",
+    "notation.unknownColor": "FEN non valide : couleur inconnue « {color} »",
+    "notation.badSquare": "FEN non valide : case « {token} » non reconnue",
+    "notation.fenNoSquare": "FEN non valide : la case {square} n'existe pas",
+    "notation.unrecognized": "coup non reconnu",
+    "notation.noSquare": "la case {square} n'existe pas",
+    "notation.emptySquare": "la case {square} est vide",
+    "notation.notYourPiece": "la pièce en {square} n'est pas aux {color}, qui ont le trait",
+    "notation.ambiguous": "le coup est ambigu ; indiquez toutes les cases de la prise",
+    "notation.majorityQuality": "il faut jouer la prise qui prend le plus de pièces (et, à égalité, le plus de dames)",
+    "notation.majority": "il faut jouer la prise qui prend le plus de pièces",
+    "notation.mustCaptureWith": "la prise est obligatoire et la pièce en {square} ne peut pas prendre",
+    "notation.incompleteCapture": "la rafle n'est pas terminée : la pièce doit continuer à prendre",
+    "notation.mustCapture": "la prise est obligatoire",
+    "notation.cannotCapture": "la pièce en {from} ne peut pas prendre vers {to}",
+    "notation.cannotMove": "la pièce en {from} ne peut pas aller en {to}",
+    "notation.otherVariant": "la partie est d'une autre variante (GameType {gameType})",
+    "notation.invalidMove": "Coup {number} ({color}) « {move} » non valide : {error}",
+
+    "online.connectionLost": "🌐 Connexion perdue, reconnexion...",
+    "online.connecting": "🌐 Connexion au serveur...",
+    "online.waiting": "🌐 Salle {room} · En attente de l'adversaire",
+    "online.gameOver": "🏁 La partie est terminée",
+    "online.errors.roomFull": "La salle a déjà deux joueurs.",
+    "online.errors.noRoom": "Aucune salle n'a ce code.",
+    "online.errors.gameOver": "La partie est déjà terminée.",
+    "online.errors.notYourTurn": "Ce n'est pas votre tour.",
+    "online.errors.outOfStep": "Le coup ne correspond pas à la partie.",
+    "online.errors.illegalMove": "Coup non valide.",
+    "online.errors.badMessage": "Message non valide.",
+    "online.errors.unknownMessage": "Message inconnu.",
+
+    "tournament.next": "Partie suivante",
+    "tournament.leave": "Terminer le tournoi",
+    "tournament.leaveConfirm": "Terminer le tournoi ? Le classement sera perdu.",
+    "tournament.matchTitle": "🏅 Match au meilleur des {count}",
+    "tournament.roundRobinTitle": "🏅 Tournoi toutes rondes",
+    "tournament.progress": "{played} sur {count} parties jouées",
+    "tournament.columns.player": "Joueur",
+    "tournament.columns.points": "Points",
+    "tournament.columns.played": "J",
+    "tournament.columns.wins": "G",
+    "tournament.columns.draws": "N",
+    "tournament.columns.losses": "P",
+    "tournament.columns.sonnebornBerger": "S-B",
+    "tournament.matchWinner": "🏆 {name} remporte le match",
+    "tournament.tournamentWinner": "🏆 {name} remporte le tournoi",
+    "tournament.tied": "🤝 Le match se termine à égalité",
+    "tournament.nextGame": "Partie suivante : {red} (rouges) contre {black} (noirs)",
+    "tournament.currentGame": "Partie {number} : {red} (rouges) contre {black} (noirs)",
+    "tournament.errors.matchPlayers": "Un match se joue entre deux joueurs.",
+    "tournament.errors.matchLength": "Un match se joue au meilleur des {lengths} parties.",
+    "tournament.errors.playerCount": "Un tournoi demande entre {min} et {max} joueurs.",
+    "tournament.errors.sameName": "Chaque joueur du tournoi doit avoir un nom différent.",
+
+    "puzzles.prev": "◀ Précédent",
+    "puzzles.retry": "Réessayer",
+    "puzzles.solution": "Voir la solution",
+    "puzzles.next": "Suivant ▶",
+    "puzzles.leave": "Quitter",
+    "puzzles.title": "🧩 Problème {number} sur {count} : {title}",
+    "puzzles.stats": { one: "Résolus {solved} sur {count} essai ({percent} %) · Série {streak} · Meilleure série {bestStreak}", other: "Résolus {solved} sur {count} essais ({percent} %) · Série {streak} · Meilleure série {bestStreak}" },
+    "puzzles.goal": "🧩 {goal}",
+    "puzzles.keepGoing": "🧩 {goal} · Continuez !",
+    "puzzles.wrong": "❌ Ce n'est pas la solution. Réessayez",
+    "puzzles.reply": "✔️ Bien ! L'adversaire répond...",
+    "puzzles.solved": "🎉 Problème résolu !",
+    "puzzles.solvedLate": "✅ Résolu, mais pas du premier coup",
+    "puzzles.revealed": "👁️ C'était la solution",
+    "puzzles.revealing": "👁️ Solution :",
+    "puzzles.noneForVariant": "Il n'y a pas de problèmes pour la variante {variant}.",
+    "puzzles.loadFailed": "Les problèmes n'ont pas pu être chargés. Si vous avez ouvert le jeu comme fichier, servez-le avec \"node server.js\".",
+    "puzzles.errors.name": "Problème « {id} »",
+    "puzzles.errors.unknownVariant": "{name} : variante inconnue ({variant}).",
+    "puzzles.errors.solutionLength": "{name} : la solution doit se terminer par un coup de celui qui résout.",
+    "puzzles.errors.move": "{name}, coup {number} « {move} » : {error}",
+    "puzzles.errors.fetch": "Les problèmes n'ont pas pu être chargés ({status}).",
+
+    "leaderboard.button": "Classement",
+    "leaderboard.title": "🏅 Classement",
+    "leaderboard.empty": "Aucune partie n'est encore terminée.",
+    "leaderboard.player": "Joueur",
+    "leaderboard.wins": "Victoires",
+    "leaderboard.losses": "Défaites",
+    "leaderboard.draws": "Nulles",
+    "leaderboard.rowTitle": "Voir ses dernières parties",
+    "profile.result.win": "Victoire",
+    "profile.result.loss": "Défaite",
+    "profile.result.draw": "Nulle",
+    "profile.game": "{date} · {result} contre {opponent} ({variant}, {moves}) · {change}",
+    "profile.hints": { one: "💡 {count} aide", other: "💡 {count} aides" },
+    "stats.resetConfirm": "Voulez-vous vraiment réinitialiser les statistiques et l'Elo de tous les joueurs ?",
+    // Stats backup
+    "backup.format": "Format du fichier",
+    "backup.fileName": "dames-statistiques-{date}.{extension}",
+    "backup.export": "Exporter",
+    "backup.exportTitle": "Enregistrer les statistiques, les noms et les préférences dans un fichier",
+    "backup.import": "Importer",
+    "backup.importTitle": "Charger les statistiques, les noms et les préférences depuis un fichier",
+    "backup.importConfirm": {
+      one: "Le fichier contient {count} joueur. Ses statistiques, noms et préférences remplaceront ceux de cet appareil. Continuer ?",
+      other: "Le fichier contient {count} joueurs. Ses statistiques, noms et préférences remplaceront ceux de cet appareil. Continuer ?",
+    },
+    "backup.mergeConfirm": {
+      one: "Le fichier CSV contient {count} joueur. Ses totaux et son Elo remplaceront ceux du joueur du même nom sur cet appareil, qui garde sa liste de parties ; les noms et préférences remplaceront ceux de cet appareil. Continuer ?",
+      other: "Le fichier CSV contient {count} joueurs. Leurs totaux et leur Elo remplaceront ceux des joueurs du même nom sur cet appareil, qui gardent leur liste de parties ; les noms et préférences remplaceront ceux de cet appareil. Continuer ?",
+    },
+    "backup.imported": {
+      one: "{count} joueur importé avec ses statistiques, ainsi que les noms et les préférences.",
+      other: "{count} joueurs importés avec leurs statistiques, ainsi que les noms et les préférences.",
+    },
+    "backup.importFailed": "Le fichier n'a pas pu être importé.",
+    "backup.invalidJson": "Le fichier JSON est endommagé.",
+    "backup.notBackup": "Le fichier n'est pas une sauvegarde des statistiques du jeu.",
+    "backup.newerVersion": "Le fichier provient d'une version plus récente du jeu.",
+    "backup.badProfiles": "Les statistiques du fichier sont endommagées.",
+    "backup.badCsvRow": "La ligne {line} du CSV n'est pas reconnue.",
+  },
+
+  ar: {
+    "page.title": "لعبة الداما",
+    "footer.credit": "من إنشاء يوسف أجديج © 2025",
+
+    "color.red": "الأحمر",
+    "color.black": "الأسود",
+    "color.redTitle": "الأحمر",
+    "color.blackTitle": "الأسود",
+    "color.redShort": "أحمر",
+    "color.blackShort": "أسود",
+    "players.defaultRed": "اللاعب الأحمر",
+    "players.defaultBlack": "اللاعب الأسود",
+    "players.computer": "الحاسوب ({level})",
+    "players.nameTaken": "يوجد لاعب آخر باسم «{name}».",
+    "players.sameName": "يجب أن يحمل اللاعبان اسمين مختلفين.",
+    "players.pieces": {
+      zero: "لا قطع",
+      one: "قطعة واحدة",
+      two: "قطعتان",
+      few: "{count} قطع",
+      many: "{count} قطعة",
+      other: "{count} قطعة",
+    },
+    "game.moves": {
+      zero: "لا نقلات",
+      one: "نقلة واحدة",
+      two: "نقلتان",
+      few: "{count} نقلات",
+      many: "{count} نقلة",
+      other: "{count} نقلة",
+    },
+
+    "variants.spanish": "الإسبانية",
+    "variants.english": "الإنجليزية (Checkers)",
+    "variants.international": "الدولية 10x10",
+    "variants.brazilian": "البرازيلية",
+    "variants.russian": "الروسية",
+
+    "ai.levels.easy": "سهل",
+    "ai.levels.medium": "متوسط",
+    "ai.levels.hard": "صعب",
+    "score.wins": {
+      one: "يفوز في نقلة واحدة",
+      two: "يفوز في نقلتين",
+      few: "يفوز في {count} نقلات",
+      many: "يفوز في {count} نقلة",
+      other: "يفوز في {count} نقلة",
+    },
+    "score.loses": {
+      one: "يخسر في نقلة واحدة",
+      two: "يخسر في نقلتين",
+      few: "يخسر في {count} نقلات",
+      many: "يخسر في {count} نقلة",
+      other: "يخسر في {count} نقلة",
+    },
+
+    "common.ok": "موافق",
+    "common.yes": "نعم",
+    "common.no": "لا",
+    "common.close": "إغلاق",
+    "common.cancel": "إلغاء",
+
+    "setup.title": "🎯 إعداد اللاعبين",
+    "setup.language": "اللغة",
+    "setup.resume": "متابعة المباراة",
+    "setup.discard": "تجاهل",
+    "setup.redName": "اسم اللاعب الأحمر",
+    "setup.blackName": "اسم اللاعب الأسود",
+    "setup.namePlaceholder": "أدخل اسمًا",
+    "setup.variant": "النوع",
+    "setup.mode": "نمط اللعب",
+    "setup.modes.pvp": "لاعبان",
+    "setup.modes.ai": "ضد الحاسوب",
+    "setup.modes.online": "عبر الإنترنت",
+    "setup.modes.match": "مواجهة من N مباريات",
+    "setup.modes.tournament": "دوري من دور واحد",
+    "setup.modes.puzzles": "ألغاز تكتيكية",
+    "setup.bestOf": "المباريات",
+    "setup.bestOfOption": "الأفضل في {count}",
+    "setup.tournamentPlayers": "اللاعبون (واحد في كل سطر، من 3 إلى 8)",
+    "setup.humanColor": "تلعب بـ",
+    "setup.aiLevel": "الصعوبة",
+    "setup.onlineAction": "الغرفة",
+    "setup.onlineCreate": "إنشاء غرفة (تلعب بالأحمر)",
+    "setup.onlineJoin": "الانضمام برمز (تلعب بالأسود)",
+    "setup.onlineRoom": "رمز الغرفة",
+    "setup.onlineServer": "الخادم",
+    "setup.timeMode": "الساعة",
+    "setup.timeModes.none": "بدون ساعة",
+    "setup.timeModes.suddenDeath": "الموت المفاجئ",
+    "setup.timeModes.fischer": "زيادة فيشر",
+    "setup.timeModes.bronstein": "تأخير برونشتاين",
+    "setup.timeMinutes": "دقائق لكل لاعب",
+    "setup.timeBonus": "ثوانٍ لكل نقلة",
+    "setup.starter": "من يبدأ؟",
+    "setup.seriousGame": "مباراة جادة (بدون تراجع)",
+    "setup.start": "ابدأ اللعب",
+    "setup.roomMissing": "اكتب رمز الغرفة التي تريد الانضمام إليها.",
+    "resume.match": "مواجهة",
+    "resume.roundRobin": "دوري",
+    "resume.running": "جارية",
+    "resume.finished": "منتهية",
+    "resume.tournament": "{kind} {state} ({players}) · {played} من {count}",
+    "resume.game": "{red} ضد {black} · {variant} · {moves} · حُفظت في {date}",
+    "resume.failed": "تعذّر استرجاع المباراة المحفوظة.",
+
+    "header.title": "🎯 لعبة الداما",
+    "controls.newGame": "مباراة جديدة",
+    "controls.undo": "تراجع",
+    "controls.undoTitle": "تراجع (Ctrl+Z)",
+    "controls.redo": "إعادة",
+    "controls.redoTitle": "إعادة (Ctrl+Y)",
+    "controls.replay": "إعادة العرض",
+    "controls.replayTitle": "مراجعة المباراة المنتهية",
+    "controls.analyze": "تحليل",
+    "controls.analyzeTitle": "البحث عن أخطاء المباراة المنتهية",
+    "controls.switchTurn": "تغيير الدور:",
+    "controls.hint": "اقتراح نقلة",
+    "controls.hintTitle": "البحث عن أفضل نقلة (تُحتسب تلميحًا في المباراة)",
+    "controls.hintTopThree": "عرض أفضل 3",
+    "controls.editor": "المحرر",
+    "controls.editorTitle": "وضع القطع واختيار من يلعب",
+    "controls.exportPdn": "تصدير PDN",
+    "controls.exportPdnTitle": "حفظ المباراة بصيغة PDN",
+    "controls.importPdn": "استيراد PDN",
+    "controls.importPdnTitle": "تحميل مباراة PDN",
+    "controls.leaderboardTitle": "تصنيف إيلو ونتائج جميع اللاعبين",
+    "controls.resetStats": "إعادة ضبط الإحصائيات",
+
+    "status.turn": "دور {name}",
+    "status.multiCapture": "أسر متعدد! يتابع {name}",
+    "status.thinking": "🤖 {name} يفكر...",
+    "status.editor": "✏️ المحرر: انقر على المربعات لوضع القطع أو إزالتها",
+    "status.mustCapture": "⚠️ الأسر إجباري",
+    "status.mustCaptureMost": "⚠️ يجب اختيار الأسر الذي يأخذ أكبر عدد من القطع",
+    "status.win": "🎉 فوز {name}! 🎉",
+    "status.winOnTime": "⏱️ انتهى الوقت · فوز {name}! 🎉",
+    "status.draw": "🤝 تعادل: {reason}",
+    "status.resumed": "💾 استُرجعت المباراة · {status}",
+    "draw.repetition": "تكرار الوضعية ثلاث مرات",
+    "draw.moveLimit": {
+      one: "نقلة واحدة دون أسر أو تحريك بيادق",
+      two: "نقلتان دون أسر أو تحريك بيادق",
+      few: "{count} نقلات دون أسر أو تحريك بيادق",
+      many: "{count} نقلة دون أسر أو تحريك بيادق",
+      other: "{count} نقلة دون أسر أو تحريك بيادق",
+    },
+    "draw.insufficientMaterial": "ملك ضد ملك، لا يمكن لأحد الفوز",
+    "draw.agreement": "اتفاق",
+
+    // Board (screen readers)
+    "board.label": "الرقعة",
+    "board.square": "المربع {number}",
+    "board.lightSquare": "مربع فاتح",
+    "board.separator": "، ",
+    "board.pieces.redMan": "بيدق أحمر",
+    "board.pieces.redKing": "ملك أحمر",
+    "board.pieces.blackMan": "بيدق أسود",
+    "board.pieces.blackKing": "ملك أسود",
+    "board.pendingCapture": "مأسور",
+    "board.selected": "محدد",
+    "board.validMove": "نقلة ممكنة",
+    "board.hint": "نقلة مقترحة",
+    "announce.move": "{name} يلعب {move}",
+    "announce.captured": {
+      one: "يأسر قطعة واحدة",
+      two: "يأسر قطعتين",
+      few: "يأسر {count} قطع",
+      many: "يأسر {count} قطعة",
+      other: "يأسر {count} قطعة",
+    },
+    "announce.promoted": "يصبح ملكًا",
+    "announce.mustCapture": "{name} ملزم بالأسر",
+    "announce.win": "فوز {name}",
+    "announce.winOnTime": "انتهى الوقت، فوز {name}",
+    "announce.draw": "تعادل: {reason}",
+
+    "hint.searching": "💡 جارٍ البحث عن أفضل نقلة...",
+    "hint.noMoves": "لا توجد نقلات قانونية",
+    "hint.best": "💡 أفضل نقلة: {move} ({score})",
+
+    "replay.play": "▶ تشغيل",
+    "replay.pause": "⏸ إيقاف مؤقت",
+    "replay.startTitle": "الوضعية الأولى",
+    "replay.prevTitle": "النقلة السابقة",
+    "replay.nextTitle": "النقلة التالية",
+    "replay.endTitle": "الوضعية الأخيرة",
+    "replay.slider": "الانتقال إلى النقلة",
+    "replay.speed": "السرعة",
+    "replay.slow": "بطيئة",
+    "replay.normal": "عادية",
+    "replay.fast": "سريعة",
+    "replay.branch": "العب من هنا",
+    "replay.branchTitle": "متابعة اللعب من هذه الوضعية",
+    "replay.move": "🎬 إعادة العرض · النقلة {number}: {move}",
+    "replay.initial": "🎬 إعادة العرض · الوضعية الأولى",
+
+    "analysis.graph": "تقييم المباراة (الأعلى يعني أفضلية الأحمر)",
+    "analysis.running": "🔍 جارٍ تحليل المباراة... {percent}%",
+    "analysis.done": {
+      zero: "🔍 اكتمل التحليل · لا نقلات مُعلَّمة",
+      one: "🔍 اكتمل التحليل · نقلة واحدة مُعلَّمة",
+      two: "🔍 اكتمل التحليل · نقلتان مُعلَّمتان",
+      few: "🔍 اكتمل التحليل · {count} نقلات مُعلَّمة",
+      many: "🔍 اكتمل التحليل · {count} نقلة مُعلَّمة",
+      other: "🔍 اكتمل التحليل · {count} نقلة مُعلَّمة",
+    },
+    "analysis.categories.blunder": "خطأ فادح",
+    "analysis.categories.mistake": "خطأ",
+    "analysis.categories.inaccuracy": "عدم دقة",
+    "analysis.lostWin": "فوز ضائع",
+    "analysis.good": "نقلة جيدة",
+    "analysis.best": "أفضل نقلة",
+    "analysis.better": "الأفضل {move} ({score})",
+    "analysis.missedWin": "كان هناك فوز مؤكد",
+    "analysis.missedCaptures": {
+      two: "{move} كانت تأسر قطعتين",
+      few: "{move} كانت تأسر {count} قطع",
+      many: "{move} كانت تأسر {count} قطعة",
+      other: "{move} كانت تأسر {count} قطعة",
+    },
+
+    "rules.title": "📖 قواعد اللعبة",
+    "rules.moveTitle": "الحركة:",
+    "rules.move": "تتحرك القطع قطريًا إلى الأمام نحو مربعات فارغة.",
+    "rules.captureTitle": "الأسر:",
+    "rules.capture": "اقفز فوق قطع الخصم لأسرها. الأسر إجباري.",
+    "rules.multiTitle": "الأسر المتعدد:",
+    "rules.multi": "إذا أمكنك أسر قطع أخرى بعد الأسر فعليك المتابعة. لا تُزال القطع المأسورة إلا بعد انتهاء النقلة: لا يمكن القفز فوقها مرتين وتبقى تسد الطريق.",
+    "rules.kingTitle": "الترقية (ملك):",
+    "rules.king": "عندما تصل قطعة إلى الطرف الآخر من الرقعة تصبح ملكًا ويمكنها التحرك إلى الأمام وإلى الخلف.",
+    "rules.drawTitle": "التعادل:",
+    "rules.draw": "تنتهي المباراة بالتعادل إذا تكررت الوضعية نفسها ثلاث مرات، أو إذا لُعبت نقلات كثيرة بالملوك وحدها دون أسر (الحد يختلف حسب النوع)، أو إذا بقي ملك واحد ضد ملك واحد.",
+    "rules.winTitle": "الفوز:",
+    "rules.win": "يفوز اللاعب الذي يأسر جميع قطع خصمه أو يتركه دون نقلات قانونية.",
+    "rules.variant": "الداما {name}:",
+    "rules.separator": "؛ ",
+    "rules.board": "رقعة {size}x{size}",
+    "rules.menCaptureBackward": "البيادق تأسر إلى الأمام وإلى الخلف",
+    "rules.menCaptureForward": "البيادق تأسر إلى الأمام فقط",
+    "rules.flyingKings": "ملوك طائرة تقطع القطر كله",
+    "rules.shortKings": "الملوك تتقدم مربعًا واحدًا في كل مرة",
+    "rules.mandatoryCapture": "الأسر إجباري",
+    "rules.optionalCapture": "الأسر اختياري",
+    "rules.majority.none": "يمكن اختيار أي أسر",
+    "rules.majority.quantity": "يجب أسر أكبر عدد من القطع",
+    "rules.majority.quality": "يجب أسر أكبر عدد من القطع، وعند التساوي أكبر عدد من الملوك",
+    "rules.promotion.stop": "الترقية تنهي الدور",
+    "rules.promotion.continue": "البيدق الذي يترقى في منتصف الأسر يتابع الأسر كملك",
+    "rules.promotion.pass": "البيدق الذي يمر بالصف الأخير أثناء الأسر لا يترقى إلا إذا انتهى فيه",
+    "rules.drawLimit": {
+      one: "تعادل بعد نقلة واحدة لكل لاعب دون أسر أو تحريك بيادق",
+      two: "تعادل بعد نقلتين لكل لاعب دون أسر أو تحريك بيادق",
+      few: "تعادل بعد {count} نقلات لكل لاعب دون أسر أو تحريك بيادق",
+      many: "تعادل بعد {count} نقلة لكل لاعب دون أسر أو تحريك بيادق",
+      other: "تعادل بعد {count} نقلة لكل لاعب دون أسر أو تحريك بيادق",
+    },
+
+    "editor.redMan": "بيدق أحمر",
+    "editor.redKing": "ملك أحمر",
+    "editor.blackMan": "بيدق أسود",
+    "editor.blackKing": "ملك أسود",
+    "editor.erase": "مسح",
+    "editor.turn": "الدور لـ",
+    "editor.clear": "إفراغ",
+    "editor.initial": "الوضعية الأولى",
+    "editor.fen": "الوضعية بصيغة FEN",
+    "editor.load": "تحميل",
+    "editor.copy": "نسخ",
+    "editor.play": "العب من هنا",
+    "editor.manOnLastRow": "لا يمكن أن يكون البيدق في صف ترقيته",
+    "editor.fenCopied": "📋 نُسخ FEN إلى الحافظة",
+    "editor.needPieces": "يحتاج كل لاعب إلى قطعة واحدة على الأقل.",
+    "editor.noMoves.red": "ليس للأحمر أي نقلة في هذه الوضعية.",
+    "editor.noMoves.black": "ليس للأسود أي نقلة في هذه الوضعية.",
+    "editor.alreadyDrawn": "هذه الوضعية تعادل بالفعل: {reason}.",
+
+    "pdn.fileName": "مباراة-{date}.pdn",
+    "pdn.event": "مباراة داما",
+    "pdn.importFailed": "تعذّر استيراد المباراة.",
+    "pdn.unsupportedVariant": "نوع غير مدعوم (GameType {gameType}).",
+    "pdn.importedFinished": "🏁 استُوردت المباراة · النتيجة {result}",
+    "pdn.imported": "📂 استُوردت المباراة ({moves}) · {status}",
+
+    "notation.invalidFen": "FEN غير صالح: «{fen}»",
+    "notation.unknownColor": "FEN غير صالح: لون غير معروف «{color}»",
+    "notation.badSquare": "FEN غير صالح: المربع «{token}» غير معروف",
+    "notation.fenNoSquare": "FEN غير صالح: المربع {square} غير موجود",
+    "notation.unrecognized": "النقلة غير مفهومة",
+    "notation.noSquare": "المربع {square} غير موجود",
+    "notation.emptySquare": "المربع {square} فارغ",
+    "notation.notYourPiece": "القطعة في {square} ليست لـ{color} صاحب الدور",
+    "notation.ambiguous": "النقلة غامضة؛ اذكر جميع مربعات الأسر",
+    "notation.majorityQuality": "يجب اختيار الأسر الذي يأخذ أكبر عدد من القطع (وعند التساوي أكبر عدد من الملوك)",
+    "notation.majority": "يجب اختيار الأسر الذي يأخذ أكبر عدد من القطع",
+    "notation.mustCaptureWith": "الأسر إجباري والقطعة في {square} لا تستطيع الأسر",
+    "notation.incompleteCapture": "الأسر المتعدد غير مكتمل: يجب أن تتابع القطعة الأسر",
+    "notation.mustCapture": "الأسر إجباري",
+    "notation.cannotCapture": "القطعة في {from} لا تستطيع الأسر نحو {to}",
+    "notation.cannotMove": "القطعة في {from} لا تستطيع الانتقال إلى {to}",
+    "notation.otherVariant": "المباراة من نوع آخر (GameType {gameType})",
+    "notation.invalidMove": "النقلة {number} ({color}) «{move}» غير صالحة: {error}",
+
+    "online.connectionLost": "🌐 انقطع الاتصال، جارٍ إعادة الاتصال...",
+    "online.connecting": "🌐 جارٍ الاتصال بالخادم...",
+    "online.waiting": "🌐 الغرفة {room} · في انتظار الخصم",
+    "online.gameOver": "🏁 انتهت المباراة",
+    "online.errors.roomFull": "في الغرفة لاعبان بالفعل.",
+    "online.errors.noRoom": "لا توجد غرفة بهذا الرمز.",
+    "online.errors.gameOver": "انتهت المباراة بالفعل.",
+    "online.errors.notYourTurn": "ليس دورك.",
+    "online.errors.outOfStep": "النقلة لا تطابق المباراة.",
+    "online.errors.illegalMove": "نقلة غير صالحة.",
+    "online.errors.badMessage": "رسالة غير صالحة.",
+    "online.errors.unknownMessage": "رسالة غير معروفة.",
+
+    "tournament.next": "المباراة التالية",
+    "tournament.leave": "إنهاء البطولة",
+    "tournament.leaveConfirm": "إنهاء البطولة؟ سيضيع الترتيب.",
+    "tournament.matchTitle": "🏅 مواجهة الأفضل في {count}",
+    "tournament.roundRobinTitle": "🏅 دوري من دور واحد",
+    "tournament.progress": "لُعبت {played} من أصل {count}",
+    "tournament.columns.player": "اللاعب",
+    "tournament.columns.points": "النقاط",
+    "tournament.columns.played": "لعب",
+    "tournament.columns.wins": "فوز",
+    "tournament.columns.draws": "تعادل",
+    "tournament.columns.losses": "خسارة",
+    "tournament.columns.sonnebornBerger": "S-B",
+    "tournament.matchWinner": "🏆 {name} يفوز بالمواجهة",
+    "tournament.tournamentWinner": "🏆 {name} يفوز بالبطولة",
+    "tournament.tied": "🤝 تنتهي المواجهة بالتعادل",
+    "tournament.nextGame": "المباراة التالية: {red} (الأحمر) ضد {black} (الأسود)",
+    "tournament.currentGame": "المباراة {number}: {red} (الأحمر) ضد {black} (الأسود)",
+    "tournament.errors.matchPlayers": "المواجهة بين لاعبين اثنين.",
+    "tournament.errors.matchLength": "تُلعب المواجهة على الأفضل في {lengths} مباريات.",
+    "tournament.errors.playerCount": "تحتاج البطولة إلى ما بين {min} و{max} لاعبين.",
+    "tournament.errors.sameName": "يحتاج كل لاعب في البطولة إلى اسم مختلف.",
+
+    "puzzles.prev": "▶ السابق",
+    "puzzles.retry": "أعد المحاولة",
+    "puzzles.solution": "عرض الحل",
+    "puzzles.next": "التالي ◀",
+    "puzzles.leave": "خروج",
+    "puzzles.title": "🧩 اللغز {number} من {count}: {title}",
+    "puzzles.stats": "حُلّ {solved} من أصل {count} ({percent}%) · السلسلة {streak} · أفضل سلسلة {bestStreak}",
+    "puzzles.goal": "🧩 {goal}",
+    "puzzles.keepGoing": "🧩 {goal} · تابع!",
+    "puzzles.wrong": "❌ ليس هذا هو الحل. حاول مرة أخرى",
+    "puzzles.reply": "✔️ أحسنت! الخصم يرد...",
+    "puzzles.solved": "🎉 حُلّ اللغز!",
+    "puzzles.solvedLate": "✅ حُلّ، لكن ليس من المحاولة الأولى",
+    "puzzles.revealed": "👁️ هذا كان الحل",
+    "puzzles.revealing": "👁️ الحل:",
+    "puzzles.noneForVariant": "لا توجد ألغاز للنوع {variant}.",
+    "puzzles.loadFailed": "تعذّر تحميل الألغاز. إذا فتحت اللعبة كملف، شغّلها عبر \"node server.js\".",
+    "puzzles.errors.name": "اللغز «{id}»",
+    "puzzles.errors.unknownVariant": "{name}: نوع غير معروف ({variant}).",
+    "puzzles.errors.solutionLength": "{name}: يجب أن ينتهي الحل بنقلة من الحالّ.",
+    "puzzles.errors.move": "{name}، النقلة {number} «{move}»: {error}",
+    "puzzles.errors.fetch": "تعذّر تحميل الألغاز ({status}).",
+
+    "leaderboard.button": "الترتيب",
+    "leaderboard.title": "🏅 الترتيب",
+    "leaderboard.empty": "لم تنتهِ أي مباراة بعد.",
+    "leaderboard.player": "اللاعب",
+    "leaderboard.wins": "انتصارات",
+    "leaderboard.losses": "هزائم",
+    "leaderboard.draws": "تعادلات",
+    "leaderboard.rowTitle": "عرض آخر مبارياته",
+    "profile.result.win": "فوز",
+    "profile.result.loss": "خسارة",
+    "profile.result.draw": "تعادل",
+    "profile.game": "{date} · {result} ضد {opponent} ({variant}، {moves}) · {change}",
+    "profile.hints": {
+      one: "💡 تلميح واحد",
+      two: "💡 تلميحان",
+      few: "💡 {count} تلميحات",
+      many: "💡 {count} تلميحًا",
+      other: "💡 {count} تلميح",
+    },
+    "stats.resetConfirm": "هل أنت متأكد من إعادة ضبط الإحصائيات وتصنيف إيلو لجميع اللاعبين؟",
+    // Stats backup
+    "backup.format": "صيغة الملف",
+    "backup.fileName": "إحصائيات-الداما-{date}.{extension}",
+    "backup.export": "تصدير",
+    "backup.exportTitle": "حفظ الإحصائيات والأسماء والتفضيلات في ملف",
+    "backup.import": "استيراد",
+    "backup.importTitle": "تحميل الإحصائيات والأسماء والتفضيلات من ملف",
+    "backup.importConfirm": {
+      zero: "لا يحتوي الملف على أي لاعب. ستحل الأسماء والتفضيلات التي فيه محل ما في هذا الجهاز. هل تريد المتابعة؟",
+      one: "يحتوي الملف على لاعب واحد. ستحل الإحصائيات والأسماء والتفضيلات التي فيه محل ما في هذا الجهاز. هل تريد المتابعة؟",
+      two: "يحتوي الملف على لاعبَين. ستحل الإحصائيات والأسماء والتفضيلات التي فيه محل ما في هذا الجهاز. هل تريد المتابعة؟",
+      few: "يحتوي الملف على {count} لاعبين. ستحل الإحصائيات والأسماء والتفضيلات التي فيه محل ما في هذا الجهاز. هل تريد المتابعة؟",
+      many: "يحتوي الملف على {count} لاعبًا. ستحل الإحصائيات والأسماء والتفضيلات التي فيه محل ما في هذا الجهاز. هل تريد المتابعة؟",
+      other: "يحتوي الملف على {count} لاعب. ستحل الإحصائيات والأسماء والتفضيلات التي فيه محل ما في هذا الجهاز. هل تريد المتابعة؟",
+    },
+    "backup.mergeConfirm": {
+      zero: "لا يحتوي ملف CSV على أي لاعب. ستحل الأسماء والتفضيلات التي فيه محل ما في هذا الجهاز. هل تريد المتابعة؟",
+      one: "يحتوي ملف CSV على لاعب واحد. ستحل مجاميعه وتصنيفه محل ما لدى اللاعبين الذين يحملون الاسم نفسه في هذا الجهاز، مع الاحتفاظ بقوائم مبارياتهم، وستحل الأسماء والتفضيلات التي فيه محل ما في هذا الجهاز. هل تريد المتابعة؟",
+      two: "يحتوي ملف CSV على لاعبَين. ستحل مجاميعه وتصنيفه محل ما لدى اللاعبين الذين يحملون الاسم نفسه في هذا الجهاز، مع الاحتفاظ بقوائم مبارياتهم، وستحل الأسماء والتفضيلات التي فيه محل ما في هذا الجهاز. هل تريد المتابعة؟",
+      few: "يحتوي ملف CSV على {count} لاعبين. ستحل مجاميعه وتصنيفه محل ما لدى اللاعبين الذين يحملون الاسم نفسه في هذا الجهاز، مع الاحتفاظ بقوائم مبارياتهم، وستحل الأسماء والتفضيلات التي فيه محل ما في هذا الجهاز. هل تريد المتابعة؟",
+      many: "يحتوي ملف CSV على {count} لاعبًا. ستحل مجاميعه وتصنيفه محل ما لدى اللاعبين الذين يحملون الاسم نفسه في هذا الجهاز، مع الاحتفاظ بقوائم مبارياتهم، وستحل الأسماء والتفضيلات التي فيه محل ما في هذا الجهاز. هل تريد المتابعة؟",
+      other: "يحتوي ملف CSV على {count} لاعب. ستحل مجاميعه وتصنيفه محل ما لدى اللاعبين الذين يحملون الاسم نفسه في هذا الجهاز، مع الاحتفاظ بقوائم مبارياتهم، وستحل الأسماء والتفضيلات التي فيه محل ما في هذا الجهاز. هل تريد المتابعة؟",
+    },
+    "backup.imported": {
+      zero: "تم استيراد الأسماء والتفضيلات، دون أي لاعب.",
+      one: "تم استيراد لاعب واحد بإحصائياته، مع الأسماء والتفضيلات.",
+      two: "تم استيراد لاعبَين بإحصائياتهما، مع الأسماء والتفضيلات.",
+      few: "تم استيراد {count} لاعبين بإحصائياتهم، مع الأسماء والتفضيلات.",
+      many: "تم استيراد {count} لاعبًا بإحصائياتهم، مع الأسماء والتفضيلات.",
+      other: "تم استيراد {count} لاعب بإحصائياتهم، مع الأسماء والتفضيلات.",
+    },
+    "backup.importFailed": "تعذر استيراد الملف.",
+    "backup.invalidJson": "ملف JSON تالف.",
+    "backup.notBackup": "الملف ليس نسخة من إحصائيات اللعبة.",
+    "backup.newerVersion": "الملف من إصدار أحدث من اللعبة.",
+    "backup.badProfiles": "الإحصائيات في الملف تالفة.",
+    "backup.badCsvRow": "الصف {line} من ملف CSV غير معروف.",
+  },
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { MESSAGES };
+}
@@ -0,0 +1,345 @@
+// ===== Move Generator =====
+// Legal move generation for the rules engine on a compact board: only the
+// playable squares, numbered 0 to N-1 in notation order (square number
+// minus one), in an Int8Array holding 0 for an empty square, 1 or 2 for a
+// red man or king and -1 or -2 for a black man or king. The diagonals from
+// every square are worked out once per variant, so generating moves never
+// walks light or off-board squares and never copies a board. Nothing is
+// kept between calls and the board passed in is left as it was.
+//
+// Squares are array slots rather than bits: the 10x10 board has 50
+// playable squares, more than the 32 bits JavaScript's bitwise operators
+// work on.
+//
+// A move is { from, to, landings, captured, capturedPieces, piece, promoted }:
+// landings lists every square the piece lands on, captured the squares of
+// the pieces it takes, in order, and capturedPieces what stood on them, so
+// a move can be made and unmade in place.
+const RED_MAN = 1;
+const RED_KING = 2;
+const BLACK_MAN = -1;
+const BLACK_KING = -2;
+
+// [row step, col step]; red men move along the first two, black men the last two
+const DIRECTIONS = [
+  [-1, -1],
+  [-1, 1],
+  [1, -1],
+  [1, 1],
+];
+const ALL_DIRECTIONS = [0, 1, 2, 3];
+const FORWARD_DIRECTIONS = { 1: [0, 1], [-1]: [2, 3] };
+
+class MoveGenerator {
+  constructor(rules) {
+    this.rules = rules;
+    this.size = rules.size;
+
+    // Row and column of every square, and the square on every (row, col)
+    this.rows = [];
+    this.cols = [];
+    this.squareAt = [];
+    for (let row = 0; row < this.size; row++) {
+      this.squareAt[row] = [];
+      for (let col = 0; col < this.size; col++) {
+        const dark = (row + col) % 2 === rules.darkParity;
+        this.squareAt[row][col] = dark ? this.rows.length : -1;
+        if (dark) {
+          this.rows.push(row);
+          this.cols.push(col);
+        }
+      }
+    }
+    this.count = this.rows.length;
+
+    // rays[square][direction]: the squares along that diagonal, nearest first
+    this.rays = this.rows.map((row, square) =>
+      DIRECTIONS.map(([dRow, dCol]) => {
+        const ray = [];
+        let r = row + dRow;
+        let c = this.cols[square] + dCol;
+        while (r >= 0 && r < this.size && c >= 0 && c < this.size) {
+          ray.push(this.squareAt[r][c]);
+          r += dRow;
+          c += dCol;
+        }
+        return ray;
+      })
+    );
+
+    // Crowning row of each side, by colour sign
+    this.lastRow = {
+      1: this.rows.map((row) => row === 0),
+      [-1]: this.rows.map((row) => row === this.size - 1),
+    };
+
+    // Pieces taken so far in the capture being followed (see extendCapture)
+    this.jumped = new Uint8Array(this.count);
+  }
+
+  // ===== Board Conversion =====
+  fromBoard(board) {
+    const squares = new Int8Array(this.count);
+    for (let square = 0; square < this.count; square++) {
+      const piece = board[this.rows[square]][this.cols[square]];
+      if (piece) {
+        squares[square] = (piece.color === "red" ? 1 : -1) * (piece.king ? 2 : 1);
+      }
+    }
+    return squares;
+  }
+
+  // A move as the engine's steps ({ fromRow, fromCol, move }), one per landing
+  toSteps(move) {
+    let from = move.from;
+    return move.landings.map((landing, i) => {
+      const capture = move.captured.length > 0 ? move.captured[i] : -1;
+      const step = {
+        fromRow: this.rows[from],
+        fromCol: this.cols[from],
+        move: {
+          row: this.rows[landing],
+          col: this.cols[landing],
+          capture: capture === -1 ? null : { row: this.rows[capture], col: this.cols[capture] },
+        },
+      };
+      from = landing;
+      return step;
+    });
+  }
+
+  // ===== Generation =====
+  // Every legal move for player ("red" or "black"): complete capture
+  // sequences (only the best ones under a majority rule), then plain slides
+  generate(squares, player) {
+    const sign = player === "red" ? 1 : -1;
+    let captures = [];
+    for (let square = 0; square < this.count; square++) {
+      if (squares[square] * sign > 0) {
+        this.addCaptures(squares, square, captures);
+      }
+    }
+
+    if (captures.length > 0 && this.rules.maximumCapture !== "none") {
+      captures = this.keepBestCaptures(captures);
+    }
+    if (captures.length > 0 && this.rules.mandatoryCapture) return captures;
+
+    const slides = [];
+    for (let square = 0; square < this.count; square++) {
+      if (squares[square] * sign > 0) {
+        this.addSlides(squares, square, slides);
+      }
+    }
+    return captures.concat(slides);
+  }
+
+  addSlides(squares, from, moves) {
+    const piece = squares[from];
+    const sign = Math.sign(piece);
+    const king = piece === RED_KING || piece === BLACK_KING;
+    // Flying kings slide any distance, everything else steps one square
+    const flying = king && this.rules.flyingKings;
+
+    for (const direction of king ? ALL_DIRECTIONS : FORWARD_DIRECTIONS[sign]) {
+      for (const to of this.rays[from][direction]) {
+        if (squares[to] !== 0) break;
+        moves.push({
+          from,
+          to,
+          landings: [to],
+          captured: [],
+          capturedPieces: [],
+          piece,
+          promoted: !king && this.lastRow[sign][to],
+        });
+        if (!flying) break;
+      }
+    }
+  }
+
+  // Every complete capture sequence of the piece on from. Pieces are only
+  // removed once the sequence is over: until then they block the way and
+  // cannot be jumped a second time.
+  addCaptures(squares, from, moves) {
+    const piece = squares[from];
+    const king = piece === RED_KING || piece === BLACK_KING;
+    const path = { from, piece, king, landings: [], captured: [], capturedPieces: [], moves };
+
+    // The moving piece leaves its square, which it may pass over or land on
+    squares[from] = 0;
+    this.extendCapture(squares, from, king, path);
+    squares[from] = piece;
+  }
+
+  // Follows every jump from square; returns whether there was one
+  extendCapture(squares, square, king, path) {
+    const sign = Math.sign(path.piece);
+    const flying = king && this.rules.flyingKings;
+    const directions = king || this.rules.menCaptureBackward ? ALL_DIRECTIONS : FORWARD_DIRECTIONS[sign];
+    const { promotionInCapture } = this.rules;
+    let jumpedAny = false;
+
+    for (const direction of directions) {
+      const ray = this.rays[square][direction];
+
+      // Only flying kings can jump a distant piece
+      let i = 0;
+      if (flying) {
+        while (i < ray.length && squares[ray[i]] === 0) i++;
+      }
+      if (i >= ray.length) continue;
+      const victim = ray[i];
+      const value = squares[victim];
+      if (value * sign >= 0 || this.jumped[victim]) continue;
+
+      for (let j = i + 1; j < ray.length && squares[ray[j]] === 0; j++) {
+        const landing = ray[j];
+        jumpedAny = true;
+        this.jumped[victim] = 1;
+        path.landings.push(landing);
+        path.captured.push(victim);
+        path.capturedPieces.push(value);
+
+        const reachedLastRow = !king && this.lastRow[sign][landing];
+        if (reachedLastRow && promotionInCapture === "stop") {
+          this.recordCapture(path);
+        } else {
+          const nextKing = king || (reachedLastRow && promotionInCapture === "continue");
+          // Nothing left to jump: the sequence ends here
+          if (!this.extendCapture(squares, landing, nextKing, path)) {
+            this.recordCapture(path);
+          }
+        }
+
+        path.landings.pop();
+        path.captured.pop();
+        path.capturedPieces.pop();
+        this.jumped[victim] = 0;
+        if (!flying) break;
+      }
+    }
+    return jumpedAny;
+  }
+
+  // Crowned on ending the turn on the last row, or on touching it during a
+  // capture where the variant crowns the man straight away
+  recordCapture(path) {
+    const sign = Math.sign(path.piece);
+    const to = path.landings[path.landings.length - 1];
+    const promoted =
+      !path.king &&
+      (this.lastRow[sign][to] ||
+        (this.rules.promotionInCapture === "continue" && path.landings.some((landing) => this.lastRow[sign][landing])));
+    path.moves.push({
+      from: path.from,
+      to,
+      landings: [...path.landings],
+      captured: [...path.captured],
+      capturedPieces: [...path.capturedPieces],
+      piece: path.piece,
+      promoted,
+    });
+  }
+
+  // ===== Maximum Capture =====
+  // The sequences taking the most pieces; under the quality rule kings only
+  // decide between sequences that take the same number
+  keepBestCaptures(captures) {
+    const quality = this.rules.maximumCapture === "quality";
+    const ranks = captures.map((move) => {
+      const kings = quality ? move.capturedPieces.filter((value) => value === RED_KING || value === BLACK_KING).length : 0;
+      return move.captured.length * 100 + kings;
+    });
+    const best = Math.max(...ranks);
+    return captures.filter((move, index) => ranks[index] === best);
+  }
+
+  // ===== Quick Checks =====
+  // Whether the piece on from can take something, without following the sequence
+  canCapture(squares, from) {
+    const piece = squares[from];
+    const sign = Math.sign(piece);
+    const king = piece === RED_KING || piece === BLACK_KING;
+    const flying = king && this.rules.flyingKings;
+    const directions = king || this.rules.menCaptureBackward ? ALL_DIRECTIONS : FORWARD_DIRECTIONS[sign];
+
+    for (const direction of directions) {
+      const ray = this.rays[from][direction];
+      let i = 0;
+      if (flying) {
+        while (i < ray.length && squares[ray[i]] === 0) i++;
+      }
+      if (i + 1 < ray.length && squares[ray[i]] * sign < 0 && squares[ray[i + 1]] === 0) return true;
+    }
+    return false;
+  }
+
+  canSlide(squares, from) {
+    const piece = squares[from];
+    const king = piece === RED_KING || piece === BLACK_KING;
+    for (const direction of king ? ALL_DIRECTIONS : FORWARD_DIRECTIONS[Math.sign(piece)]) {
+      const ray = this.rays[from][direction];
+      if (ray.length > 0 && squares[ray[0]] === 0) return true;
+    }
+    return false;
+  }
+
+  hasCapture(squares, player) {
+    const sign = player === "red" ? 1 : -1;
+    for (let square = 0; square < this.count; square++) {
+      if (squares[square] * sign > 0 && this.canCapture(squares, square)) return true;
+    }
+    return false;
+  }
+
+  hasMoves(squares, player) {
+    const sign = player === "red" ? 1 : -1;
+    for (let square = 0; square < this.count; square++) {
+      if (squares[square] * sign > 0 && (this.canSlide(squares, square) || this.canCapture(squares, square))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // ===== Making Moves =====
+  // In place, for searches; unmakeMove puts the board back exactly
+  makeMove(squares, move) {
+    squares[move.from] = 0;
+    for (const square of move.captured) {
+      squares[square] = 0;
+    }
+    squares[move.to] = move.promoted ? Math.sign(move.piece) * 2 : move.piece;
+  }
+
+  unmakeMove(squares, move) {
+    squares[move.to] = 0;
+    move.captured.forEach((square, i) => {
+      squares[square] = move.capturedPieces[i];
+    });
+    squares[move.from] = move.piece;
+  }
+
+  // ===== Perft =====
+  // Number of move sequences depth turns long, the standard check that a
+  // move generator matches the rules (see perft.js)
+  perft(squares, player, depth) {
+    if (depth === 0) return 1;
+    const moves = this.generate(squares, player);
+    if (depth === 1) return moves.length;
+
+    const next = player === "red" ? "black" : "red";
+    let nodes = 0;
+    for (const move of moves) {
+      this.makeMove(squares, move);
+      nodes += this.perft(squares, next, depth - 1);
+      this.unmakeMove(squares, move);
+    }
+    return nodes;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { MoveGenerator, RED_MAN, RED_KING, BLACK_MAN, BLACK_KING };
+}
@@ -0,0 +1,392 @@
+// ===== Draughts Notation =====
+// Square numbering, FEN position strings and PDN (Portable Draughts
+// Notation) games on top of CheckersEngine.
+//
+// Playable squares are numbered row by row from the top, left to right
+// (1-32 on 8x8, 1-50 on 10x10), so on 8x8 black starts on 1-12 and red on
+// 21-32. In FEN
+// and PDN red plays as White ("W") and black as Black ("B").
+
+const PDN_RESULTS = {
+  red: "2-0",
+  black: "0-2",
+  draw: "1-1",
+  ongoing: "*",
+};
+
+class NotationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "NotationError";
+    Object.assign(this, details);
+  }
+}
+
+// Variant table: a global in the page, required from the engine under Node
+const NOTATION_VARIANTS =
+  typeof module !== "undefined" && module.exports ? require("./engine.js").VARIANTS : VARIANTS;
+// Translations (see i18n.js), the same way
+const { t: notationText } =
+  typeof module !== "undefined" && module.exports ? require("./i18n.js") : { t };
+
+// The PDN standard reads a game without a GameType tag as international
+// draughts
+const PDN_DEFAULT_GAME_TYPE = "20";
+
+// Variant id for a PDN GameType tag ("20" or "20,W,10,10,N2,0"), or null
+function variantForGameType(gameType = PDN_DEFAULT_GAME_TYPE) {
+  const number = String(gameType).split(",")[0].trim();
+  const variant = Object.values(NOTATION_VARIANTS).find((v) => v.pdnGameType === number);
+  return variant ? variant.id : null;
+}
+
+class DraughtsNotation {
+  constructor(engine) {
+    this.engine = engine;
+  }
+
+  // ===== Square Numbering =====
+  get squaresPerRow() {
+    return this.engine.size / 2;
+  }
+
+  get squareCount() {
+    return this.engine.size * this.squaresPerRow;
+  }
+
+  squareNumber(row, col) {
+    return row * this.squaresPerRow + Math.floor(col / 2) + 1;
+  }
+
+  squarePosition(number) {
+    const index = number - 1;
+    const row = Math.floor(index / this.squaresPerRow);
+    const col = (index % this.squaresPerRow) * 2 + ((row + this.engine.rules.darkParity) % 2);
+    return { row, col };
+  }
+
+  isValidSquare(number) {
+    return Number.isInteger(number) && number >= 1 && number <= this.squareCount;
+  }
+
+  // ===== FEN =====
+  // e.g. "W:W21,22,K30:B1,2,K9" (side to move, then each side's pieces)
+  toFEN(state) {
+    const pieces = { red: [], black: [] };
+    for (let row = 0; row < this.engine.size; row++) {
+      for (let col = 0; col < this.engine.size; col++) {
+        const piece = state.board[row][col];
+        if (piece) {
+          pieces[piece.color].push(`${piece.king ? "K" : ""}${this.squareNumber(row, col)}`);
+        }
+      }
+    }
+
+    const turn = state.currentPlayer === "black" ? "B" : "W";
+    return `${turn}:W${pieces.red.join(",")}:B${pieces.black.join(",")}`;
+  }
+
+  parseFEN(fen) {
+    const text = String(fen).trim().replace(/^"|"$/g, "").replace(/\.$/, "");
+    const fields = text.split(":").map((field) => field.trim());
+    if (fields.length < 3 || !/^[WB]$/i.test(fields[0])) {
+      throw new NotationError(notationText("notation.invalidFen", { fen }));
+    }
+
+    const board = this.engine.createInitialBoard().map((row) => row.map(() => null));
+
+    for (const field of fields.slice(1)) {
+      if (field === "") continue;
+      const side = field[0].toUpperCase();
+      if (side !== "W" && side !== "B") {
+        throw new NotationError(notationText("notation.unknownColor", { color: field[0] }));
+      }
+      const color = side === "W" ? "red" : "black";
+
+      for (const token of field.slice(1).split(",")) {
+        if (token.trim() === "") continue;
+        const match = token.trim().match(/^(K?)(\d+)(?:-(\d+))?$/i);
+        if (!match) {
+          throw new NotationError(notationText("notation.badSquare", { token }));
+        }
+
+        const first = Number(match[2]);
+        const last = match[3] ? Number(match[3]) : first;
+        for (let number = first; number <= last; number++) {
+          if (!this.isValidSquare(number)) {
+            throw new NotationError(notationText("notation.fenNoSquare", { square: number }));
+          }
+          const { row, col } = this.squarePosition(number);
+          board[row][col] = { color, king: match[1] !== "" };
+        }
+      }
+    }
+
+    return {
+      board,
+      currentPlayer: fields[0].toUpperCase() === "B" ? "black" : "red",
+      quietMoves: 0,
+    };
+  }
+
+  // Standard opening position with the variant's first player to move
+  isStartingPosition(state) {
+    return this.toFEN(state) === this.toFEN(this.engine.createInitialState());
+  }
+
+  // ===== Move Text =====
+  // Starting square followed by every landing square
+  turnSquares(turn) {
+    const first = turn.steps[0];
+    return [
+      this.squareNumber(first.fromRow, first.fromCol),
+      ...turn.steps.map((step) => this.squareNumber(step.move.row, step.move.col)),
+    ];
+  }
+
+  // "11-15" for a slide, "22x15x6" for a capture with every landing square
+  turnToText(turn) {
+    const isCapture = turn.steps.some((step) => step.move.capture);
+    return this.turnSquares(turn).join(isCapture ? "x" : "-");
+  }
+
+  parseMoveText(text) {
+    const match = text.match(/^(\d+)((?:[-x]\d+)+)$/i);
+    if (!match) return null;
+
+    const squares = text.split(/[-x]/i).map(Number);
+    return { squares, capture: /x/i.test(text) };
+  }
+
+  // Finds the legal turn that a move text describes, or explains why none does
+  findTurn(state, text) {
+    const parsed = this.parseMoveText(text);
+    if (!parsed) {
+      throw new NotationError(notationText("notation.unrecognized"));
+    }
+
+    for (const number of parsed.squares) {
+      if (!this.isValidSquare(number)) {
+        throw new NotationError(notationText("notation.noSquare", { square: number }));
+      }
+    }
+
+    const from = parsed.squares[0];
+    const to = parsed.squares[parsed.squares.length - 1];
+    const { row, col } = this.squarePosition(from);
+    const piece = state.board[row][col];
+
+    if (!piece) {
+      throw new NotationError(notationText("notation.emptySquare", { square: from }));
+    }
+    if (piece.color !== state.currentPlayer) {
+      throw new NotationError(
+        notationText("notation.notYourPiece", { square: from, color: notationText(`color.${state.currentPlayer}`) })
+      );
+    }
+
+    const turns = this.engine.generateTurns(state);
+    const fromPiece = turns.filter((turn) => this.turnSquares(turn)[0] === from);
+
+    // "15x24" may stand for a whole multi-jump; a longer path must match exactly
+    const candidates = fromPiece.filter((turn) => {
+      const squares = this.turnSquares(turn);
+      if (parsed.squares.length === 2) {
+        return squares[squares.length - 1] === to;
+      }
+      return squares.join(",") === parsed.squares.join(",");
+    });
+
+    if (candidates.length === 1) return candidates[0];
+
+    if (candidates.length > 1) {
+      throw new NotationError(notationText("notation.ambiguous"));
+    }
+
+    if (this.engine.mustCapture(state)) {
+      const { maximumCapture } = this.engine.rules;
+      const majorityReason =
+        maximumCapture === "quality"
+          ? notationText("notation.majorityQuality")
+          : notationText("notation.majority");
+      const canCapture = this.engine.canCapture(state.board, row, col);
+
+      if (fromPiece.length === 0) {
+        if (maximumCapture !== "none" && canCapture) {
+          throw new NotationError(majorityReason);
+        }
+        throw new NotationError(notationText("notation.mustCaptureWith", { square: from }));
+      }
+      const partial = fromPiece.find((turn) => this.turnSquares(turn).slice(1).includes(to));
+      if (partial) {
+        throw new NotationError(notationText("notation.incompleteCapture"));
+      }
+      if (maximumCapture !== "none" && parsed.capture) {
+        throw new NotationError(majorityReason);
+      }
+      throw new NotationError(notationText("notation.mustCapture"));
+    }
+
+    if (parsed.capture) {
+      throw new NotationError(notationText("notation.cannotCapture", { from, to }));
+    }
+    throw new NotationError(notationText("notation.cannotMove", { from, to }));
+  }
+
+  // ===== PDN Export =====
+  // game: { initialState, turns, white, black, result, event }, where each
+  // turn carries its steps in the shape generateTurns produces; the Event
+  // tag is left out without an event
+  exportPDN(game) {
+    const today = new Date();
+    const pad = (n) => String(n).padStart(2, "0");
+    const tags = {
+      Event: game.event,
+      Date: `${today.getFullYear()}.${pad(today.getMonth() + 1)}.${pad(today.getDate())}`,
+      White: game.white,
+      Black: game.black,
+      Result: game.result,
+      GameType: this.engine.rules.pdnGameType,
+    };
+    if (!game.event) {
+      delete tags.Event;
+    }
+    if (!this.isStartingPosition(game.initialState)) {
+      tags.FEN = this.toFEN(game.initialState);
+    }
+
+    const lines = Object.entries(tags).map(
+      ([name, value]) => `[${name} "${String(value).replace(/"/g, "'")}"]`
+    );
+
+    // Move numbers count pairs of turns starting from whoever moved first
+    const tokens = [];
+    game.turns.forEach((turn, index) => {
+      if (index % 2 === 0) tokens.push(`${index / 2 + 1}.`);
+      tokens.push(this.turnToText(turn));
+    });
+    tokens.push(game.result);
+
+    return `${lines.join("\n")}\n\n${this.wrap(tokens)}\n`;
+  }
+
+  wrap(tokens, width = 80) {
+    const lines = [];
+    let line = "";
+    for (const token of tokens) {
+      if (line && line.length + token.length + 1 > width) {
+        lines.push(line);
+        line = token;
+      } else {
+        line = line ? `${line} ${token}` : token;
+      }
+    }
+    if (line) lines.push(line);
+    return lines.join("\n");
+  }
+
+  // ===== PDN Import =====
+  // Tag pairs of the first game, e.g. { White: "Ana", GameType: "20" }
+  parseTags(text) {
+    return this.splitTags(text).tags;
+  }
+
+  splitTags(text) {
+    const tags = {};
+    const body = String(text).replace(/\[(\w+)\s+"([^"]*)"\]/g, (match, name, value) => {
+      if (!(name in tags)) tags[name] = value;
+      return " ";
+    });
+    return { tags, body };
+  }
+
+  // Reads the first game of a PDN text and replays every move through the
+  // engine. Returns { tags, initialState, turns, finalState, result } or
+  // throws a NotationError naming the offending move.
+  importPDN(text) {
+    const { tags, body } = this.splitTags(text);
+
+    if (variantForGameType(tags.GameType) !== this.engine.rules.id) {
+      throw new NotationError(notationText("notation.otherVariant", { gameType: tags.GameType || PDN_DEFAULT_GAME_TYPE }));
+    }
+
+    const initialState = tags.FEN
+      ? this.parseFEN(tags.FEN)
+      : this.engine.createInitialState();
+
+    const tokens = this.stripComments(body).split(/\s+/).filter(Boolean);
+    const resultTokens = ["2-0", "0-2", "1-1", "1-0", "0-1", "1/2-1/2", "0-0", "*"];
+
+    let state = initialState;
+    let result = tags.Result || PDN_RESULTS.ongoing;
+    const turns = [];
+
+    for (const rawToken of tokens) {
+      if (resultTokens.includes(rawToken)) {
+        result = rawToken;
+        break; // Anything after the result belongs to the next game
+      }
+
+      // Move numbers may be glued to the move ("1.11-15") and moves may
+      // carry annotation marks ("11-15!")
+      const token = rawToken.replace(/^\d+\.+/, "").replace(/[!?]+$/, "");
+      if (token === "" || /^\$\d+$/.test(token)) continue;
+
+      try {
+        const turn = this.findTurn(state, token);
+        turns.push(turn);
+        state = turn.state;
+      } catch (error) {
+        if (!(error instanceof NotationError)) throw error;
+        const moveNumber = Math.floor(turns.length / 2) + 1;
+        const color = notationText(`color.${state.currentPlayer}`);
+        throw new NotationError(
+          notationText("notation.invalidMove", { number: moveNumber, color, move: token, error: error.message }),
+          { moveNumber, moveText: token, ply: turns.length }
+        );
+      }
+    }
+
+    return { tags, initialState, turns, finalState: state, result };
+  }
+
+  // Removes {comments}, (variations) and ; line comments
+  stripComments(body) {
+    let output = "";
+    let braces = 0;
+    let parens = 0;
+    for (const line of body.split("\n")) {
+      let inLineComment = false;
+      for (const char of line) {
+        if (braces > 0) {
+          if (char === "}") braces--;
+          continue;
+        }
+        if (char === "{") {
+          braces++;
+          continue;
+        }
+        if (inLineComment) continue;
+        if (char === ";" && parens === 0) {
+          inLineComment = true;
+          continue;
+        }
+        if (char === "(") {
+          parens++;
+          continue;
+        }
+        if (char === ")" && parens > 0) {
+          parens--;
+          continue;
+        }
+        if (parens === 0) output += char;
+      }
+      output += "\n";
+    }
+    return output;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { DraughtsNotation, NotationError, PDN_RESULTS, PDN_DEFAULT_GAME_TYPE, variantForGameType };
+}
@@ -0,0 +1,100 @@
+// ===== Online Play =====
+// Browser side of server.js. Keeps a WebSocket open to the server and,
+// after a dropped connection, reconnects and takes the player's seat back
+// with the token the server handed out. The session is kept for the tab,
+// so a reload can rejoin the same room too.
+const ONLINE_SESSION_KEY = "checkersOnline";
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000];
+
+class OnlineClient {
+  // handlers: { onMessage(message), onStatus("connecting" | "connected" | "reconnecting") }
+  constructor(url, handlers) {
+    this.url = url;
+    this.handlers = handlers;
+    this.socket = null;
+    this.session = null; // { room, token } once seated
+    this.attempts = 0;
+    this.reconnectTimer = null;
+    this.closed = false;
+  }
+
+  // hello is the create or join message sent on the first connection
+  start(hello) {
+    this.hello = hello;
+    this.connect();
+  }
+
+  get connected() {
+    return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  connect() {
+    this.handlers.onStatus(this.attempts === 0 ? "connecting" : "reconnecting");
+    this.socket = new WebSocket(this.url);
+
+    this.socket.onopen = () => {
+      this.attempts = 0;
+      this.handlers.onStatus("connected");
+      // After a drop, rejoin the same seat instead of repeating the hello
+      this.send(
+        this.session
+          ? { type: "join", room: this.session.room, token: this.session.token, name: this.hello.name }
+          : this.hello
+      );
+    };
+
+    this.socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        return;
+      }
+      if (message.type === "joined") {
+        this.session = { room: message.room, token: message.token };
+        OnlineClient.saveSession({ url: this.url, ...this.session });
+      }
+      this.handlers.onMessage(message);
+    };
+
+    this.socket.onclose = () => {
+      if (this.closed) return;
+      this.handlers.onStatus("reconnecting");
+      const delay = RECONNECT_DELAYS[Math.min(this.attempts, RECONNECT_DELAYS.length - 1)];
+      this.attempts++;
+      this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    };
+  }
+
+  // Messages can't be queued: while disconnected the board is locked and
+  // the server sends the whole game again on rejoining
+  send(message) {
+    if (this.connected) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.socket) this.socket.close();
+    OnlineClient.clearSession();
+  }
+
+  // ===== Saved Session =====
+  static loadSession() {
+    try {
+      return JSON.parse(sessionStorage.getItem(ONLINE_SESSION_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static saveSession(session) {
+    sessionStorage.setItem(ONLINE_SESSION_KEY, JSON.stringify(session));
+  }
+
+  static clearSession() {
+    sessionStorage.removeItem(ONLINE_SESSION_KEY);
+  }
+}
@@ -0,0 +1,121 @@
+// ===== Perft =====
+// Counts every sequence of turns of a given length from a position with
+// the move generator (movegen.js). Matching known counts is the standard
+// proof that a generator follows the rules; perft.json holds the ones this
+// engine must reproduce, each with its source:
+//   published   counted by other programs; only the English and
+//               international starting positions have them
+//   hand        small positions counted on a board, move by move
+//   regression  counted by the engine's first generator, which walked the
+//               board objects square by square. They catch a change in
+//               what the generator does, not a rule it always got wrong:
+//               the rules themselves are checked by the hand counts and by
+//               engine.test.js.
+//
+//   node perft.js --check                       every position in perft.json
+//   node perft.js english 7                     from the starting position
+//   node perft.js spanish 5 "W:WK19,29:B14,K15"
+//   node perft.js international 3 --divide      nodes under every first turn
+
+const fs = require("fs");
+const path = require("path");
+const { CheckersEngine, VARIANTS } = require("./engine.js");
+const { DraughtsNotation, NotationError } = require("./notation.js");
+
+const PERFT_FILE = path.join(__dirname, "perft.json");
+const USAGE = `Usage: node perft.js --check
+       node perft.js <${Object.keys(VARIANTS).join("|")}> <depth> [fen] [--divide]`;
+
+// Squares and side to move of a FEN, or of the variant's starting position
+function loadPosition(engine, fen) {
+  const state = fen ? new DraughtsNotation(engine).parseFEN(fen) : engine.createInitialState();
+  return { squares: engine.generator.fromBoard(state.board), player: state.currentPlayer };
+}
+
+function timed(callback) {
+  const start = Date.now();
+  const result = callback();
+  return { result, seconds: ((Date.now() - start) / 1000).toFixed(2) };
+}
+
+// Checks every count in perft.json; returns whether all of them match
+function checkAll() {
+  const { positions } = JSON.parse(fs.readFileSync(PERFT_FILE, "utf8"));
+  let failures = 0;
+
+  for (const position of positions) {
+    const engine = new CheckersEngine(position.variant);
+    const { squares, player } = loadPosition(engine, position.fen);
+    const { result: mismatch, seconds } = timed(() => {
+      for (let depth = 1; depth <= position.counts.length; depth++) {
+        const nodes = engine.generator.perft(squares, player, depth);
+        if (nodes !== position.counts[depth - 1]) {
+          return `depth ${depth}: expected ${position.counts[depth - 1]}, got ${nodes}`;
+        }
+      }
+      return null;
+    });
+
+    if (mismatch) {
+      failures++;
+      console.log(`FAIL  ${position.name} (${position.source}, ${mismatch})`);
+    } else {
+      console.log(`ok    ${position.name} (${position.source}, depth ${position.counts.length}, ${seconds} s)`);
+    }
+  }
+
+  console.log(failures === 0 ? `All ${positions.length} positions match` : `${failures} of ${positions.length} positions differ`);
+  return failures === 0;
+}
+
+// Counts from depth 1 up, or with divide only at depth, split by first turn
+function run(variant, depth, fen, divide) {
+  const engine = new CheckersEngine(variant);
+  const { squares, player } = loadPosition(engine, fen);
+  const generator = engine.generator;
+
+  if (!divide) {
+    for (let d = 1; d <= depth; d++) {
+      const { result, seconds } = timed(() => generator.perft(squares, player, d));
+      console.log(`depth ${d}: ${result} (${seconds} s)`);
+    }
+    return;
+  }
+
+  const notation = new DraughtsNotation(engine);
+  const next = player === "red" ? "black" : "red";
+  let total = 0;
+  for (const move of generator.generate(squares, player)) {
+    generator.makeMove(squares, move);
+    const nodes = generator.perft(squares, next, depth - 1);
+    generator.unmakeMove(squares, move);
+    total += nodes;
+    console.log(`${notation.turnToText({ steps: generator.toSteps(move) })}: ${nodes}`);
+  }
+  console.log(`total: ${total}`);
+}
+
+function main(args) {
+  if (args.includes("--check")) {
+    return checkAll() ? 0 : 1;
+  }
+
+  const divide = args.includes("--divide");
+  const [variant, depthText, fen] = args.filter((arg) => arg !== "--divide");
+  const depth = Number(depthText);
+  if (!VARIANTS[variant] || !Number.isInteger(depth) || depth < 1) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  try {
+    run(variant, depth, fen, divide);
+  } catch (error) {
+    if (!(error instanceof NotationError)) throw error;
+    console.error(error.message);
+    return 1;
+  }
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
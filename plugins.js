@@ -0,0 +1,204 @@
+// ===== Game Events and Plugins =====
+// Loggers, sound packs, overlays and bots hook into CheckersGame through
+// its events and a plugin API instead of patching its methods.
+//
+// A plugin is { name, install(api) }, registered with registerPlugin from
+// a script loaded after this one; it is installed into the game as soon
+// as there is one. api (see PluginAPI) subscribes to events, reads the
+// game state, plays moves and adds buttons next to the game controls.
+//
+// Events, in the order a turn fires them. A square is { row, col,
+// square } with square its number in the notation; player, winner and
+// loser are "red" or "black".
+//   multiCaptureContinue  { player, from, to, captured, next }
+//       a capture step was entered and the same piece must take again;
+//       next lists the landing squares it can go on to
+//   capture     { player, square, piece }
+//       once per piece taken by the turn, piece being { color, king }
+//   promotion   { player, square }
+//   move        { player, from, to, path, captured, promoted, notation, ply }
+//       a whole turn, path listing every square it passed through and ply
+//       numbering turns from 0, as the online protocol does
+//   turnChange  { player, previous }
+//       player is now to move (not fired when the turn ended the game)
+//   draw        { reason, description }
+//       reason: "repetition", "moveLimit", "insufficientMaterial" or "agreement"
+//   gameOver    { winner, loser, winnerName, reason }
+//       every finished game; winner and loser are null for a draw, reason
+//       is "time" for a win on time, the draw reason for a draw, and null
+//       when the loser has no piece or move left
+//   reset       { variant, startingPlayer }
+//       a new game was set up
+//   historyChange  { action, turns, pendingSteps }
+//       turns were taken back or replaced rather than played, so no other
+//       event tells of them: action is "undo", "redo", "takeBack" (steps
+//       of a capture being entered were taken back, pendingSteps of them
+//       are left) or "load" (a saved, imported or online game took the
+//       place of the history). turns is the number of turns played now;
+//       getState gives the new position.
+const GAME_EVENTS = [
+  "move",
+  "capture",
+  "multiCaptureContinue",
+  "promotion",
+  "turnChange",
+  "gameOver",
+  "draw",
+  "reset",
+  "historyChange",
+];
+
+// Notation errors: a global in the page, required under Node
+const { NotationError: PluginNotationError } =
+  typeof module !== "undefined" && module.exports ? require("./notation.js") : { NotationError };
+
+class PluginError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PluginError";
+  }
+}
+
+class GameEvents {
+  constructor() {
+    this.listeners = {};
+  }
+
+  // Returns a function that unsubscribes the listener again
+  on(type, listener) {
+    if (!GAME_EVENTS.includes(type)) {
+      throw new PluginError(`Unknown game event "${type}"; events are ${GAME_EVENTS.join(", ")}`);
+    }
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter((l) => l !== listener);
+  }
+
+  // A failing listener is reported but never stops the game or the others
+  emit(type, payload) {
+    for (const listener of this.listeners[type] || []) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+}
+
+// What a plugin gets to work with; the game itself stays out of reach
+class PluginAPI {
+  // Private, so a plugin can't reach the game through api.game
+  #game;
+  #plugin;
+
+  constructor(game, plugin) {
+    this.#game = game;
+    this.#plugin = plugin;
+  }
+
+  on(type, listener) {
+    return this.#game.events.on(type, listener);
+  }
+
+  off(type, listener) {
+    this.#game.events.off(type, listener);
+  }
+
+  // A copy of the position and the game around it, safe to keep or change
+  getState() {
+    const game = this.#game;
+    const state = game.getState();
+    return {
+      variant: game.engine.rules.id,
+      board: game.engine.cloneBoard(state.board),
+      currentPlayer: state.currentPlayer,
+      fen: game.notation.toFEN(state),
+      players: { red: game.players.red.name, black: game.players.black.name },
+      moves: game.history.map((entry) => game.notation.turnToText(entry)),
+      gameOver: game.gameOver,
+      result: game.result ? { ...game.result } : null,
+    };
+  }
+
+  // Every legal turn for the side to move, as move texts ("22x15x6")
+  getLegalMoves() {
+    const game = this.#game;
+    return game.engine.getLegalPaths(game.getState()).map((steps) => game.notation.turnToText({ steps }));
+  }
+
+  // Plays a turn given as a move text for the side to move
+  playMove(text) {
+    const game = this.#game;
+    if (game.editing || game.isBoardLocked() || game.pathSteps.length > 0) {
+      throw new PluginError("The game is not waiting for a move");
+    }
+    let turn;
+    try {
+      turn = game.notation.findTurn(game.getState(), text);
+    } catch (error) {
+      if (!(error instanceof PluginNotationError)) throw error;
+      throw new PluginError(error.message);
+    }
+    game.deselectPiece();
+    game.playTurn(turn.steps);
+  }
+
+  // Adds a button to the game controls; returns it so the plugin can
+  // change or remove it later
+  addControl({ label, icon = "", title = "", onClick }) {
+    const button = document.createElement("button");
+    button.className = "btn btn-secondary";
+    button.dataset.plugin = this.#plugin.name;
+    if (title) {
+      button.title = title;
+    }
+    const iconEl = document.createElement("span");
+    iconEl.textContent = icon;
+    const labelEl = document.createElement("span");
+    labelEl.textContent = label;
+    button.append(...(icon ? [iconEl, " "] : []), labelEl);
+    button.addEventListener("click", () => onClick(this));
+    document.getElementById("plugin-controls").appendChild(button);
+    return button;
+  }
+}
+
+// ===== Registration =====
+const registeredPlugins = [];
+let pluginGame = null;
+
+function registerPlugin(plugin) {
+  if (!plugin || !plugin.name || typeof plugin.install !== "function") {
+    throw new PluginError("A plugin needs a name and an install(api) function");
+  }
+  if (registeredPlugins.some((registered) => registered.name === plugin.name)) {
+    throw new PluginError(`A plugin named "${plugin.name}" is already registered`);
+  }
+  registeredPlugins.push(plugin);
+  if (pluginGame) {
+    installPlugin(pluginGame, plugin);
+  }
+}
+
+// Called by CheckersGame once it is set up
+function installPlugins(game) {
+  pluginGame = game;
+  registeredPlugins.forEach((plugin) => installPlugin(game, plugin));
+}
+
+// A plugin that fails to install is reported and left out
+function installPlugin(game, plugin) {
+  try {
+    plugin.install(new PluginAPI(game, plugin));
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { GameEvents, PluginAPI, PluginError, registerPlugin, installPlugins, GAME_EVENTS };
+}
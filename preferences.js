@@ -0,0 +1,81 @@
+// ===== Preferences =====
+// The setup screen remembers the names and options it last started a game
+// with. The language is kept apart by i18n.js, as it applies before the
+// setup screen is shown. Like profiles, stored preferences are checked one
+// by one: a value that is missing or out of range gets its default.
+const PREFERENCES_KEY = "checkersPreferences";
+const PREFERENCES_VERSION = 1;
+
+// Rules and computer levels: globals in the page, required under Node
+const { VARIANTS: PREFERENCE_VARIANTS, DEFAULT_VARIANT: PREFERENCE_DEFAULT_VARIANT } =
+  typeof module !== "undefined" && module.exports ? require("./engine.js") : { VARIANTS, DEFAULT_VARIANT };
+const { AI_LEVELS: PREFERENCE_AI_LEVELS } =
+  typeof module !== "undefined" && module.exports ? require("./ai.js") : { AI_LEVELS };
+
+const TIME_MODES = ["none", "suddenDeath", "fischer", "bronstein"];
+
+// An empty name stands for the default name in the language in use
+const DEFAULT_PREFERENCES = {
+  redName: "",
+  blackName: "",
+  variant: PREFERENCE_DEFAULT_VARIANT,
+  humanColor: "red",
+  aiLevel: "medium",
+  timeMode: "none",
+  timeMinutes: 5,
+  timeBonus: 3,
+  seriousGame: false,
+};
+
+// Whether value may be stored under key (ranges as the setup inputs allow)
+const PREFERENCE_CHECKS = {
+  redName: (value) => typeof value === "string" && value.length <= 20,
+  blackName: (value) => typeof value === "string" && value.length <= 20,
+  variant: (value) => typeof value === "string" && Object.hasOwn(PREFERENCE_VARIANTS, value),
+  humanColor: (value) => value === "red" || value === "black",
+  aiLevel: (value) => typeof value === "string" && Object.hasOwn(PREFERENCE_AI_LEVELS, value),
+  timeMode: (value) => TIME_MODES.includes(value),
+  timeMinutes: (value) => Number.isInteger(value) && value >= 1 && value <= 180,
+  timeBonus: (value) => Number.isInteger(value) && value >= 0 && value <= 60,
+  seriousGame: (value) => typeof value === "boolean",
+};
+
+// Every preference, each one taken from data if it passes its check
+function readPreferences(data) {
+  const source = data && typeof data === "object" ? data : {};
+  const preferences = {};
+  for (const [key, fallback] of Object.entries(DEFAULT_PREFERENCES)) {
+    preferences[key] = PREFERENCE_CHECKS[key](source[key]) ? source[key] : fallback;
+  }
+  return preferences;
+}
+
+function loadPreferences() {
+  try {
+    const data = JSON.parse(localStorage.getItem(PREFERENCES_KEY));
+    // A newer page's preferences may mean something else
+    if (data && data.version > PREFERENCES_VERSION) return readPreferences(null);
+    return readPreferences(data);
+  } catch (error) {
+    return readPreferences(null);
+  }
+}
+
+function storePreferences(preferences) {
+  try {
+    localStorage.setItem(PREFERENCES_KEY, JSON.stringify({ ...readPreferences(preferences), version: PREFERENCES_VERSION }));
+  } catch (error) {
+    // Storage full or blocked: the choices just aren't remembered
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PREFERENCES_KEY,
+    PREFERENCES_VERSION,
+    DEFAULT_PREFERENCES,
+    readPreferences,
+    loadPreferences,
+    storePreferences,
+  };
+}
@@ -0,0 +1,341 @@
+// ===== Player Profiles =====
+// Results belong to players, not to colours: every profile keeps its own
+// wins, losses, draws, Elo rating and latest games, whichever side it
+// played. All profiles are stored together in localStorage, with a version
+// like saved games (see savegame.js): when the stored shape changes, bump
+// PROFILES_VERSION and add the step from the previous one to
+// PROFILES_MIGRATIONS. Whatever is read back is checked field by field, so
+// a damaged or hand-edited store loses the bad entries, not the page.
+const PROFILES_KEY = "checkersProfiles";
+const PROFILES_VERSION = 2;
+const LEGACY_STATS_KEY = "checkersStats"; // Per-colour stats of older versions
+const INITIAL_RATING = 1200;
+const RATING_K_FACTOR = 32;
+const PROFILE_GAMES_KEPT = 50;
+
+// version -> function returning that version's data in the next version's shape
+const PROFILES_MIGRATIONS = {
+  // Version 1 had no version field, and games from before hints were counted
+  1: (data) => ({
+    ...data,
+    profiles: Object.fromEntries(
+      Object.entries(data.profiles).map(([id, profile]) => [
+        id,
+        profile && Array.isArray(profile.games)
+          ? { ...profile, games: profile.games.map((game) => ({ hints: 0, ...game })) }
+          : profile,
+      ])
+    ),
+  }),
+};
+
+// Translations (see i18n.js): a global in the page, required under Node
+const { t: profileText } = typeof module !== "undefined" && module.exports ? require("./i18n.js") : { t };
+
+// Expected score (0 to 1) of a player rated `rating` against `opponentRating`
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// Rating points won (or lost, if negative) for a score of 1, 0.5 or 0
+function ratingChange(rating, opponentRating, score) {
+  return Math.round(RATING_K_FACTOR * (score - expectedScore(rating, opponentRating)));
+}
+
+// ===== Stored Data =====
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// A game of a profile's list, or null if it can't be shown
+function validProfileGame(game) {
+  if (!game || typeof game !== "object") return null;
+  if (typeof game.id !== "string" || !Number.isFinite(game.date)) return null;
+  if (!["red", "black"].includes(game.color) || !["win", "loss", "draw"].includes(game.result)) return null;
+  return {
+    id: game.id,
+    date: game.date,
+    color: game.color,
+    opponent: typeof game.opponent === "string" ? game.opponent : "?",
+    result: game.result,
+    ratingChange: Number.isInteger(game.ratingChange) ? game.ratingChange : 0,
+    variant: typeof game.variant === "string" ? game.variant : "",
+    moves: isCount(game.moves) ? game.moves : 0,
+    hints: isCount(game.hints) ? game.hints : 0,
+  };
+}
+
+// A profile as the store keeps it, or null without a usable name. Names
+// are kept whole: the computer's can be longer than the name boxes allow.
+// Bad counts become 0 and a bad rating the starting one.
+function validProfile(id, profile) {
+  if (!profile || typeof profile !== "object" || typeof profile.name !== "string") return null;
+  const name = profile.name.trim();
+  if (!name) return null;
+  return {
+    id,
+    name,
+    wins: isCount(profile.wins) ? profile.wins : 0,
+    losses: isCount(profile.losses) ? profile.losses : 0,
+    draws: isCount(profile.draws) ? profile.draws : 0,
+    rating: Number.isInteger(profile.rating) ? profile.rating : INITIAL_RATING,
+    games: Array.isArray(profile.games)
+      ? profile.games.map(validProfileGame).filter(Boolean).slice(0, PROFILE_GAMES_KEPT)
+      : [],
+  };
+}
+
+// Stored (or imported) profiles brought up to the current version and
+// checked: { profiles, nextId }, or null if there is nothing usable. Of
+// two profiles with the same name only the first is kept.
+function readProfileData(data) {
+  if (!data || typeof data !== "object" || !data.profiles || typeof data.profiles !== "object") return null;
+
+  let current = { ...data, version: Number.isInteger(data.version) ? data.version : 1 };
+  while (current.version < PROFILES_VERSION) {
+    const migrate = PROFILES_MIGRATIONS[current.version];
+    if (!migrate) return null;
+    current = { ...migrate(current), version: current.version + 1 };
+  }
+  // Written by a newer page than this one
+  if (current.version !== PROFILES_VERSION) return null;
+
+  const profiles = {};
+  const names = new Set();
+  let highestId = 0;
+  for (const [id, stored] of Object.entries(current.profiles)) {
+    const profile = /^p\d+$/.test(id) ? validProfile(id, stored) : null;
+    if (!profile || names.has(profile.name.toLowerCase())) continue;
+    names.add(profile.name.toLowerCase());
+    profiles[id] = profile;
+    highestId = Math.max(highestId, Number(id.slice(1)));
+  }
+
+  // Ids never go back, or a new profile could take an old one's place
+  const nextId = Math.max(Number.isInteger(current.nextId) ? current.nextId : 1, highestId + 1);
+  return { profiles, nextId };
+}
+
+class ProfileStore {
+  constructor() {
+    this.profiles = {};
+    this.nextId = 1;
+    this.load();
+  }
+
+  load() {
+    let data = null;
+    try {
+      data = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    } catch (error) {
+      data = null;
+    }
+
+    const stored = readProfileData(data);
+    if (stored) {
+      this.profiles = stored.profiles;
+      this.nextId = stored.nextId;
+    } else {
+      this.migrateLegacyStats();
+    }
+  }
+
+  save() {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(this.toJSON()));
+  }
+
+  toJSON() {
+    return { version: PROFILES_VERSION, profiles: this.profiles, nextId: this.nextId };
+  }
+
+  // Takes every profile from checked data (see readProfileData), as an
+  // import does, dropping the ones there were
+  replaceAll({ profiles, nextId }) {
+    this.profiles = profiles;
+    this.nextId = nextId;
+    this.save();
+  }
+
+  // Takes the totals and ratings of checked data whose profiles have no
+  // games, as a CSV import does: a profile of the same name keeps its games,
+  // the others are added, and profiles missing from the data stay
+  mergeTotals({ profiles }) {
+    for (const imported of Object.values(profiles)) {
+      const { wins, losses, draws, rating } = imported;
+      const existing = this.findByName(imported.name);
+      if (existing) {
+        Object.assign(existing, { wins, losses, draws, rating });
+      } else {
+        const id = `p${this.nextId++}`;
+        this.profiles[id] = { ...imported, id, games: [] };
+      }
+    }
+    this.save();
+  }
+
+  // The old { red, black } blob becomes one profile per colour with the
+  // same counts; ratings start from scratch as there are no games to rate
+  migrateLegacyStats() {
+    let legacy = null;
+    try {
+      legacy = JSON.parse(localStorage.getItem(LEGACY_STATS_KEY));
+    } catch (error) {
+      legacy = null;
+    }
+    if (!legacy || typeof legacy !== "object") return;
+
+    for (const color of ["red", "black"]) {
+      const stats = legacy[color];
+      if (!stats || typeof stats !== "object") continue;
+      const fallback = profileText(color === "red" ? "players.defaultRed" : "players.defaultBlack");
+      const storedName = typeof stats.name === "string" ? stats.name.trim() : "";
+      let name = storedName || fallback;
+      if (this.findByName(name)) {
+        name = `${name} (${profileText(`color.${color}`)})`;
+      }
+      const profile = this.create(name);
+      profile.wins = isCount(stats.wins) ? stats.wins : 0;
+      profile.losses = isCount(stats.losses) ? stats.losses : 0;
+      profile.draws = isCount(stats.draws) ? stats.draws : 0;
+    }
+
+    this.save();
+    localStorage.removeItem(LEGACY_STATS_KEY);
+  }
+
+  get(id) {
+    return this.profiles[id] || null;
+  }
+
+  // Names are unique regardless of case and surrounding spaces
+  findByName(name) {
+    const key = name.trim().toLowerCase();
+    return Object.values(this.profiles).find((profile) => profile.name.toLowerCase() === key) || null;
+  }
+
+  create(name) {
+    const id = `p${this.nextId++}`;
+    this.profiles[id] = {
+      id,
+      name: name.trim(),
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      rating: INITIAL_RATING,
+      games: [], // Newest first
+    };
+    this.save();
+    return this.profiles[id];
+  }
+
+  findOrCreate(name) {
+    return this.findByName(name) || this.create(name);
+  }
+
+  // False if the name is empty or another profile already has it
+  rename(id, name) {
+    const existing = this.findByName(name);
+    if (!name.trim() || (existing && existing.id !== id)) return false;
+
+    this.profiles[id].name = name.trim();
+    this.save();
+    return true;
+  }
+
+  // Best rated first; only profiles that have finished a game are ranked
+  leaderboard() {
+    return Object.values(this.profiles)
+      .filter((profile) => profile.wins + profile.losses + profile.draws > 0)
+      .sort((a, b) => b.rating - a.rating || b.wins - a.wins);
+  }
+
+  // Counts a finished game for both profiles and rates it. winner is
+  // "red", "black" or null for a draw; hints is how many hints each colour
+  // asked for, so games played with help stand out. Returns the id needed to take the
+  // game back out with revertGame, or null if nothing was recorded.
+  recordGame({ red, black, winner, variant, moves, hints = { red: 0, black: 0 } }) {
+    const players = { red: this.get(red), black: this.get(black) };
+    // Someone playing both sides has no opponent to be rated against
+    if (!players.red || !players.black || red === black) return null;
+
+    const gameId = `g${this.nextId++}`;
+    const date = Date.now();
+    const changes = {};
+    for (const color of ["red", "black"]) {
+      const opponent = players[color === "red" ? "black" : "red"];
+      const score = winner === null ? 0.5 : winner === color ? 1 : 0;
+      changes[color] = ratingChange(players[color].rating, opponent.rating, score);
+    }
+
+    for (const color of ["red", "black"]) {
+      const profile = players[color];
+      const opponent = players[color === "red" ? "black" : "red"];
+      let result = "draw";
+      if (winner) result = winner === color ? "win" : "loss";
+
+      if (result === "win") profile.wins++;
+      else if (result === "loss") profile.losses++;
+      else profile.draws++;
+      profile.rating += changes[color];
+
+      profile.games.unshift({
+        id: gameId,
+        date,
+        color,
+        opponent: opponent.name,
+        result,
+        ratingChange: changes[color],
+        variant,
+        moves,
+        hints: hints[color],
+      });
+      profile.games.length = Math.min(profile.games.length, PROFILE_GAMES_KEPT);
+    }
+
+    this.save();
+    return gameId;
+  }
+
+  // Takes a recorded game back out (when it is undone or replayed from an
+  // earlier move) and gives the rating points back
+  revertGame(gameId) {
+    if (!gameId) return;
+
+    for (const profile of Object.values(this.profiles)) {
+      const index = profile.games.findIndex((game) => game.id === gameId);
+      if (index === -1) continue;
+
+      const [game] = profile.games.splice(index, 1);
+      if (game.result === "win") profile.wins--;
+      else if (game.result === "loss") profile.losses--;
+      else profile.draws--;
+      profile.rating -= game.ratingChange;
+    }
+    this.save();
+  }
+
+  // Clears every profile's results and rating but keeps the players
+  resetAll() {
+    for (const profile of Object.values(this.profiles)) {
+      profile.wins = 0;
+      profile.losses = 0;
+      profile.draws = 0;
+      profile.rating = INITIAL_RATING;
+      profile.games = [];
+    }
+    this.save();
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ProfileStore,
+    expectedScore,
+    ratingChange,
+    readProfileData,
+    INITIAL_RATING,
+    PROFILES_KEY,
+    PROFILES_VERSION,
+    LEGACY_STATS_KEY,
+  };
+}
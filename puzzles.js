@@ -0,0 +1,169 @@
+// ===== Puzzle Training =====
+// Tactical positions from puzzles.json. Each puzzle gives a variant, a FEN
+// position and its solution as move texts ("27x18x11", "14-17"): the side
+// to move plays the even ones, the odd ones are the forced replies played
+// for the other side. Solutions are checked against the rules engine when
+// the set is loaded, so a broken puzzle never reaches the board. Title and
+// goal are given per language, { es, en, ... } (see localize in i18n.js).
+const PUZZLES_URL = "puzzles.json";
+const PUZZLE_STATS_KEY = "checkersPuzzleStats";
+
+class PuzzleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PuzzleError";
+  }
+}
+
+// Engine, notation and translations: globals in the page, required under Node
+const { CheckersEngine: PuzzleEngine, VARIANTS: PUZZLE_VARIANTS } =
+  typeof module !== "undefined" && module.exports ? require("./engine.js") : { CheckersEngine, VARIANTS };
+const { DraughtsNotation: PuzzleNotation, NotationError: PuzzleNotationError } =
+  typeof module !== "undefined" && module.exports ? require("./notation.js") : { DraughtsNotation, NotationError };
+const { t: puzzleText } = typeof module !== "undefined" && module.exports ? require("./i18n.js") : { t };
+
+// Adds initialState and the solution as engine turns to a puzzle from the
+// file; throws a PuzzleError saying what is wrong with it
+function preparePuzzle(puzzle) {
+  const name = puzzleText("puzzles.errors.name", { id: puzzle.id });
+  if (!PUZZLE_VARIANTS[puzzle.variant]) {
+    throw new PuzzleError(puzzleText("puzzles.errors.unknownVariant", { name, variant: puzzle.variant }));
+  }
+  const solution = puzzle.solution || [];
+  // The solver has the first and the last word
+  if (solution.length % 2 === 0) {
+    throw new PuzzleError(puzzleText("puzzles.errors.solutionLength", { name }));
+  }
+
+  const notation = new PuzzleNotation(new PuzzleEngine(puzzle.variant));
+  let initialState;
+  try {
+    initialState = notation.parseFEN(puzzle.fen);
+  } catch (error) {
+    if (!(error instanceof PuzzleNotationError)) throw error;
+    throw new PuzzleError(`${name}: ${error.message}`);
+  }
+
+  let state = initialState;
+  const turns = solution.map((text, index) => {
+    try {
+      const turn = notation.findTurn(state, text);
+      state = turn.state;
+      return turn;
+    } catch (error) {
+      if (!(error instanceof PuzzleNotationError)) throw error;
+      throw new PuzzleError(
+        puzzleText("puzzles.errors.move", { name, number: index + 1, move: text, error: error.message })
+      );
+    }
+  });
+
+  return { ...puzzle, initialState, turns };
+}
+
+// Parsed puzzles.json; puzzles that don't check out are left out and
+// reported in errors
+function preparePuzzleSet(data) {
+  const puzzles = [];
+  const errors = [];
+  for (const puzzle of (data && data.puzzles) || []) {
+    try {
+      puzzles.push(preparePuzzle(puzzle));
+    } catch (error) {
+      if (!(error instanceof PuzzleError)) throw error;
+      errors.push(error.message);
+    }
+  }
+  return { puzzles, errors };
+}
+
+function fetchPuzzleSet(url = PUZZLES_URL) {
+  return fetch(url)
+    .then((response) => {
+      if (!response.ok) throw new PuzzleError(puzzleText("puzzles.errors.fetch", { status: response.status }));
+      return response.json();
+    })
+    .then(preparePuzzleSet);
+}
+
+// ===== Puzzle Stats =====
+// An attempt counts as solved only if no wrong move was tried and the
+// solution wasn't shown; any slip ends the streak.
+// Stored stats checked field by field, as profiles and preferences are:
+// a count that is missing or broken starts from 0, and only results that
+// are "solved" or "failed" are kept
+function readPuzzleStats(data) {
+  const source = data && typeof data === "object" ? data : {};
+  const count = (value) => (Number.isInteger(value) && value >= 0 ? value : 0);
+  const results = {};
+  if (source.results && typeof source.results === "object" && !Array.isArray(source.results)) {
+    for (const [id, result] of Object.entries(source.results)) {
+      if (result === "solved" || result === "failed") results[id] = result;
+    }
+  }
+  return {
+    attempted: count(source.attempted),
+    solved: count(source.solved),
+    streak: count(source.streak),
+    bestStreak: count(source.bestStreak),
+    results,
+  };
+}
+
+class PuzzleStats {
+  constructor() {
+    this.attempted = 0;
+    this.solved = 0;
+    this.streak = 0;
+    this.bestStreak = 0;
+    this.results = {}; // Puzzle id -> "solved" or "failed", solved once is solved for good
+    this.load();
+  }
+
+  load() {
+    let data = null;
+    try {
+      data = JSON.parse(localStorage.getItem(PUZZLE_STATS_KEY));
+    } catch (error) {
+      // Unreadable stats start over
+    }
+    Object.assign(this, readPuzzleStats(data));
+  }
+
+  save() {
+    const { attempted, solved, streak, bestStreak, results } = this;
+    localStorage.setItem(PUZZLE_STATS_KEY, JSON.stringify({ attempted, solved, streak, bestStreak, results }));
+  }
+
+  record(id, solved) {
+    this.attempted++;
+    if (solved) {
+      this.solved++;
+      this.streak++;
+      this.bestStreak = Math.max(this.bestStreak, this.streak);
+      this.results[id] = "solved";
+    } else {
+      this.streak = 0;
+      if (this.results[id] !== "solved") this.results[id] = "failed";
+    }
+    this.save();
+  }
+
+  // Solved attempts out of all attempts, 0 to 1
+  get solveRate() {
+    return this.attempted > 0 ? this.solved / this.attempted : 0;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PuzzleError,
+    PuzzleStats,
+    readPuzzleStats,
+    preparePuzzle,
+    preparePuzzleSet,
+    fetchPuzzleSet,
+    PUZZLES_URL,
+    PUZZLE_STATS_KEY,
+  };
+}
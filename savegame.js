@@ -0,0 +1,60 @@
+// ===== Saved Game =====
+// The game in progress is written to localStorage after every change so a
+// reload can pick it up where it was left. Every save carries a version:
+// when the saved shape changes, bump SAVED_GAME_VERSION and add the step
+// that turns the previous version's data into the new one to
+// SAVED_GAME_MIGRATIONS, so games saved by an older page still load.
+const SAVED_GAME_KEY = "checkersSavedGame";
+const SAVED_GAME_VERSION = 2;
+
+// version -> function returning that version's data in the next version's shape
+const SAVED_GAME_MIGRATIONS = {
+  // Version 2 counts the hints each side asked for
+  1: (save) => ({ ...save, hintsUsed: { red: 0, black: 0 } }),
+};
+
+// Brings a save up to the current version; null if it can't be used
+function migrateSavedGame(data) {
+  if (!data || !Number.isInteger(data.version)) return null;
+
+  let save = data;
+  while (save.version < SAVED_GAME_VERSION) {
+    const migrate = SAVED_GAME_MIGRATIONS[save.version];
+    if (!migrate) return null;
+    save = { ...migrate(save), version: save.version + 1 };
+  }
+  // A save from a newer page than this one can't be read safely
+  return save.version === SAVED_GAME_VERSION ? save : null;
+}
+
+function loadSavedGame() {
+  try {
+    return migrateSavedGame(JSON.parse(localStorage.getItem(SAVED_GAME_KEY)));
+  } catch (error) {
+    return null;
+  }
+}
+
+function storeSavedGame(save) {
+  try {
+    localStorage.setItem(SAVED_GAME_KEY, JSON.stringify({ ...save, version: SAVED_GAME_VERSION }));
+  } catch (error) {
+    // Storage full or blocked: the game goes on, it just isn't kept
+  }
+}
+
+function clearSavedGame() {
+  localStorage.removeItem(SAVED_GAME_KEY);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SAVED_GAME_KEY,
+    SAVED_GAME_VERSION,
+    SAVED_GAME_MIGRATIONS,
+    migrateSavedGame,
+    loadSavedGame,
+    storeSavedGame,
+    clearSavedGame,
+  };
+}
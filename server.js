@@ -0,0 +1,454 @@
+// ===== Online Server =====
+// Small reference server for online games. It serves the page and relays
+// moves between the two players of a room over WebSocket, checking every
+// move with the same rules engine the page uses. Only Node built-ins are
+// needed:
+//
+//   node server.js          then open http://localhost:8080
+//   PORT=9000 node server.js
+//
+// Messages are JSON objects with a type:
+//   client -> server  create { variant, name }
+//                     join { room, name, token? }   (token resumes a seat)
+//                     move { ply, steps }
+//                     sync {}
+//   server -> client  joined { room, color, token, variant, players, initialState, turns }
+//                     opponent { name, connected }
+//                     move { ply, steps }
+//                     error { code }   (see online.errors in messages.js)
+// A player's name is null in joined and opponent when none was given.
+
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { CheckersEngine, VARIANTS, DEFAULT_VARIANT } = require("./engine.js");
+
+const PORT = Number(process.env.PORT) || 8080;
+const ROOT = __dirname;
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_SIZE = 64 * 1024;
+const HEARTBEAT_INTERVAL = 30000;
+const ROOM_TIMEOUT = 30 * 60 * 1000; // Rooms with nobody connected are dropped
+const ROOM_CODE_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+};
+
+// ===== WebSocket Connection =====
+// RFC 6455 framing over a raw socket: text messages, ping/pong and close
+class WebSocketConnection {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.alive = true;
+    this.closed = false;
+    this.onmessage = () => {};
+    this.onclose = () => {};
+
+    socket.on("data", (chunk) => this.receive(chunk));
+    socket.on("close", () => this.handleClose());
+    socket.on("error", () => socket.destroy());
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let frame;
+    while (!this.closed && (frame = this.readFrame())) {
+      this.handleFrame(frame);
+    }
+  }
+
+  // Next complete frame from the buffer, or null if more data is needed
+  readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) return null;
+
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      length = buffer.readUInt32BE(2) * 2 ** 32 + buffer.readUInt32BE(6);
+      offset = 10;
+    }
+
+    // Browsers always mask their frames
+    const masked = (buffer[1] & 0x80) !== 0;
+    if (!masked || length > MAX_MESSAGE_SIZE) {
+      this.close(1002);
+      return null;
+    }
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+    this.buffer = buffer.subarray(offset + 4 + length);
+
+    return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, payload };
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case 0x0: // Continuation
+      case 0x1: // Text
+        this.fragments.push(payload);
+        if (Buffer.concat(this.fragments).length > MAX_MESSAGE_SIZE) {
+          this.close(1009);
+          return;
+        }
+        if (fin) {
+          const text = Buffer.concat(this.fragments).toString("utf8");
+          this.fragments = [];
+          this.onmessage(text);
+        }
+        break;
+      case 0x8: // Close
+        this.close();
+        break;
+      case 0x9: // Ping
+        this.sendFrame(0xa, payload);
+        break;
+      case 0xa: // Pong
+        this.alive = true;
+        break;
+      default:
+        this.close(1003); // Binary frames are not part of the protocol
+    }
+  }
+
+  send(message) {
+    this.sendFrame(0x1, Buffer.from(JSON.stringify(message)));
+  }
+
+  sendFrame(opcode, payload) {
+    if (this.socket.destroyed) return;
+
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  ping() {
+    if (!this.alive) {
+      this.socket.destroy(); // No pong since the last ping
+      return;
+    }
+    this.alive = false;
+    this.sendFrame(0x9, Buffer.alloc(0));
+  }
+
+  close(code = 1000) {
+    if (this.closed) return;
+    this.closed = true;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    this.sendFrame(0x8, payload);
+    this.socket.end();
+  }
+
+  handleClose() {
+    this.closed = true;
+    this.onclose();
+  }
+}
+
+// ===== Rooms =====
+const rooms = new Map();
+const connections = new Set();
+
+function createRoomCode() {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(5), (byte) => ROOM_CODE_LETTERS[byte % ROOM_CODE_LETTERS.length]).join("");
+  } while (rooms.has(code));
+  return code;
+}
+
+function createRoom(variant) {
+  // Own keys only: "__proto__" or "constructor" is no variant
+  const engine = new CheckersEngine(Object.hasOwn(VARIANTS, variant) ? variant : DEFAULT_VARIANT);
+  const initialState = engine.createInitialState();
+  const room = {
+    code: createRoomCode(),
+    engine,
+    initialState,
+    state: initialState,
+    turns: [],
+    previousKeys: [],
+    finished: false,
+    players: { red: null, black: null },
+    emptySince: null,
+  };
+  rooms.set(room.code, room);
+  return room;
+}
+
+// Full game for a (re)joining player
+function sendJoined(room, color) {
+  const players = {};
+  for (const side of ["red", "black"]) {
+    const player = room.players[side];
+    players[side] = player ? { name: player.name, connected: !!player.connection } : null;
+  }
+
+  room.players[color].connection.send({
+    type: "joined",
+    room: room.code,
+    color,
+    token: room.players[color].token,
+    variant: room.engine.rules.id,
+    players,
+    initialState: room.initialState,
+    turns: room.turns,
+  });
+}
+
+function notifyOpponent(room, color) {
+  const opponent = room.players[room.engine.opponent(color)];
+  const player = room.players[color];
+  if (opponent && opponent.connection) {
+    opponent.connection.send({ type: "opponent", name: player.name, connected: !!player.connection });
+  }
+}
+
+// null for no name: each page shows its own default name, in its language
+function cleanName(name) {
+  if (typeof name !== "string") return null;
+  return name.trim().slice(0, 20) || null;
+}
+
+// Seats a connection in a room: back in its own seat when the token
+// matches, otherwise in the free one
+function seatPlayer(connection, room, name, token) {
+  let color = ["red", "black"].find((side) => room.players[side] && token && room.players[side].token === token);
+
+  if (color) {
+    const previous = room.players[color].connection;
+    if (previous && previous !== connection) {
+      previous.onclose = () => {};
+      previous.close();
+    }
+  } else {
+    color = ["red", "black"].find((side) => !room.players[side]);
+    if (!color) {
+      connection.send({ type: "error", code: "roomFull" });
+      return;
+    }
+    room.players[color] = {
+      token: crypto.randomBytes(16).toString("hex"),
+      name: cleanName(name),
+      connection: null,
+    };
+  }
+
+  // A connection sits in one room at a time: creating or joining another
+  // one leaves the old room to be cleaned up like any other
+  if (connection.seat && connection.seat.room !== room) {
+    handleDisconnect(connection);
+  }
+  room.players[color].connection = connection;
+  room.emptySince = null;
+  connection.seat = { room, color };
+
+  sendJoined(room, color);
+  notifyOpponent(room, color);
+}
+
+// Same path as one of the legal turns: same starting square and landings
+function sameSteps(a, b) {
+  return (
+    a.length === b.length &&
+    a.every(
+      (step, i) =>
+        b[i] &&
+        b[i].move &&
+        step.fromRow === b[i].fromRow &&
+        step.fromCol === b[i].fromCol &&
+        step.move.row === b[i].move.row &&
+        step.move.col === b[i].move.col
+    )
+  );
+}
+
+function playMove(connection, { ply, steps }) {
+  const { room, color } = connection.seat;
+
+  // Anything out of step gets the full game again so the page can catch up
+  const reject = (code) => {
+    connection.send({ type: "error", code });
+    sendJoined(room, color);
+  };
+
+  if (room.finished) return reject("gameOver");
+  if (room.state.currentPlayer !== color) return reject("notYourTurn");
+  if (ply !== room.turns.length || !Array.isArray(steps)) return reject("outOfStep");
+
+  const turn = room.engine.generateTurns(room.state).find((candidate) => sameSteps(candidate.steps, steps));
+  if (!turn) return reject("illegalMove");
+
+  room.previousKeys.push(room.engine.positionKey(room.state));
+  room.state = turn.state;
+  room.turns.push(turn.steps);
+  room.finished = !!room.engine.getResult(room.state, room.previousKeys);
+
+  const opponent = room.players[room.engine.opponent(color)];
+  if (opponent && opponent.connection) {
+    opponent.connection.send({ type: "move", ply, steps: turn.steps });
+  }
+}
+
+function handleMessage(connection, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    connection.send({ type: "error", code: "badMessage" });
+    return;
+  }
+  // Valid JSON, but not a message: null, a number, a string or an array
+  if (!message || typeof message !== "object" || Array.isArray(message)) {
+    connection.send({ type: "error", code: "badMessage" });
+    return;
+  }
+
+  switch (message.type) {
+    case "create":
+      seatPlayer(connection, createRoom(message.variant), message.name);
+      break;
+    case "join": {
+      const room = rooms.get(String(message.room || "").trim().toUpperCase());
+      if (!room) {
+        connection.send({ type: "error", code: "noRoom" });
+        return;
+      }
+      seatPlayer(connection, room, message.name, message.token);
+      break;
+    }
+    case "move":
+      if (connection.seat) playMove(connection, message);
+      break;
+    case "sync":
+      if (connection.seat) sendJoined(connection.seat.room, connection.seat.color);
+      break;
+    default:
+      connection.send({ type: "error", code: "unknownMessage" });
+  }
+}
+
+// Leaves the connection's seat, which stays its player's to come back to
+function handleDisconnect(connection) {
+  if (!connection.seat) return;
+  const { room, color } = connection.seat;
+  if (room.players[color].connection !== connection) return;
+
+  room.players[color].connection = null;
+  notifyOpponent(room, color);
+  const connected = ["red", "black"].some((side) => room.players[side] && room.players[side].connection);
+  if (!connected) {
+    room.emptySince = Date.now();
+  }
+}
+
+// ===== HTTP Server =====
+// Serves the page's own files so both players can load it from here
+function serveFile(request, response) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(new URL(request.url, "http://localhost").pathname);
+  } catch (error) {
+    // A malformed escape such as %E0%A4%A
+    response.writeHead(400);
+    response.end("Bad request");
+    return;
+  }
+  const filePath = path.join(ROOT, urlPath === "/" ? "index.html" : urlPath);
+  const type = CONTENT_TYPES[path.extname(filePath)];
+
+  if (!filePath.startsWith(ROOT + path.sep) || !type) {
+    response.writeHead(404);
+    response.end("Not found");
+    return;
+  }
+
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      response.writeHead(404);
+      response.end("Not found");
+      return;
+    }
+    response.writeHead(200, { "Content-Type": type });
+    response.end(data);
+  });
+}
+
+function handleUpgrade(request, socket) {
+  const key = request.headers["sec-websocket-key"];
+  if (!key || String(request.headers.upgrade).toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const connection = new WebSocketConnection(socket);
+  connection.onmessage = (text) => handleMessage(connection, text);
+  connection.onclose = () => handleDisconnect(connection);
+  connections.add(connection);
+  socket.on("close", () => connections.delete(connection));
+}
+
+function startServer(port = PORT) {
+  const server = http.createServer(serveFile);
+  server.on("upgrade", handleUpgrade);
+
+  // Drops dead connections and rooms nobody has come back to
+  const heartbeat = setInterval(() => {
+    connections.forEach((connection) => connection.ping());
+    for (const [code, room] of rooms) {
+      if (room.emptySince && Date.now() - room.emptySince > ROOM_TIMEOUT) {
+        rooms.delete(code);
+      }
+    }
+  }, HEARTBEAT_INTERVAL);
+  server.on("close", () => clearInterval(heartbeat));
+
+  server.listen(port, () => {
+    console.log(`Servidor de Damas en http://localhost:${server.address().port}`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { startServer };
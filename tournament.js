@@ -0,0 +1,266 @@
+// ===== Matches and Tournaments =====
+// A match is a best-of-N series between two players with colours (and so
+// the first move) alternating every game. A round robin has 3 to 8
+// players meet each other once. Both are a fixed list of games, played in
+// order, and are kept in localStorage so a reload doesn't lose them.
+const TOURNAMENT_KEY = "checkersTournament";
+const TOURNAMENT_MIN_PLAYERS = 3;
+const TOURNAMENT_MAX_PLAYERS = 8;
+const MATCH_LENGTHS = [3, 5, 7, 9];
+
+// Translations (see i18n.js) and variants: globals in the page, required under Node
+const { t: tournamentText } =
+  typeof module !== "undefined" && module.exports ? require("./i18n.js") : { t };
+const { VARIANTS: TOURNAMENT_VARIANTS } =
+  typeof module !== "undefined" && module.exports ? require("./engine.js") : { VARIANTS };
+
+class TournamentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TournamentError";
+  }
+}
+
+class Tournament {
+  // type: "match" or "roundRobin"; games: [{ red, black, result }] where
+  // result is "red", "black", "draw" or null while unplayed; current is
+  // the index of the game on the board
+  constructor({ type, players, variant, bestOf = null, games, current = null }) {
+    this.type = type;
+    this.players = players;
+    this.variant = variant;
+    this.bestOf = bestOf;
+    this.games = games;
+    this.current = current;
+  }
+
+  static createMatch(players, bestOf, variant) {
+    if (players.length !== 2) {
+      throw new TournamentError(tournamentText("tournament.errors.matchPlayers"));
+    }
+    if (!MATCH_LENGTHS.includes(bestOf)) {
+      throw new TournamentError(tournamentText("tournament.errors.matchLength", { lengths: MATCH_LENGTHS.join(", ") }));
+    }
+    const games = [];
+    for (let i = 0; i < bestOf; i++) {
+      const [red, black] = i % 2 === 0 ? players : [players[1], players[0]];
+      games.push({ red, black, result: null });
+    }
+    return new Tournament({ type: "match", players, variant, bestOf, games });
+  }
+
+  static createRoundRobin(players, variant) {
+    if (players.length < TOURNAMENT_MIN_PLAYERS || players.length > TOURNAMENT_MAX_PLAYERS) {
+      throw new TournamentError(
+        tournamentText("tournament.errors.playerCount", { min: TOURNAMENT_MIN_PLAYERS, max: TOURNAMENT_MAX_PLAYERS })
+      );
+    }
+    const names = new Set(players.map((name) => name.toLowerCase()));
+    if (names.size !== players.length) {
+      throw new TournamentError(tournamentText("tournament.errors.sameName"));
+    }
+    return new Tournament({ type: "roundRobin", players, variant, games: roundRobinPairings(players) });
+  }
+
+  static fromJSON(data) {
+    return new Tournament(data);
+  }
+
+  toJSON() {
+    const { type, players, variant, bestOf, games, current } = this;
+    return { type, players, variant, bestOf, games, current };
+  }
+
+  get playedCount() {
+    return this.games.filter((game) => game.result).length;
+  }
+
+  // A match is over as soon as one player can't be caught any more
+  get finished() {
+    if (this.type === "match") {
+      const [first, second] = this.players.map((name) => this.getPoints(name));
+      const left = this.games.length - this.playedCount;
+      if (Math.abs(first - second) > left) return true;
+    }
+    return this.playedCount === this.games.length;
+  }
+
+  // Index of the next game to play, or -1 when the tournament is over
+  nextGame() {
+    if (this.finished) return -1;
+    return this.games.findIndex((game) => !game.result);
+  }
+
+  recordResult(index, result) {
+    this.games[index].result = result;
+  }
+
+  revertResult(index) {
+    this.games[index].result = null;
+  }
+
+  getPoints(name) {
+    let points = 0;
+    for (const game of this.games) {
+      points += gamePoints(game, name);
+    }
+    return points;
+  }
+
+  // Players best first: points, then Sonneborn-Berger (the points of the
+  // opponents beaten, plus half those of the ones drawn), then wins, then
+  // the games between the two players
+  standings() {
+    const rows = this.players.map((name) => {
+      const row = { name, played: 0, wins: 0, draws: 0, losses: 0, points: 0, sonnebornBerger: 0 };
+      for (const game of this.games) {
+        if (!game.result || (game.red !== name && game.black !== name)) continue;
+        const points = gamePoints(game, name);
+        const opponent = game.red === name ? game.black : game.red;
+        row.played++;
+        row.points += points;
+        row.sonnebornBerger += points * this.getPoints(opponent);
+        if (points === 1) row.wins++;
+        else if (points === 0.5) row.draws++;
+        else row.losses++;
+      }
+      return row;
+    });
+
+    return rows.sort(
+      (a, b) =>
+        b.points - a.points ||
+        b.sonnebornBerger - a.sonnebornBerger ||
+        b.wins - a.wins ||
+        this.headToHead(b.name, a.name) - this.headToHead(a.name, b.name)
+    );
+  }
+
+  // Points name scored in its games against opponent
+  headToHead(name, opponent) {
+    let points = 0;
+    for (const game of this.games) {
+      if ((game.red === name && game.black === opponent) || (game.red === opponent && game.black === name)) {
+        points += gamePoints(game, name);
+      }
+    }
+    return points;
+  }
+
+  // The winner once the tournament is over; null for a tied match
+  getWinner() {
+    if (!this.finished) return null;
+    const [first, second] = this.standings();
+    if (this.type === "match" && first.points === second.points) return null;
+    return first.name;
+  }
+}
+
+// Points name scored in one game (0 if it didn't play it or it is unplayed)
+function gamePoints(game, name) {
+  if (!game.result || (game.red !== name && game.black !== name)) return 0;
+  if (game.result === "draw") return 0.5;
+  return game[game.result] === name ? 1 : 0;
+}
+
+// Circle method: one seat stays put while the rest rotate, giving every
+// pair exactly once. With an odd number the fixed seat is a bye; colours
+// are swapped on alternate boards and rounds so they come out balanced.
+function roundRobinPairings(players) {
+  const circle = players.length % 2 === 0 ? [...players] : [null, ...players];
+  const size = circle.length;
+  const games = [];
+
+  for (let round = 0; round < size - 1; round++) {
+    for (let board = 0; board < size / 2; board++) {
+      let red = circle[board];
+      let black = circle[size - 1 - board];
+      if (red === null || black === null) continue; // Bye
+      if (board === 0 ? round % 2 === 1 : board % 2 === 1) {
+        [red, black] = [black, red];
+      }
+      games.push({ red, black, result: null });
+    }
+    circle.splice(1, 0, circle.pop());
+  }
+  return games;
+}
+
+// ===== Saved Tournament =====
+// A stored tournament checked field by field, or null if any of it is off:
+// unlike profiles, half a tournament can't be played on
+function readTournamentData(data) {
+  if (!data || typeof data !== "object") return null;
+  const { type, players, variant, bestOf = null, games, current = null } = data;
+
+  if (typeof variant !== "string" || !Object.hasOwn(TOURNAMENT_VARIANTS, variant)) return null;
+  if (!Array.isArray(players) || !players.every((name) => typeof name === "string" && name.trim())) return null;
+  if (new Set(players.map((name) => name.toLowerCase())).size !== players.length) return null;
+  if (type === "match") {
+    if (players.length !== 2 || !MATCH_LENGTHS.includes(bestOf)) return null;
+  } else if (type === "roundRobin") {
+    if (players.length < TOURNAMENT_MIN_PLAYERS || players.length > TOURNAMENT_MAX_PLAYERS || bestOf !== null) return null;
+  } else {
+    return null;
+  }
+
+  const validGame = (game) =>
+    !!game &&
+    typeof game === "object" &&
+    players.includes(game.red) &&
+    players.includes(game.black) &&
+    game.red !== game.black &&
+    [null, "red", "black", "draw"].includes(game.result);
+  if (!Array.isArray(games) || games.length === 0 || !games.every(validGame)) return null;
+  if (type === "match" && games.length !== bestOf) return null;
+  if (current !== null && !(Number.isInteger(current) && current >= 0 && current < games.length)) return null;
+
+  return {
+    type,
+    players,
+    variant,
+    bestOf,
+    games: games.map(({ red, black, result }) => ({ red, black, result })),
+    current,
+  };
+}
+
+// A bad tournament is thrown away rather than left to break the setup screen
+function loadTournament() {
+  let stored = null;
+  let data = null;
+  try {
+    stored = localStorage.getItem(TOURNAMENT_KEY);
+    data = JSON.parse(stored);
+  } catch (error) {
+    data = null;
+  }
+  const tournament = readTournamentData(data);
+  if (stored !== null && !tournament) {
+    clearTournament();
+  }
+  return tournament ? Tournament.fromJSON(tournament) : null;
+}
+
+function storeTournament(tournament) {
+  localStorage.setItem(TOURNAMENT_KEY, JSON.stringify(tournament));
+}
+
+function clearTournament() {
+  localStorage.removeItem(TOURNAMENT_KEY);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    Tournament,
+    TournamentError,
+    roundRobinPairings,
+    readTournamentData,
+    loadTournament,
+    storeTournament,
+    clearTournament,
+    MATCH_LENGTHS,
+    TOURNAMENT_MIN_PLAYERS,
+    TOURNAMENT_MAX_PLAYERS,
+  };
+}